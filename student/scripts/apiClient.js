@@ -7,6 +7,7 @@
 // - Proper header merging (case-insensitive handling)
 // - Consistent error shaping with status and parsed body when available
 // - New: postFormWithAuth / putFormWithAuth to centralize authenticated FormData uploads
+// - New: uploadFormWithAuth for uploads that need progress events and cancellation
 //
 // Backwards-compatibility:
 // - Exports authFetch and authFetchJson aliases so older modules that import those names keep working.
@@ -377,6 +378,114 @@ export async function postFormWithAuth(urlOrPath, formData, opts = {}) {
   });
 }
 
+/*
+   uploadFormWithAuth(url, formData, opts={ onProgress, signal, timeoutMs,
+                                           stallTimeoutMs })
+   Same contract as postFormWithAuth, but goes through XMLHttpRequest so the
+   caller gets upload progress (onProgress(loaded, total)) and can cancel via
+   an AbortSignal. A cancelled upload rejects with err.name === "AbortError".
+   timeoutMs bounds the whole request; stallTimeoutMs fires when no upload
+   progress arrives for that long, or when the server hasn't answered that
+   long after the body was sent. Both reject with "TimeoutError".
+*/
+export async function uploadFormWithAuth(urlOrPath, formData, opts = {}) {
+  if (!formData) throw new Error("uploadFormWithAuth: formData is required");
+  const { onProgress, signal, timeoutMs = 0, stallTimeoutMs = 0 } = opts;
+  const url = resolveUrl(urlOrPath);
+
+  let token = null;
+  try {
+    token = await getIdToken().catch(() => null);
+  } catch {
+    token = null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const e = new Error("Upload cancelled");
+      e.name = "AbortError";
+      return e;
+    };
+    if (signal && signal.aborted) return reject(abortError());
+
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    if (token) xhr.setRequestHeader("Authorization", "Bearer " + token);
+    if (timeoutMs) xhr.timeout = timeoutMs;
+
+    // restarted on every progress event, then once more to wait for the
+    // response after the body is sent
+    let stallTimer = null;
+    let stalled = false;
+    const clearStall = () => {
+      if (stallTimer) clearTimeout(stallTimer);
+      stallTimer = null;
+    };
+    const armStall = () => {
+      if (!stallTimeoutMs) return;
+      clearStall();
+      stallTimer = setTimeout(() => {
+        stalled = true;
+        xhr.abort();
+      }, stallTimeoutMs);
+    };
+
+    xhr.upload.onprogress = (e) => {
+      armStall();
+      if (typeof onProgress === "function" && e.lengthComputable)
+        onProgress(e.loaded, e.total);
+    };
+    xhr.upload.onload = armStall;
+    const onAbort = () => xhr.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    const done = () => {
+      clearStall();
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+    const timeoutError = () => {
+      const e = new Error("Request timed out");
+      e.name = "TimeoutError";
+      return e;
+    };
+
+    xhr.onload = () => {
+      done();
+      let parsed = null;
+      try {
+        parsed = xhr.responseText ? JSON.parse(xhr.responseText) : null;
+      } catch {
+        parsed = xhr.responseText || null;
+      }
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const msg =
+          (parsed && (parsed.error || parsed.message)) ||
+          xhr.statusText ||
+          `Request failed (${xhr.status})`;
+        const err = new Error(msg);
+        err.status = xhr.status;
+        err.body = parsed;
+        return reject(err);
+      }
+      resolve(parsed);
+    };
+    xhr.onerror = () => {
+      done();
+      reject(new Error("Network error during upload"));
+    };
+    xhr.ontimeout = () => {
+      done();
+      reject(timeoutError());
+    };
+    xhr.onabort = () => {
+      done();
+      reject(stalled ? timeoutError() : abortError());
+    };
+
+    xhr.send(formData);
+    armStall();
+  });
+}
+
 export async function putFormWithAuth(urlOrPath, formData, opts = {}) {
   return _fetchFormWithToken(urlOrPath, {
     method: "PUT",
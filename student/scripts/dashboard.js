@@ -6,6 +6,10 @@
 // ✅ IMPLEMENTED: Full search experience with real-time filtering
 // ✅ REMOVED: All console.log statements (production-safe)
 // ✅ REMOVED: Keyboard shortcuts (simplified UX)
+// ✅ NEW: Unread @mention badges on room cards
+// ✅ NEW: Join requests for "approval required" private rooms
+// ✅ NEW: Invite links (?room=...&invite=...) in the room join flow
+// ✅ NEW: Banned users are turned away before joining
 
 import { auth, db, onAuthStateChanged } from "../../config/firebase.js";
 import {
@@ -19,11 +23,20 @@ import fetchWithAuth, {
   deleteWithAuth,
 } from "./apiClient.js";
 import { apiUrl } from "../../config/appConfig.js";
+import { applyRoomActivityBadges } from "./roomActivity.js";
+import { requestToJoin } from "./joinRequests.js";
+import {
+  takeInviteFromUrl,
+  fetchInvite,
+  joinWithInvite,
+} from "./roomInvites.js";
+import { activeRestriction, banMessage } from "./roomBans.js";
 
 // Wait for Firebase Authentication to load and set CURRENT_SESSION dynamically
 let CURRENT_SESSION = null;
 let passwordModal = null;
 let pendingPrivateRoomId = null;
+let pendingInviteToken = null; // sent along with the password, if any
 
 onAuthStateChanged(async (user) => {
   if (user) {
@@ -242,7 +255,7 @@ function initDashboardUI() {
   initReminderToggle();
 
   initUIEvents();
-  fetchAndRenderRooms();
+  fetchAndRenderRooms().then(openInviteFromUrl);
   fetchTodos();
 }
 
@@ -308,6 +321,7 @@ function renderSearchResults(query, matchedRooms) {
     const card = createRoomCardElement(room);
     roomGrid.appendChild(card);
   });
+  applyRoomActivityBadges(matchedRooms, CURRENT_SESSION?.uid, roomGrid);
 
   // Show result count
   const resultText =
@@ -393,7 +407,7 @@ function initPasswordModal() {
   }
 }
 
-function openPrivateRoomPasswordModal(roomId, roomName) {
+function openPrivateRoomPasswordModal(roomId, roomName, inviteToken = null) {
   try {
     const modalElement = document.getElementById("privateRoomPasswordModal");
     if (!modalElement) {
@@ -428,6 +442,7 @@ function openPrivateRoomPasswordModal(roomId, roomName) {
     }
 
     pendingPrivateRoomId = roomId;
+    pendingInviteToken = inviteToken;
     passwordModal.show();
   } catch (err) {
     console.error("Failed to open password modal:", err);
@@ -463,7 +478,9 @@ async function handlePrivateRoomPasswordSubmit() {
 
     const response = await postJsonWithAuth(
       `${STUDY_GROUPS_API}/${encodeURIComponent(pendingPrivateRoomId)}/join`,
-      { password }
+      pendingInviteToken
+        ? { password, invite: pendingInviteToken }
+        : { password }
     );
 
     if (response && response.success) {
@@ -500,9 +517,11 @@ async function handlePrivateRoomPasswordSubmit() {
 // ===== ROOM CARD FACTORY WITH PRIVACY BADGES =====
 function createRoomCardElement(room) {
   const privacyBadgeHtml =
-    room.privacy === "private"
-      ? `<span class="privacy-badge private"><i class="bi bi-lock-fill"></i> Private</span>`
-      : `<span class="privacy-badge public"><i class="bi bi-globe"></i> Public</span>`;
+    room.privacy !== "private"
+      ? `<span class="privacy-badge public"><i class="bi bi-globe"></i> Public</span>`
+      : room.joinMode === "approval"
+      ? `<span class="privacy-badge private" title="The owner or a moderator approves new members"><i class="bi bi-person-check-fill"></i> Approval</span>`
+      : `<span class="privacy-badge private"><i class="bi bi-lock-fill"></i> Private</span>`;
 
   const roomNameEscaped = escapeHtml(room.name);
   const roomDescEscaped = escapeHtml(
@@ -537,7 +556,12 @@ function createRoomCardElement(room) {
 }
 
 // ===== HANDLE ROOM JOIN (with privacy check) =====
-export function handleDashboardRoomJoin(roomId, roomName, privacy) {
+export function handleDashboardRoomJoin(
+  roomId,
+  roomName,
+  privacy,
+  inviteToken = null
+) {
   const room = allRooms.find((r) => String(r.id) === String(roomId));
   if (!room) {
     showToast("Room not found", "error");
@@ -550,11 +574,26 @@ export function handleDashboardRoomJoin(roomId, roomName, privacy) {
     return;
   }
 
+  // Banned (until the ban runs out) → explain instead of trying to join
+  const ban = activeRestriction(room.bans, currentUserId);
+  if (ban) {
+    showToast(banMessage(ban), "error");
+    return;
+  }
+
   const isAlreadyMember = (room.participants || []).includes(currentUserId);
 
+  if (inviteToken && !isAlreadyMember) {
+    joinFromInvite(room, inviteToken);
+    return;
+  }
+
   // If private room AND user is NOT already a member → require password
+  // (or ask the owner / moderators, for approval-required rooms)
   if (privacy === "private" && !isAlreadyMember) {
-    openPrivateRoomPasswordModal(roomId, roomName);
+    if (room.joinMode === "approval")
+      requestToJoin(roomId, roomName, currentUserId, enterRoom);
+    else openPrivateRoomPasswordModal(roomId, roomName);
   } else if (privacy === "private" && isAlreadyMember) {
     // Already a member of private room → enter directly
     enterRoom(roomId);
@@ -569,6 +608,56 @@ export function handleDashboardRoomJoin(roomId, roomName, privacy) {
   }
 }
 
+// ===== JOIN THROUGH AN INVITE LINK =====
+async function joinFromInvite(room, token) {
+  const invite = await fetchInvite(room.id, token);
+  if (!invite || !invite.valid) {
+    showToast(
+      (invite && invite.reason) || "This invite link is no longer valid",
+      "error"
+    );
+    return;
+  }
+
+  // without the bypass, the invite only gets them to the usual door
+  if (room.privacy === "private" && !invite.bypassPassword) {
+    if (room.joinMode === "approval")
+      requestToJoin(room.id, room.name, CURRENT_SESSION.uid, enterRoom);
+    else openPrivateRoomPasswordModal(room.id, room.name, token);
+    return;
+  }
+
+  try {
+    const response = await joinWithInvite(room.id, token);
+    if (response && response.success) {
+      showToast("Invite accepted! Entering room...", "success");
+      await fetchAndRenderRooms();
+      setTimeout(() => {
+        enterRoom(room.id);
+      }, 500);
+    }
+  } catch (err) {
+    console.error("Error joining with invite:", err);
+    let msg = "Could not join with this invite";
+    if (err && err.body && err.body.error) {
+      msg = err.body.error;
+    }
+    showToast(msg, "error");
+  }
+}
+
+// ?room=...&invite=... from a shared invite link
+function openInviteFromUrl() {
+  const pending = takeInviteFromUrl();
+  if (!pending) return;
+  const room = allRooms.find((r) => String(r.id) === String(pending.roomId));
+  if (!room) {
+    showToast("The room for this invite link wasn't found", "error");
+    return;
+  }
+  handleDashboardRoomJoin(room.id, room.name, room.privacy, pending.token);
+}
+
 async function attemptJoinPublicRoom(roomId) {
   try {
     const submitBtn = document.querySelector(
@@ -926,6 +1015,7 @@ function renderRoomPage() {
     const card = createRoomCardElement(room);
     roomGrid.appendChild(card);
   });
+  applyRoomActivityBadges(roomsToShow, CURRENT_SESSION?.uid, roomGrid);
 
   if (totalPages > 1) {
     const pagination = document.createElement("div");
@@ -0,0 +1,174 @@
+// frontend/student/scripts/joinRequests.js
+// "Approval required" private rooms (dashboard + study rooms). Instead of
+// typing a password, the user asks to join: the backend records the request
+// in studyGroups/{roomId}/joinRequests/{uid} ({ status: "pending" | "approved"
+// | "denied", ... }) and the owner or a moderator answers it from the waiting
+// room queue inside the room. Meanwhile the user waits in a modal that
+// follows their own request document and shows the outcome.
+
+import { db } from "../../config/firebase.js";
+import {
+  doc,
+  onSnapshot,
+} from "https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js";
+import { postJsonWithAuth, deleteWithAuth } from "./apiClient.js";
+import { apiUrl } from "../../config/appConfig.js";
+
+const STUDY_GROUPS_API = apiUrl("/api/study-groups");
+
+let activeRequest = null; // { roomId, uid, modal, unsubscribe }
+
+function escapeHtml(s) {
+  return String(s || "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[c])
+  );
+}
+
+function renderState(modalEl, state, roomName, detail = "") {
+  const body = modalEl.querySelector(".join-request-state");
+  const cancelBtn = modalEl.querySelector("[data-cancel-request]");
+  const closeBtn = modalEl.querySelector("[data-bs-dismiss]");
+  const name = `<strong>${escapeHtml(roomName)}</strong>`;
+  const states = {
+    sending: `<div class="spinner-border text-success" role="status"></div><p>Sending your request to ${name}...</p>`,
+    pending: `<div class="spinner-border text-success" role="status"></div><p>Waiting for the owner or a moderator of ${name} to let you in.</p><small>You can keep this open; you'll enter automatically once approved.</small>`,
+    approved: `<i class="bi bi-check-circle-fill text-success"></i><p>You've been approved! Entering ${name}...</p>`,
+    denied: `<i class="bi bi-x-circle-fill text-danger"></i><p>Your request to join ${name} was declined.</p>${
+      detail ? `<small>${escapeHtml(detail)}</small>` : ""
+    }`,
+    error: `<i class="bi bi-exclamation-triangle-fill text-warning"></i><p>${escapeHtml(
+      detail || "Could not send your request."
+    )}</p>`,
+  };
+  body.innerHTML = states[state];
+  const waiting = state === "sending" || state === "pending";
+  cancelBtn.hidden = !waiting;
+  closeBtn.hidden = waiting || state === "approved";
+}
+
+function stopWatching() {
+  if (activeRequest && activeRequest.unsubscribe) activeRequest.unsubscribe();
+  activeRequest = null;
+}
+
+async function cancelRequest() {
+  if (!activeRequest) return;
+  const { roomId, uid, modal } = activeRequest;
+  stopWatching();
+  modal.hide();
+  try {
+    await deleteWithAuth(
+      `${STUDY_GROUPS_API}/${encodeURIComponent(
+        roomId
+      )}/join-requests/${encodeURIComponent(uid)}`
+    );
+  } catch (err) {
+    console.error("Error cancelling join request:", err);
+  }
+}
+
+/**
+ * Ask to join an approval-required room and wait for the answer.
+ * onApproved(roomId) runs once the request is approved.
+ */
+export async function requestToJoin(roomId, roomName, uid, onApproved) {
+  stopWatching();
+
+  const modalEl = document.createElement("div");
+  modalEl.className = "modal fade join-request-modal";
+  modalEl.tabIndex = -1;
+  modalEl.innerHTML = `
+    <div class="modal-dialog modal-dialog-centered">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h5 class="modal-title"><i class="bi bi-hourglass-split"></i> Waiting Room</h5>
+        </div>
+        <div class="modal-body">
+          <div class="join-request-state"></div>
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn-outline-secondary" data-cancel-request>Cancel Request</button>
+          <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+        </div>
+      </div>
+    </div>`;
+  document.body.appendChild(modalEl);
+  const modal = new bootstrap.Modal(modalEl, {
+    backdrop: "static",
+    keyboard: false,
+  });
+  modalEl.addEventListener("hidden.bs.modal", () => {
+    if (activeRequest && activeRequest.modal === modal) stopWatching();
+    modalEl.remove();
+  });
+  modalEl
+    .querySelector("[data-cancel-request]")
+    .addEventListener("click", cancelRequest);
+
+  activeRequest = { roomId, uid, modal, unsubscribe: null };
+  renderState(modalEl, "sending", roomName);
+  modal.show();
+
+  try {
+    const response = await postJsonWithAuth(
+      `${STUDY_GROUPS_API}/${encodeURIComponent(roomId)}/join-requests`,
+      {}
+    );
+    // already a member, or the room no longer needs approval
+    if (response && response.status === "approved") {
+      renderState(modalEl, "approved", roomName);
+      stopWatching();
+      setTimeout(() => {
+        modal.hide();
+        onApproved(roomId);
+      }, 800);
+      return;
+    }
+  } catch (err) {
+    console.error("Error sending join request:", err);
+    const msg =
+      (err && err.body && (err.body.error || err.body.message)) ||
+      "Could not send your request. Please try again later.";
+    stopWatching();
+    renderState(modalEl, "error", roomName, msg);
+    return;
+  }
+
+  if (!activeRequest || activeRequest.modal !== modal) return; // cancelled
+  renderState(modalEl, "pending", roomName);
+  activeRequest.unsubscribe = onSnapshot(
+    doc(db, "studyGroups", roomId, "joinRequests", uid),
+    (snap) => {
+      const request = snap.exists() ? snap.data() : null;
+      if (!request || request.status === "pending") return;
+      stopWatching();
+      if (request.status === "approved") {
+        renderState(modalEl, "approved", roomName);
+        setTimeout(() => {
+          modal.hide();
+          onApproved(roomId);
+        }, 800);
+      } else {
+        renderState(modalEl, "denied", roomName, request.reason || "");
+      }
+    },
+    (error) => {
+      console.error("Error watching join request:", error);
+      stopWatching();
+      renderState(
+        modalEl,
+        "error",
+        roomName,
+        "Lost track of your request. Try opening the room again in a moment."
+      );
+    }
+  );
+}
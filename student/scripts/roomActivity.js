@@ -0,0 +1,130 @@
+// frontend/student/scripts/roomActivity.js
+// Per-user room activity badges for room cards (dashboard + study rooms).
+// Reads users/{uid}/roomState/{roomId}.lastReadAt (written by the room chat
+// as messages scroll into view) and counts the messages after that point,
+// plus how many of them mention the user. Like the in-room unread divider,
+// the user's own messages and system messages don't count as unread.
+//
+// Note: the count queries that combine an equality filter (mentionUids
+// array-contains, authorUid ==, isSystem ==) with timestamp > need composite
+// indexes on studyGroups/{roomId}/messages.
+
+import { db } from "../../config/firebase.js";
+import {
+  doc,
+  getDoc,
+  collection,
+  query,
+  where,
+  getCountFromServer,
+} from "https://www.gstatic.com/firebasejs/9.22.2/firebase-firestore.js";
+
+const CACHE_TTL_MS = 60 * 1000;
+const activityCache = new Map(); // roomId -> { unread, mentions, at }
+
+async function fetchRoomActivity(roomId, uid) {
+  const cached = activityCache.get(roomId);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached;
+
+  const stateSnap = await getDoc(doc(db, "users", uid, "roomState", roomId));
+  const lastReadAt = stateSnap.exists() ? stateSnap.data().lastReadAt : null;
+
+  const messagesRef = collection(db, "studyGroups", roomId, "messages");
+  const since = lastReadAt ? [where("timestamp", ">", lastReadAt)] : [];
+
+  const count = async (...filters) => {
+    const snap = await getCountFromServer(
+      query(messagesRef, ...filters, ...since)
+    );
+    return snap.data().count || 0;
+  };
+
+  // a room never opened in the chat has no marker; don't count its history
+  const [unread, mentions] = await Promise.all([
+    lastReadAt ? countUnread(count, uid) : 0,
+    count(where("mentionUids", "array-contains", uid)),
+  ]);
+  const activity = { unread, mentions, at: Date.now() };
+  activityCache.set(roomId, activity);
+  return activity;
+}
+
+// Counts can't filter on "!=" next to the timestamp range, so the user's own
+// and system messages are subtracted (adding back the overlap: system
+// messages the user posted)
+async function countUnread(count, uid) {
+  const [all, own, system, ownSystem] = await Promise.all([
+    count(),
+    count(where("authorUid", "==", uid)),
+    count(where("isSystem", "==", true)),
+    count(where("authorUid", "==", uid), where("isSystem", "==", true)),
+  ]);
+  return Math.max(0, all - own - system + ownSystem);
+}
+
+function renderUnreadBadge(card, count) {
+  const container = card.querySelector(".privacy-badge-container");
+  if (!container) return;
+  let badge = container.querySelector(".unread-badge");
+  if (count <= 0) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "unread-badge";
+    container.prepend(badge);
+  }
+  badge.title = `${count} unread message${count === 1 ? "" : "s"}`;
+  badge.innerHTML = `<i class="bi bi-chat-dots"></i>${
+    count > 99 ? "99+" : count
+  }`;
+}
+
+function renderMentionBadge(card, count) {
+  const container = card.querySelector(".privacy-badge-container");
+  if (!container) return;
+  let badge = container.querySelector(".mention-badge");
+  if (count <= 0) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "mention-badge";
+    container.prepend(badge);
+  }
+  badge.title = `${count} unread mention${count === 1 ? "" : "s"}`;
+  badge.innerHTML = `<i class="bi bi-at"></i>${count > 99 ? "99+" : count}`;
+}
+
+// Decorate the rendered .room-card elements for rooms the user belongs to
+// with unread and mention counts. Failures (rules, missing index, offline)
+// just leave the card unbadged.
+export async function applyRoomActivityBadges(rooms, uid, root = document) {
+  if (!db || !uid || !Array.isArray(rooms)) return;
+  const memberRooms = rooms.filter(
+    (room) =>
+      room &&
+      room.id &&
+      Array.isArray(room.participants) &&
+      room.participants.includes(uid)
+  );
+
+  await Promise.all(
+    memberRooms.map(async (room) => {
+      const card = root.querySelector(
+        `.room-card[data-room-id="${CSS.escape(room.id)}"]`
+      );
+      if (!card) return;
+      try {
+        const { unread, mentions } = await fetchRoomActivity(room.id, uid);
+        renderUnreadBadge(card, unread);
+        // mention badge goes first: it's the more urgent of the two
+        renderMentionBadge(card, mentions);
+      } catch (err) {
+        console.warn("Could not load activity counts for room", room.id, err);
+      }
+    })
+  );
+}
@@ -0,0 +1,52 @@
+// frontend/student/scripts/roomBans.js
+// Room bans and chat mutes (room page, dashboard + study rooms). The backend
+// keeps them on the room document and enforces them on join and on send:
+//   bans:  { [uid]: { until: timestamp | null, name, by, at } }  null = permanent
+//   mutes: { [uid]: { until: timestamp, name, by, at } }
+// These helpers read those maps so the pages can explain a refusal up front.
+// Entries whose `until` has passed are treated as lifted.
+
+import { toMillis } from "./timestamps.js";
+
+// The entry for uid in a bans / mutes map, or null when none is in effect
+export function activeRestriction(map, uid, now = Date.now()) {
+  const entry = map && uid ? map[uid] : null;
+  if (!entry) return null;
+  if (entry.until == null) return entry; // permanent
+  return toMillis(entry.until) > now ? entry : null;
+}
+
+// "10 minutes", "1 hour", "7 days"; null reads as "permanently"
+export function formatDuration(minutes) {
+  if (minutes == null) return "permanently";
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `${days} day${days === 1 ? "" : "s"}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+export function formatUntil(entry) {
+  if (!entry || entry.until == null) return "permanently";
+  const until = new Date(toMillis(entry.until));
+  const sameDay = until.toDateString() === new Date().toDateString();
+  return `until ${until.toLocaleString([], {
+    ...(sameDay ? {} : { month: "short", day: "numeric" }),
+    hour: "2-digit",
+    minute: "2-digit",
+  })}`;
+}
+
+export function banMessage(entry) {
+  return `You're banned from this room ${formatUntil(entry)}.`;
+}
+
+export function muteMessage(entry) {
+  return `You're muted in this room ${formatUntil(
+    entry
+  )}. You can still read the chat.`;
+}
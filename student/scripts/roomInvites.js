@@ -0,0 +1,66 @@
+// frontend/student/scripts/roomInvites.js
+// Invite links for the join flow (dashboard + study rooms). Room owners
+// create them inside the room (InviteManager); a link looks like
+// study-rooms.html?room={roomId}&invite={token}. The backend decides whether
+// a token is still valid (expiry, remaining uses, revoked) and counts a use
+// when someone joins with it. Invites created with bypassPassword let people
+// into a private room without the password or approval.
+
+import { fetchJsonWithAuth, postJsonWithAuth } from "./apiClient.js";
+import { apiUrl } from "../../config/appConfig.js";
+
+const STUDY_GROUPS_API = apiUrl("/api/study-groups");
+
+/**
+ * Reads { roomId, token } from the page URL and removes it, so a reload or a
+ * shared screenshot of the address bar doesn't reuse the invite.
+ */
+export function takeInviteFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const roomId = params.get("room");
+  const token = params.get("invite");
+  if (!roomId || !token) return null;
+
+  params.delete("room");
+  params.delete("invite");
+  const query = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}${
+      window.location.hash
+    }`
+  );
+  return { roomId, token };
+}
+
+/**
+ * { valid, reason?, bypassPassword, expiresAt, usesLeft } for a token.
+ * Never throws: a failed lookup reads as an invalid invite.
+ */
+export async function fetchInvite(roomId, token) {
+  try {
+    return await fetchJsonWithAuth(
+      `${STUDY_GROUPS_API}/${encodeURIComponent(
+        roomId
+      )}/invites/${encodeURIComponent(token)}`,
+      { method: "GET" }
+    );
+  } catch (err) {
+    console.error("Error checking invite:", err);
+    return {
+      valid: false,
+      reason:
+        (err && err.body && (err.body.error || err.body.message)) ||
+        "This invite link is no longer valid",
+    };
+  }
+}
+
+// Joins with the invite; extra carries the password for non-bypass invites
+export async function joinWithInvite(roomId, token, extra = {}) {
+  return postJsonWithAuth(
+    `${STUDY_GROUPS_API}/${encodeURIComponent(roomId)}/join`,
+    { ...extra, invite: token }
+  );
+}
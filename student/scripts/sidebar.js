@@ -5,7 +5,7 @@
 // - fast-path cached profile render + profile:updated listener
 // - auth listener using authFetch for authoritative profile
 // - idempotent init guard so module can be included on every page safely
-// - admin panel link visibility check
+// - admin panel link visibility check (whenAdminChecked() resolves to the result)
 
 import { onAuthStateChanged, db } from "../../config/firebase.js";
 import { authFetch } from "./apiClient.js";
@@ -124,6 +124,14 @@ function wireThemeToggle() {
 }
 
 /* ----------------------- Admin Panel Visibility ----------------------- */
+// Settles once per page load with the backend's answer (false on any error)
+let resolveAdminCheck;
+const adminCheck = new Promise((resolve) => (resolveAdminCheck = resolve));
+
+function whenAdminChecked() {
+  return adminCheck;
+}
+
 async function checkAndShowAdminLink(user) {
   try {
     console.log("[sidebar] Checking admin status for user:", user.uid);
@@ -131,7 +139,6 @@ async function checkAndShowAdminLink(user) {
     const adminLink = el("adminPanelLink");
     if (!adminLink) {
       console.log("[sidebar] Admin link element not found in sidebar");
-      return;
     }
 
     const token = await user.getIdToken(true);
@@ -148,6 +155,9 @@ async function checkAndShowAdminLink(user) {
 
     console.log("[sidebar] Admin dashboard response status:", response.status);
 
+    resolveAdminCheck(response.ok);
+    if (!adminLink) return;
+
     if (response.ok) {
       console.log("[sidebar] ✅ User is admin - showing admin panel link");
       adminLink.style.display = "block";
@@ -163,6 +173,7 @@ async function checkAndShowAdminLink(user) {
     }
   } catch (err) {
     console.error("[sidebar] ❌ Admin check failed:", err.message);
+    resolveAdminCheck(false);
     const adminLink = el("adminPanelLink");
     if (adminLink) adminLink.style.display = "none";
   }
@@ -481,4 +492,4 @@ if (!window.__sidebarInitialized) {
   console.info("sidebar: already initialized - skipping init call");
 }
 
-export { initSidebar, fetchAndUpdateSidebarProfile, logout };
+export { initSidebar, fetchAndUpdateSidebarProfile, logout, whenAdminChecked };
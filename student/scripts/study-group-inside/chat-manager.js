@@ -1,5 +1,20 @@
 // ChatManager (ES module) - Clean, stable non-virtualized implementation
 // ✅ FIXED: Enrich author names from userAuth cache instead of using raw Firestore data
+// ✅ NEW: Threaded replies in a side panel (messages/{parentId}/replies)
+// ✅ NEW: Edit / soft-delete own messages, previous versions kept in messages/{id}/history
+// ✅ NEW: Emoji reactions stored on the message doc as reactions: { emoji: [uid, ...] }
+// ✅ NEW: @mention autocomplete; mentions saved as mentions[] / mentionUids[] on the message
+// ✅ IMPROVED: Only the latest page is live; older history loads on scroll-up
+// ✅ NEW: IndexedDB outbox - messages queue offline and resend in order with stable ids
+// ✅ NEW: Pin / unpin action for owner + moderators (state lives in PinManager)
+// ✅ NEW: Markdown, code highlighting and LaTeX math in bubbles + composer preview
+// ✅ NEW: Poll messages (type: "poll") rendered by PollManager
+// ✅ NEW: Slash commands from the composer are handed to CommandManager
+// ✅ NEW: Multi-file, drag-and-drop and paste uploads with per-file progress / cancel
+// ✅ NEW: Preview buttons for shared files (opens FileViewer)
+// ✅ NEW: Voice notes (type: "voice") recorded and played by VoiceManager
+// ✅ NEW: Read marker advances as messages scroll into view; "New messages" divider + jump-to-unread
+// ✅ NEW: Muted users can't send or edit (RoomManager tracks room mutes)
 
 import { db } from "./firebase-init.js";
 import {
@@ -8,7 +23,18 @@ import {
   getFileIcon,
   formatFileSize,
   uploadFileToBackend,
+  downscaleImage,
+  escapeRegExp,
 } from "./utils.js";
+import { ComposerSuggest } from "./composer-suggest.js";
+import { Outbox } from "./outbox.js";
+import { formatMessage } from "./message-format.js";
+import { previewKind } from "./file-viewer.js";
+import { muteMessage } from "../roomBans.js";
+import { whenAdminChecked } from "../sidebar.js";
+
+// Reaction palette; keys outside this list are ignored when rendering
+const REACTION_EMOJIS = ["👍", "✅", "❓", "❤️", "😂", "🎉", "👀"];
 
 export class ChatManager {
   constructor(userAuth, roomManager) {
@@ -19,8 +45,58 @@ export class ChatManager {
     this.sharedFiles = [];
     this.unsubscribeMessages = null;
 
-    // visible-author update debounce
-    this._visibleUpdateTimer = null;
+    // pagination: older pages (one listener each) + live tail from the
+    // boundary doc
+    this.pageSize = 50;
+    this._olderPages = []; // oldest first: { messages, unsubscribe }
+    this._olderMessages = [];
+    this._liveMessages = [];
+    this._oldestCursor = null; // DocumentSnapshot of the oldest loaded message
+    this.hasMoreHistory = false;
+    this._olderRequest = null; // in-flight older-page promise
+    this._historyScrollAttached = false;
+
+    // outgoing messages not yet confirmed by Firestore (id -> bubble)
+    this.outbox = new Outbox();
+
+    // set from the sidebar's admin check; admins may review edit history
+    this.isAdmin = false;
+    this._outboxPending = new Map();
+    this._flushingOutbox = false;
+    this._outboxRetryTimer = null;
+    this._outboxRetryDelay = 2000;
+    this._uploadControllers = new Map(); // entry id -> AbortController
+
+    // thread side panel state (replies live in messages/{parentId}/replies)
+    this.activeThreadId = null;
+    this.activeThreadParent = null;
+    this.threadMessages = [];
+    this._threadSnapshot = [];
+    this.unsubscribeThread = null;
+    this._threadPending = new Map(); // replyId -> optimistic reply
+
+    // inline edit state (survives re-renders triggered by snapshots)
+    this.editingMessageId = null;
+    this._editDraft = "";
+
+    this._reactionPicker = null;
+
+    // mentions picked from the autocomplete for the current draft (name -> uid)
+    this._pendingMentions = new Map();
+    this.mentionSuggest = null;
+
+    // read marker (users/{uid}/roomState/{roomId}.lastReadAt) = newest message
+    // that has been on screen. The divider stays where the marker was when
+    // the user arrived (or left the tab) until they send or mark as read.
+    this._readMarker = null; // { ms, ts }
+    this._unreadSince = null; // ms; divider goes before the first newer message
+    this._jumpingToUnread = false;
+    this._markReadTimer = null;
+
+    this.previewVisible = false;
+
+    // visible-author update debounce (one timer per message container)
+    this._visibleUpdateTimers = {};
     this._visibleUpdateDelay = 150; // ms
 
     // prefetch buffer (visible +/- this many messages)
@@ -29,7 +105,7 @@ export class ChatManager {
     // grouping threshold (ms) for consecutive messages to be "continued"
     this._groupThresholdMs = 5 * 60 * 1000;
 
-    this._scrollHandlerAttached = false;
+    this._scrollHandlersAttached = new Set();
     this._authorNamesCache = {}; // ✅ NEW: Cache author names
   }
 
@@ -65,120 +141,72 @@ export class ChatManager {
         this.sendMessage();
       }
     });
+    messageInput?.addEventListener("input", () => {
+      this._autosizeInput();
+      if (this.previewVisible) this._updatePreview();
+    });
     sendBtn?.addEventListener("click", () => this.sendMessage());
+    document
+      .getElementById("composerPreviewBtn")
+      ?.addEventListener("click", () => this.togglePreview());
+    if (messageInput)
+      this.mentionSuggest = new ComposerSuggest(messageInput, [
+        this._mentionProvider(),
+        ...(window.commandModule ? [window.commandModule.provider()] : []),
+      ]);
+    document.addEventListener("visibilitychange", () =>
+      this._onVisibilityChange()
+    );
+    document.getElementById("jumpToUnread")?.addEventListener("click", (e) => {
+      if (e.target.closest("[data-mark-read]")) {
+        this.markAllRead();
+        this.renderMessages();
+      } else if (e.target.closest("[data-jump-unread]")) {
+        this.jumpToUnread();
+      }
+    });
     attachBtn?.addEventListener("click", () => fileInput?.click());
 
-    fileInput?.addEventListener("change", async (e) => {
-      const file = e.target.files && e.target.files[0];
-      if (!file) return;
-      if (
-        file.size >
-        (window.__CONFIG__.clientMaxFileSizeBytes || 10 * 1024 * 1024)
-      ) {
-        showToast("File is too large. Maximum size is 10MB.", "error");
-        fileInput.value = "";
-        return;
-      }
-      showToast(`Uploading ${file.name}...`, "info");
-      const roomId =
-        this.roomManager.currentRoomData &&
-        (this.roomManager.currentRoomData._id ||
-          this.roomManager.currentRoomData.id);
-      if (!roomId) {
-        showToast("Room not loaded", "error");
-        fileInput.value = "";
-        return;
-      }
-      const isImage = file.type && file.type.startsWith("image/");
-      try {
-        const { url } = await uploadFileToBackend(roomId, file);
-        const messagesRef = db
-          .collection("studyGroups")
-          .doc(roomId)
-          .collection("messages");
-        const tempId = `temp-${Date.now()}`;
-        if (isImage) {
-          this.messages.push({
-            id: tempId,
-            authorUid: this.userAuth.currentUser.uid,
-            text: "",
-            imageUrl: null,
-            status: "sending",
-            timestamp: new Date(),
-          });
-          this.renderMessages({ scrollForOwnMessage: true });
-          await messagesRef.add({
-            authorUid: this.userAuth.currentUser.uid,
-            author:
-              this.userAuth.currentUser.name ||
-              this.userAuth.currentUser.displayName,
-            text: "",
-            isSystem: false,
-            imageUrl: url,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-          });
-          showToast("Image shared successfully", "success");
-        } else {
-          this.messages.push({
-            id: tempId,
-            authorUid: this.userAuth.currentUser.uid,
-            text: "",
-            fileUrl: null,
-            fileName: file.name,
-            status: "sending",
-            timestamp: new Date(),
-          });
-          this.renderMessages({ scrollForOwnMessage: true });
-          await messagesRef.add({
-            authorUid: this.userAuth.currentUser.uid,
-            author:
-              this.userAuth.currentUser.name ||
-              this.userAuth.currentUser.displayName,
-            text: "",
-            isSystem: false,
-            fileUrl: url,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-          });
-          showToast("File shared successfully", "success");
-        }
-      } catch (err) {
-        console.error("Failed to upload file and send message:", err);
-        showToast("Failed to upload file. Try again.", "error");
-        const lastTemp = this.messages
-          .slice()
-          .reverse()
-          .find((m) => m.status === "sending");
-        if (lastTemp) {
-          const idx = this.messages.findIndex((m) => m.id === lastTemp.id);
-          if (idx !== -1) {
-            this.messages[idx].status = "error";
-            this.renderMessages();
-          }
-        }
-      } finally {
-        fileInput.value = "";
+    const threadInput = document.getElementById("threadInput");
+    threadInput?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        this.sendThreadReply();
       }
     });
+    document
+      .getElementById("threadSendBtn")
+      ?.addEventListener("click", () => this.sendThreadReply());
+    document
+      .getElementById("threadCloseBtn")
+      ?.addEventListener("click", () => this.closeThread());
+
+    fileInput?.addEventListener("change", (e) => {
+      const files = Array.from(e.target.files || []);
+      fileInput.value = "";
+      this.sendFiles(files);
+    });
+    messageInput?.addEventListener("paste", (e) => this._handlePaste(e));
+    this._attachDropZone();
+
+    window.addEventListener("online", () => this._flushOutbox());
+    this._restoreOutbox();
 
     this.loadMessages();
+
+    whenAdminChecked().then((isAdmin) => {
+      this.isAdmin = isAdmin;
+      // show the history controls that were hidden while checking
+      if (isAdmin) this.renderMessages();
+    });
   }
 
-  loadMessages() {
+  // The latest page is fetched once to find a boundary doc; the live listener
+  // then covers everything from that boundary on (new messages included).
+  // Older pages are fetched by cursor as the user scrolls up, and each gets a
+  // listener over its fixed range so edits, reactions and deletes stay live.
+  async loadMessages() {
     if (!this.roomManager.currentRoomData) return;
-    const roomId =
-      this.roomManager.currentRoomData._id ||
-      this.roomManager.currentRoomData.id;
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages")
-      .orderBy("timestamp", "asc");
     const chatMessages = document.getElementById("chatMessages");
     if (chatMessages)
       chatMessages.innerHTML = `<div class="loading-messages"><div class="spinner-border spinner-border-sm text-secondary" role="status"></div><span>Loading messages...</span></div>`;
@@ -189,71 +217,58 @@ export class ChatManager {
       } catch (e) {}
       this.unsubscribeMessages = null;
     }
+    this._unwatchOlderPages();
+    this._liveMessages = [];
+    this._olderMessages = [];
+    this._oldestCursor = null;
+    this.hasMoreHistory = false;
+    await this._loadReadMarker();
+
+    let boundary = null;
+    try {
+      const latest = await this._messagesRef()
+        .orderBy("timestamp", "desc")
+        .limit(this.pageSize)
+        .get();
+      if (!latest.empty) {
+        boundary = latest.docs[latest.docs.length - 1];
+        this._oldestCursor = boundary;
+        this.hasMoreHistory = latest.size === this.pageSize;
+      }
+    } catch (err) {
+      console.error("Failed to load latest messages page:", err);
+    }
+
+    const liveQuery = boundary
+      ? this._messagesRef().orderBy("timestamp", "asc").startAt(boundary)
+      : this._messagesRef().orderBy("timestamp", "asc");
 
     let retryDelay = 1000,
       maxDelay = 30000;
+    let firstSnapshot = true;
     const subscribe = () => {
-      this.unsubscribeMessages = messagesRef.onSnapshot(
+      // every (re)subscription starts with the whole tail as "added"
+      let initialSnapshot = true;
+      this.unsubscribeMessages = liveQuery.onSnapshot(
         (snapshot) => {
-          this.messages = [];
+          const scrollToUnread = firstSnapshot;
+          firstSnapshot = false;
+          if (!initialSnapshot && window.notificationModule) {
+            const added = snapshot
+              .docChanges()
+              .filter(
+                (c) => c.type === "added" && !c.doc.metadata.hasPendingWrites
+              )
+              .map((c) => ({ id: c.doc.id, ...c.doc.data() }));
+            if (added.length) window.notificationModule.onNewMessages(added);
+          }
+          initialSnapshot = false;
+          this._liveMessages = [];
           snapshot.forEach((doc) =>
-            this.messages.push({ id: doc.id, ...doc.data() })
+            this._liveMessages.push({ id: doc.id, ...doc.data() })
           );
-
-          // rebuild sharedFiles
-          const filesMap = new Map();
-          for (const msg of this.messages) {
-            if (msg.isSystem) continue;
-            if (msg.imageUrl) {
-              const key = msg.imageUrl;
-              if (!filesMap.has(key)) {
-                filesMap.set(key, {
-                  id: `file-${this._makeHash(key)}`,
-                  name:
-                    msg.fileName ||
-                    this._extractFilenameFromUrl(key) ||
-                    "image",
-                  url: key,
-                  type: "image",
-                  sender:
-                    msg.author ||
-                    (msg.authorUid === this.userAuth.currentUser.uid
-                      ? "You"
-                      : msg.authorUid),
-                  senderUid: msg.authorUid || null,
-                  timestamp:
-                    msg.timestamp && msg.timestamp.toDate
-                      ? msg.timestamp.toDate().toISOString()
-                      : (msg.timestamp || new Date()).toString(),
-                  extension: this._extractExtension(msg.fileName || key),
-                });
-              }
-            }
-            if (msg.fileUrl) {
-              const key = msg.fileUrl;
-              if (!filesMap.has(key)) {
-                filesMap.set(key, {
-                  id: `file-${this._makeHash(key)}`,
-                  name:
-                    msg.fileName || this._extractFilenameFromUrl(key) || "file",
-                  url: key,
-                  type: "file",
-                  sender:
-                    msg.author ||
-                    (msg.authorUid === this.userAuth.currentUser.uid
-                      ? "You"
-                      : msg.authorUid),
-                  senderUid: msg.authorUid || null,
-                  timestamp:
-                    msg.timestamp && msg.timestamp.toDate
-                      ? msg.timestamp.toDate().toISOString()
-                      : (msg.timestamp || new Date()).toString(),
-                  extension: this._extractExtension(msg.fileName || key),
-                });
-              }
-            }
-          }
-          this.sharedFiles = Array.from(filesMap.values()).reverse();
+          this._composeMessages();
+          this._rebuildSharedFiles();
 
           // Detect if user was near bottom before re-render
           const chatEl = document.getElementById("chatMessages");
@@ -264,8 +279,12 @@ export class ChatManager {
               120;
           }
 
-          this.renderMessages({ scrollIfNearBottom: wasNearBottom });
-          this.updateFilesListInSettings();
+          this.renderMessages({
+            scrollIfNearBottom: wasNearBottom,
+            scrollToUnread,
+          });
+          this._afterMessagesChanged();
+          this._fillViewport();
 
           retryDelay = 1000;
         },
@@ -284,6 +303,264 @@ export class ChatManager {
       );
     };
     subscribe();
+    this._attachHistoryScroll();
+  }
+
+  // Side panels that mirror loaded messages
+  _afterMessagesChanged() {
+    this.updateFilesListInSettings();
+    if (window.pinModule) window.pinModule.renderBar();
+
+    // keep the open thread's parent bubble (reply count etc.) in sync
+    if (this.activeThreadId) {
+      const parent = this.messages.find((m) => m.id === this.activeThreadId);
+      if (parent) {
+        this.activeThreadParent = parent;
+        this._renderThreadParent();
+      }
+    }
+  }
+
+  // Loaded history + live tail + our own unconfirmed messages. A pending
+  // bubble wins over its local echo until the write is acknowledged.
+  _composeMessages() {
+    const pendingIds = new Set(this._outboxPending.keys());
+    this.messages = [
+      ...this._olderMessages,
+      ...this._liveMessages.filter((m) => !pendingIds.has(m.id)),
+      ...this._outboxPending.values(),
+    ];
+  }
+
+  // Fetch the page before the oldest loaded message and prepend it,
+  // keeping the message the user was looking at in place. With untilDoc,
+  // everything down to (and including) that message is loaded in one read.
+  // Concurrent callers share the in-flight request.
+  loadOlderMessages(options = {}) {
+    if (this._olderRequest) return this._olderRequest;
+    if (!this.hasMoreHistory || !this._oldestCursor) return Promise.resolve();
+    this._olderRequest = this._fetchOlderMessages(options).finally(() => {
+      this._olderRequest = null;
+      this._fillViewport();
+    });
+    return this._olderRequest;
+  }
+
+  async _fetchOlderMessages({ untilDoc = null } = {}) {
+    const chatMessages = document.getElementById("chatMessages");
+    this._renderHistoryLoader(true);
+
+    try {
+      const newerCursor = this._oldestCursor;
+      let query = this._messagesRef()
+        .orderBy("timestamp", "desc")
+        .startAfter(newerCursor);
+      query = untilDoc ? query.endAt(untilDoc) : query.limit(this.pageSize);
+      const snap = await query.get();
+
+      const page = { messages: [], unsubscribe: null };
+      snap.forEach((doc) => page.messages.push({ id: doc.id, ...doc.data() }));
+      page.messages.reverse();
+      if (!untilDoc) this.hasMoreHistory = snap.size === this.pageSize;
+      if (!snap.empty) {
+        this._oldestCursor = snap.docs[snap.docs.length - 1];
+        this._olderPages.unshift(page);
+        this._watchOlderPage(page, this._oldestCursor, newerCursor);
+      }
+
+      this._olderMessages = this._olderPages.flatMap((p) => p.messages);
+      this._composeMessages();
+      this._rebuildSharedFiles();
+
+      const prevHeight = chatMessages ? chatMessages.scrollHeight : 0;
+      const prevTop = chatMessages ? chatMessages.scrollTop : 0;
+      this.renderMessages({ preserveScroll: { prevHeight, prevTop } });
+      this.updateFilesListInSettings();
+    } catch (err) {
+      console.error("Failed to load older messages:", err);
+      showToast("Could not load older messages", "error");
+    } finally {
+      this._renderHistoryLoader(false);
+    }
+  }
+
+  // Follow one loaded page, from its oldest message up to (not including) the
+  // oldest message of the page after it
+  _watchOlderPage(page, fromDoc, beforeDoc) {
+    const query = this._messagesRef()
+      .orderBy("timestamp", "asc")
+      .startAt(fromDoc)
+      .endBefore(beforeDoc);
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      page.unsubscribe = query.onSnapshot(
+        (snapshot) => {
+          page.messages = [];
+          snapshot.forEach((doc) =>
+            page.messages.push({ id: doc.id, ...doc.data() })
+          );
+          this._olderMessages = this._olderPages.flatMap((p) => p.messages);
+          this._composeMessages();
+          this._rebuildSharedFiles();
+          this.renderMessages();
+          this._afterMessagesChanged();
+          retryDelay = 1000;
+        },
+        (error) => {
+          console.error("Error listening for older messages:", error);
+          try {
+            if (page.unsubscribe) page.unsubscribe();
+          } catch (e) {}
+          page.unsubscribe = null;
+          setTimeout(() => {
+            retryDelay = Math.min(maxDelay, retryDelay * 2);
+            // the page was dropped by a reload or cleanup meanwhile
+            if (this._olderPages.includes(page)) subscribe();
+          }, retryDelay);
+        }
+      );
+    };
+    subscribe();
+  }
+
+  _unwatchOlderPages() {
+    this._olderPages.forEach((page) => {
+      try {
+        if (page.unsubscribe) page.unsubscribe();
+      } catch (e) {}
+    });
+    this._olderPages = [];
+  }
+
+  // Scroll the main chat to a message (loading older history if needed) and
+  // flash it. docSnapshot, when known, lets the gap be filled in one query.
+  async scrollToMessage(messageId, docSnapshot = null) {
+    const findEl = () =>
+      document.querySelector(
+        `#chatMessages [data-message-id="${CSS.escape(messageId)}"]`
+      );
+    let el = findEl();
+    if (!el && this.hasMoreHistory) {
+      showToast("Loading older messages...", "info");
+      if (docSnapshot) await this.loadOlderMessages({ untilDoc: docSnapshot });
+      el = findEl();
+      while (!el && this.hasMoreHistory) {
+        await this.loadOlderMessages();
+        el = findEl();
+      }
+    }
+    if (!el) {
+      showToast("That message is no longer available", "warning");
+      return false;
+    }
+    el.scrollIntoView({ block: "center", behavior: "smooth" });
+    el.classList.remove("highlighted");
+    void el.offsetWidth; // restart the animation on repeat jumps
+    el.classList.add("highlighted");
+    setTimeout(() => el.classList.remove("highlighted"), 2500);
+    return true;
+  }
+
+  // No scrollbar means no scroll event, so keep loading until there is one
+  _fillViewport() {
+    const container = document.getElementById("chatMessages");
+    if (
+      container &&
+      this.hasMoreHistory &&
+      container.scrollHeight <= container.clientHeight
+    )
+      this.loadOlderMessages();
+  }
+
+  _attachHistoryScroll() {
+    const container = document.getElementById("chatMessages");
+    if (!container || this._historyScrollAttached) return;
+    container.addEventListener(
+      "scroll",
+      () => {
+        if (container.scrollTop < 80) this.loadOlderMessages();
+      },
+      { passive: true }
+    );
+    this._historyScrollAttached = true;
+  }
+
+  _renderHistoryLoader(show) {
+    const container = document.getElementById("chatMessages");
+    if (!container) return;
+    let loader = container.querySelector(".history-loader");
+    if (!show) {
+      if (loader) loader.remove();
+      return;
+    }
+    if (!loader) {
+      loader = document.createElement("div");
+      loader.className = "history-loader";
+      loader.innerHTML = `<div class="spinner-border spinner-border-sm text-secondary" role="status"></div><span>Loading older messages...</span>`;
+      container.prepend(loader);
+    }
+  }
+
+  _rebuildSharedFiles() {
+    this.sharedFiles = this._sharedFilesFrom(this.messages);
+  }
+
+  // One entry per distinct file URL, newest first (also used by exports)
+  _sharedFilesFrom(messages) {
+    const filesMap = new Map();
+    for (const msg of messages) {
+      if (msg.isSystem || msg.deleted) continue;
+      if (msg.imageUrl) {
+        const key = msg.imageUrl;
+        if (!filesMap.has(key)) {
+          filesMap.set(key, {
+            id: `file-${this._makeHash(key)}`,
+            name: msg.fileName || this._extractFilenameFromUrl(key) || "image",
+            url: key,
+            type: "image",
+            sender:
+              msg.author ||
+              (msg.authorUid === this.userAuth.currentUser.uid
+                ? "You"
+                : msg.authorUid),
+            senderUid: msg.authorUid || null,
+            messageId: msg.id,
+            fileSize: msg.fileSize || null,
+            timestamp:
+              msg.timestamp && msg.timestamp.toDate
+                ? msg.timestamp.toDate().toISOString()
+                : (msg.timestamp || new Date()).toString(),
+            extension: this._extractExtension(msg.fileName || key),
+          });
+        }
+      }
+      if (msg.fileUrl) {
+        const key = msg.fileUrl;
+        if (!filesMap.has(key)) {
+          filesMap.set(key, {
+            id: `file-${this._makeHash(key)}`,
+            name: msg.fileName || this._extractFilenameFromUrl(key) || "file",
+            url: key,
+            type: "file",
+            sender:
+              msg.author ||
+              (msg.authorUid === this.userAuth.currentUser.uid
+                ? "You"
+                : msg.authorUid),
+            senderUid: msg.authorUid || null,
+            messageId: msg.id,
+            fileSize: msg.fileSize || null,
+            timestamp:
+              msg.timestamp && msg.timestamp.toDate
+                ? msg.timestamp.toDate().toISOString()
+                : (msg.timestamp || new Date()).toString(),
+            extension: this._extractExtension(msg.fileName || key),
+          });
+        }
+      }
+    }
+    return Array.from(filesMap.values()).reverse();
   }
 
   // ✅ FIXED: Enrich author name from userAuth instead of using raw Firestore author
@@ -318,7 +595,12 @@ export class ChatManager {
 
   // Render messages with author name outside the bubble
   renderMessages(options = {}) {
-    const { scrollIfNearBottom = false, scrollForOwnMessage = false } = options;
+    const {
+      scrollIfNearBottom = false,
+      scrollForOwnMessage = false,
+      preserveScroll = null,
+      scrollToUnread = false,
+    } = options;
     const chatMessages = document.getElementById("chatMessages");
     if (!chatMessages) return;
 
@@ -333,20 +615,86 @@ export class ChatManager {
         (chatMessages.scrollTop + chatMessages.clientHeight) <=
         120;
 
-    chatMessages.innerHTML = "";
+    this._renderMessageList(chatMessages, this.messages, {
+      unreadFromId: this._firstUnreadId(),
+    });
+    if (!this.hasMoreHistory) {
+      const start = document.createElement("div");
+      start.className = "history-start";
+      start.textContent = "This is the beginning of the conversation";
+      chatMessages.prepend(start);
+    }
+
+    this._attachScrollHandler("chatMessages");
+
+    let jumpToUnread = false;
+    try {
+      if (preserveScroll) {
+        // keep the same message under the viewport after prepending a page
+        chatMessages.scrollTop =
+          chatMessages.scrollHeight -
+          preserveScroll.prevHeight +
+          preserveScroll.prevTop;
+      } else if (scrollForOwnMessage) {
+        chatMessages.scrollTo({
+          top: chatMessages.scrollHeight,
+          behavior: "smooth",
+        });
+      } else if (scrollToUnread && this._unreadSince !== null) {
+        // open the room at the first unread message
+        const divider = chatMessages.querySelector(".unread-divider");
+        if (divider) divider.scrollIntoView({ block: "start" });
+        else if (this._hasUnloadedUnread()) jumpToUnread = true;
+        else chatMessages.scrollTop = chatMessages.scrollHeight;
+      } else if (wasNearBottomBefore) {
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+      }
+    } catch (e) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    // the first unread is older than the loaded page; it scrolls when found
+    if (jumpToUnread) {
+      this.jumpToUnread({ smooth: false });
+      return;
+    }
+    // run after scrolling so enrichment targets what is actually on screen
+    this._scheduleVisibleUpdate(true, "chatMessages");
+  }
+
+  // Checks loaded messages first, then Firestore, since older pages may not
+  // be loaded yet
+  async hasSystemMessage(text) {
+    if (this.messages.some((m) => m.isSystem && m.text === text)) return true;
+    try {
+      const snap = await this._messagesRef()
+        .where("isSystem", "==", true)
+        .where("text", "==", text)
+        .limit(1)
+        .get();
+      return !snap.empty;
+    } catch (err) {
+      console.debug("System message lookup failed:", err);
+      return false;
+    }
+  }
+
+  // Date separators + author grouping, shared by the main chat and threads
+  _renderMessageList(container, messages, options = {}) {
+    container.innerHTML = "";
     let currentDate = "";
 
     let prevAuthorUid = null;
     let prevTimestampMs = 0;
 
-    for (const msg of this.messages) {
+    for (const msg of messages) {
       const msgDate = this._toDate(msg.timestamp).toLocaleDateString();
       if (msgDate !== currentDate) {
         currentDate = msgDate;
         const dateSeparator = document.createElement("div");
         dateSeparator.className = "date-separator";
         dateSeparator.innerHTML = `<span>${msgDate}</span>`;
-        chatMessages.appendChild(dateSeparator);
+        container.appendChild(dateSeparator);
       }
 
       const msgTs = this._toDate(msg.timestamp).getTime();
@@ -354,136 +702,299 @@ export class ChatManager {
         prevAuthorUid && msg.authorUid && prevAuthorUid === msg.authorUid;
       const withinThreshold =
         Math.abs(msgTs - prevTimestampMs) <= this._groupThresholdMs;
-      const continued = sameAuthor && withinThreshold;
-
-      const messageElement = document.createElement("div");
-      messageElement.setAttribute("data-message-id", msg.id || "");
-      messageElement.setAttribute("data-author-uid", msg.authorUid || "");
-      const isSelf = msg.authorUid === this.userAuth.currentUser.uid;
-      messageElement.className = `chat-message ${isSelf ? "self" : ""} ${
-        continued ? "continued" : ""
-      }`;
+      let continued = sameAuthor && withinThreshold;
+
+      if (options.unreadFromId && msg.id === options.unreadFromId) {
+        const divider = document.createElement("div");
+        divider.className = "unread-divider";
+        divider.innerHTML = `<span>New messages</span>`;
+        container.appendChild(divider);
+        continued = false;
+      }
 
-      const timeStr = this._toDate(msg.timestamp).toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: true,
-      });
+      container.appendChild(
+        this._buildMessageElement(msg, { ...options, continued })
+      );
 
       if (msg.isSystem) {
-        messageElement.className = "chat-message system";
-        messageElement.innerHTML = `<div class="message-avatar" style="background:#999;"><i class="bi bi-info-circle"></i></div><div><div class="message-bubble system-bubble"><div class="message-content" style="font-style: italic; color: var(--medium-text);">${escapeHtml(
-          msg.text
-        )}</div><div class="message-meta"><span>System</span><span>${timeStr}</span></div></div></div>`;
-        chatMessages.appendChild(messageElement);
         prevAuthorUid = null;
         prevTimestampMs = 0;
-        continue;
-      }
-
-      let avatarHtml = "";
-      let authorNameHtml = "";
-      if (!continued) {
-        // ✅ FIXED: Use enriched author name
-        const enrichedAuthorName =
-          this._authorNamesCache[msg.authorUid] ||
-          msg.author ||
-          (msg.authorUid ? msg.authorUid.substring(0, 8) : "Unknown");
-
-        const placeholderAvatar =
-          enrichedAuthorName && enrichedAuthorName[0]
-            ? enrichedAuthorName[0].toUpperCase()
-            : "U";
-        avatarHtml = `<div class="message-avatar placeholder-avatar">${escapeHtml(
-          placeholderAvatar
-        )}</div>`;
-        authorNameHtml = `<div class="message-author">${escapeHtml(
-          enrichedAuthorName
-        )}</div>`;
       } else {
-        avatarHtml = `<div class="message-avatar message-avatar-placeholder"></div>`;
-        authorNameHtml = "";
+        prevAuthorUid = msg.authorUid || null;
+        prevTimestampMs = msgTs;
       }
+    }
+  }
 
-      let contentHtml = "";
-      if (msg.imageUrl) {
-        contentHtml = `<img src="${msg.imageUrl}" alt="Shared image" class="message-image" onclick="window.openImageModal('${msg.imageUrl}')">`;
-      } else if (msg.fileUrl && msg.fileName) {
-        const fileIcon = getFileIcon(
-          msg.fileName.split(".").pop().toLowerCase()
-        );
-        contentHtml = `<div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div><div style="font-weight:500;">${escapeHtml(
-          msg.fileName
-        )}</div><div style="font-size:12px;color:var(--medium-text);">${
-          formatFileSize(msg.fileSize) || ""
-        }</div></div></div><a href="${msg.fileUrl}" download="${escapeHtml(
-          msg.fileName
-        )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
-      } else {
-        contentHtml = escapeHtml(msg.text || "");
-      }
+  _buildMessageElement(msg, options = {}) {
+    const { continued = false, threadView = false } = options;
+    const messageElement = document.createElement("div");
+    messageElement.setAttribute("data-message-id", msg.id || "");
+    messageElement.setAttribute("data-author-uid", msg.authorUid || "");
+    const isSelf = msg.authorUid === this.userAuth.currentUser.uid;
+    messageElement.className = `chat-message ${isSelf ? "self" : ""} ${
+      continued ? "continued" : ""
+    }`;
 
-      let statusHtml = "";
-      if (isSelf) {
-        if (msg.status === "sending")
-          statusHtml =
-            '<span class="message-status sending" title="Sending..."><i class="bi bi-clock"></i></span>';
-        else if (msg.status === "error")
-          statusHtml = `<span class="message-status error" title="Failed to send. Click to retry." onclick="chatModule.retryMessage('${msg.id}')"><i class="bi bi-exclamation-circle"></i></span>`;
-        else
-          statusHtml =
-            '<span class="message-status sent" title="Sent"><i class="bi bi-check2"></i></span>';
-      }
+    const timeStr = this._toDate(msg.timestamp).toLocaleTimeString("en-US", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    });
+
+    if (msg.isSystem) {
+      messageElement.className = "chat-message system";
+      messageElement.innerHTML = `<div class="message-avatar" style="background:#999;"><i class="bi bi-info-circle"></i></div><div><div class="message-bubble system-bubble"><div class="message-content" style="font-style: italic; color: var(--medium-text);">${escapeHtml(
+        msg.text
+      )}</div><div class="message-meta"><span>System</span><span>${timeStr}</span></div></div></div>`;
+      return messageElement;
+    }
+
+    let avatarHtml = "";
+    let authorNameHtml = "";
+    if (!continued) {
+      // ✅ FIXED: Use enriched author name
+      const enrichedAuthorName =
+        this._authorNamesCache[msg.authorUid] ||
+        msg.author ||
+        (msg.authorUid ? msg.authorUid.substring(0, 8) : "Unknown");
+
+      const placeholderAvatar =
+        enrichedAuthorName && enrichedAuthorName[0]
+          ? enrichedAuthorName[0].toUpperCase()
+          : "U";
+      avatarHtml = `<div class="message-avatar placeholder-avatar">${escapeHtml(
+        placeholderAvatar
+      )}</div>`;
+      authorNameHtml = `<div class="message-author">${escapeHtml(
+        enrichedAuthorName
+      )}</div>`;
+    } else {
+      avatarHtml = `<div class="message-avatar message-avatar-placeholder"></div>`;
+      authorNameHtml = "";
+    }
 
-      messageElement.innerHTML = `${avatarHtml}<div class="message-body">${authorNameHtml}<div class="message-bubble"><div class="message-content">${contentHtml}</div><div class="message-meta"><span class="message-time">${timeStr}</span>${statusHtml}</div></div></div>`;
+    const isEditing = this.editingMessageId === msg.id && !msg.deleted;
+    const contentHtml = isEditing
+      ? this._renderEditForm(msg)
+      : this._renderMessageContent(msg);
+
+    let statusHtml = "";
+    if (isSelf) {
+      if (msg.status === "sending")
+        statusHtml =
+          '<span class="message-status sending" title="Sending..."><i class="bi bi-clock"></i></span>';
+      else if (msg.status === "queued")
+        statusHtml =
+          '<span class="message-status queued" title="Waiting for connection. Will send automatically."><i class="bi bi-cloud-slash"></i></span>';
+      else if (msg.status === "error")
+        statusHtml = `<span class="message-status error" title="Failed to send. Click to retry." onclick="chatModule.retryMessage('${msg.id}')"><i class="bi bi-exclamation-circle"></i></span>`;
+      else
+        statusHtml =
+          '<span class="message-status sent" title="Sent"><i class="bi bi-check2"></i></span>';
+    }
 
-      chatMessages.appendChild(messageElement);
+    const threadSummaryHtml =
+      !threadView && msg.replyCount > 0
+        ? `<button class="thread-summary" onclick="chatModule.openThread('${escapeHtml(
+            msg.id
+          )}')"><i class="bi bi-chat-left-text"></i> ${msg.replyCount} ${
+            msg.replyCount === 1 ? "reply" : "replies"
+          }</button>`
+        : "";
+
+    const pinnedHtml =
+      !threadView && window.pinModule && window.pinModule.isPinned(msg.id)
+        ? '<i class="bi bi-pin-angle-fill message-pinned" title="Pinned"></i>'
+        : "";
+
+    const editedHtml =
+      msg.editedAt && !msg.deleted
+        ? `<span class="message-edited" title="Edited ${escapeHtml(
+            this._toDate(msg.editedAt).toLocaleString()
+          )}">(edited)</span>`
+        : "";
+
+    if (msg.deleted) messageElement.classList.add("deleted");
+    if (
+      !isSelf &&
+      !msg.deleted &&
+      Array.isArray(msg.mentionUids) &&
+      msg.mentionUids.includes(this.userAuth.currentUser.uid)
+    )
+      messageElement.classList.add("mentions-me");
+
+    const reactionsHtml = this._renderReactions(msg);
+
+    messageElement.innerHTML = `${avatarHtml}<div class="message-body">${authorNameHtml}${
+      isEditing ? "" : this._renderMessageActions(msg, options)
+    }<div class="message-bubble"><div class="message-content">${contentHtml}</div><div class="message-meta"><span class="message-time">${pinnedHtml}${timeStr}${editedHtml}</span>${statusHtml}</div></div>${reactionsHtml}${threadSummaryHtml}</div>`;
+
+    if (isEditing) this._bindEditForm(messageElement);
+    if (reactionsHtml) this._bindReactionChips(messageElement, msg);
+
+    return messageElement;
+  }
 
-      prevAuthorUid = msg.authorUid || null;
-      prevTimestampMs = msgTs;
+  // Bubble body for a regular (non-system) message
+  _renderMessageContent(msg) {
+    if (msg.deleted) {
+      return `<span class="message-deleted"><i class="bi bi-slash-circle"></i> Message deleted</span>`;
+    }
+    if (msg.type === "poll" && window.pollModule) {
+      return window.pollModule.render(msg);
+    }
+    if (msg.pendingFile && !msg.imageUrl && !msg.fileUrl) {
+      const isVoice = msg.type === "voice";
+      const fileIcon = isVoice
+        ? "bi bi-mic-fill"
+        : msg.isImage
+        ? "bi bi-file-earmark-image"
+        : getFileIcon((msg.fileName || "").split(".").pop().toLowerCase());
+      const pct = `${Math.round((msg.progress || 0) * 100)}%`;
+      let state;
+      if (msg.status === "queued") state = "Waiting for connection";
+      else if (msg.status === "error") state = "Upload failed";
+      else if (msg.progress) state = `Uploading ${pct}`;
+      else state = "Waiting to upload";
+      return `<div class="upload-item"><div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div class="flex-grow-1"><div style="font-weight:500;">${escapeHtml(
+        isVoice ? "Voice note" : msg.fileName || "file"
+      )}</div><div style="font-size:12px;color:var(--medium-text);">${
+        formatFileSize(msg.fileSize) || ""
+      } • <span class="upload-progress-label">${state}</span></div></div><button class="upload-cancel-btn" title="Cancel upload" onclick="chatModule.cancelUpload('${escapeHtml(
+        msg.id
+      )}')"><i class="bi bi-x-lg"></i></button></div><div class="upload-progress"><div class="upload-progress-bar" style="width:${pct}"></div></div></div>`;
+    }
+    if (msg.type === "voice" && msg.fileUrl && window.voiceModule) {
+      return window.voiceModule.render(msg);
+    }
+    if (msg.imageUrl) {
+      return `<img src="${msg.imageUrl}" alt="Shared image" class="message-image" onclick="window.openImageModal('${msg.imageUrl}')">`;
+    }
+    if (msg.fileUrl && msg.fileName) {
+      const fileIcon = getFileIcon(msg.fileName.split(".").pop().toLowerCase());
+      const previewBtn = previewKind(msg.fileName, msg.fileType)
+        ? `<button class="btn btn-sm btn-outline-secondary mt-2 me-1" onclick="fileViewerModule.open('${escapeHtml(
+            msg.id
+          )}')"><i class="bi bi-eye"></i> Preview</button>`
+        : "";
+      return `<div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div><div style="font-weight:500;">${escapeHtml(
+        msg.fileName
+      )}</div><div style="font-size:12px;color:var(--medium-text);">${
+        formatFileSize(msg.fileSize) || ""
+      }</div></div></div>${previewBtn}<a href="${
+        msg.fileUrl
+      }" download="${escapeHtml(
+        msg.fileName
+      )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
     }
+    return formatMessage(msg.text, {
+      decorate: (html) => this._highlightMentions(html, msg),
+    });
+  }
 
-    this._attachScrollHandler();
-    this._scheduleVisibleUpdate(true);
+  // Wraps each stored mention in already-escaped text in a highlight span
+  _highlightMentions(html, msg) {
+    const mentions = (Array.isArray(msg.mentions) ? msg.mentions : []).filter(
+      (m) => m && m.uid && m.name
+    );
+    if (mentions.length === 0) return html;
+
+    // longest names first so "@Ana Cruz" wins over "@Ana"
+    const byTag = new Map();
+    mentions
+      .slice()
+      .sort((a, b) => b.name.length - a.name.length)
+      .forEach((m) => {
+        const tag = escapeHtml(`@${m.name}`);
+        if (!byTag.has(tag)) byTag.set(tag, m);
+      });
+    const pattern = new RegExp(
+      Array.from(byTag.keys()).map(escapeRegExp).join("|"),
+      "g"
+    );
+    const me = this.userAuth.currentUser.uid;
+    return html.replace(pattern, (tag) => {
+      const m = byTag.get(tag);
+      return `<span class="mention ${
+        m.uid === me ? "me" : ""
+      }" data-uid="${escapeHtml(m.uid)}">${tag}</span>`;
+    });
+  }
 
-    try {
-      if (scrollForOwnMessage) {
-        chatMessages.scrollTo({
-          top: chatMessages.scrollHeight,
-          behavior: "smooth",
-        });
-      } else if (wasNearBottomBefore) {
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-      }
-    } catch (e) {
-      chatMessages.scrollTop = chatMessages.scrollHeight;
+  // Hover toolbar for a persisted message. Optimistic (sending/queued/error)
+  // bubbles have no Firestore document yet, so they get no actions.
+  _renderMessageActions(msg, options = {}) {
+    const { threadView = false } = options;
+    if (!msg.id || (msg.status && msg.status !== "sent")) return "";
+    const id = escapeHtml(msg.id);
+    const buttons = [];
+    if (!msg.deleted) {
+      buttons.push(
+        `<button class="message-action-btn" title="Add reaction" onclick="chatModule.openReactionPicker('${id}', this)"><i class="bi bi-emoji-smile"></i></button>`
+      );
+    }
+    if (!threadView && !msg.deleted) {
+      buttons.push(
+        `<button class="message-action-btn" title="Reply in thread" onclick="chatModule.openThread('${id}')"><i class="bi bi-reply"></i></button>`
+      );
+    }
+    const pins = window.pinModule;
+    if (!threadView && !msg.deleted && pins && pins.canPin()) {
+      const pinned = pins.isPinned(msg.id);
+      buttons.push(
+        `<button class="message-action-btn" title="${
+          pinned ? "Unpin message" : "Pin message"
+        }" onclick="pinModule.togglePin('${id}')"><i class="bi bi-pin-angle${
+          pinned ? "-fill" : ""
+        }"></i></button>`
+      );
+    }
+    if (this._canEditMessage(msg)) {
+      buttons.push(
+        `<button class="message-action-btn" title="Edit message" onclick="chatModule.startEditMessage('${id}')"><i class="bi bi-pencil"></i></button>`
+      );
     }
+    if (this._canDeleteMessage(msg)) {
+      buttons.push(
+        `<button class="message-action-btn danger" title="Delete message" onclick="chatModule.deleteMessage('${id}')"><i class="bi bi-trash"></i></button>`
+      );
+    }
+    if ((msg.editedAt || msg.deleted) && this._canReviewHistory()) {
+      buttons.push(
+        `<button class="message-action-btn" title="View edit history" onclick="chatModule.openMessageHistory('${id}')"><i class="bi bi-clock-history"></i></button>`
+      );
+    }
+    if (buttons.length === 0) return "";
+    return `<div class="message-actions">${buttons.join("")}</div>`;
   }
 
-  _attachScrollHandler() {
-    const chatMessages = document.getElementById("chatMessages");
-    if (!chatMessages) return;
-    if (this._scrollHandlerAttached) return;
+  _attachScrollHandler(containerId = "chatMessages") {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (this._scrollHandlersAttached.has(containerId)) return;
     const onScroll = () => {
-      this._scheduleVisibleUpdate();
+      this._scheduleVisibleUpdate(false, containerId);
     };
-    chatMessages.addEventListener("scroll", onScroll, { passive: true });
-    this._scrollHandlerAttached = true;
+    container.addEventListener("scroll", onScroll, { passive: true });
+    this._scrollHandlersAttached.add(containerId);
   }
 
-  _scheduleVisibleUpdate(immediate = false) {
-    if (this._visibleUpdateTimer) clearTimeout(this._visibleUpdateTimer);
-    if (immediate) this._updateVisibleAuthors();
+  _scheduleVisibleUpdate(immediate = false, containerId = "chatMessages") {
+    if (this._visibleUpdateTimers[containerId])
+      clearTimeout(this._visibleUpdateTimers[containerId]);
+    if (immediate) this._updateVisibleAuthors(containerId);
     else
-      this._visibleUpdateTimer = setTimeout(
-        () => this._updateVisibleAuthors(),
+      this._visibleUpdateTimers[containerId] = setTimeout(
+        () => this._updateVisibleAuthors(containerId),
         this._visibleUpdateDelay
       );
   }
 
-  async _updateVisibleAuthors() {
-    const chatMessages = document.getElementById("chatMessages");
+  async _updateVisibleAuthors(containerId = "chatMessages") {
+    const chatMessages = document.getElementById(containerId);
     if (!chatMessages) return;
+    if (containerId === "chatMessages") this._updateUnreadUi();
     const children = Array.from(chatMessages.children);
     const messageEls = children.filter(
       (el) => !!(el.getAttribute && el.getAttribute("data-message-id"))
@@ -507,6 +1018,10 @@ export class ChatManager {
 
     const firstVisible = visibleIdx[0],
       lastVisible = visibleIdx[visibleIdx.length - 1];
+    if (containerId === "chatMessages")
+      this._advanceReadMarker(
+        messageEls.slice(firstVisible, lastVisible + 1).reverse()
+      );
     const immediateUids = new Set();
     for (let i = firstVisible; i <= lastVisible; i++) {
       const uid = messageEls[i].getAttribute("data-author-uid");
@@ -700,7 +1215,7 @@ export class ChatManager {
           msg.fileName
         )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
       } else {
-        contentHtml = escapeHtml(msg.text || "");
+        contentHtml = formatMessage(msg.text);
       }
 
       let statusHtml = "";
@@ -724,93 +1239,1305 @@ export class ChatManager {
 
   async sendMessage() {
     const messageInput = document.getElementById("messageInput");
-    const text = messageInput?.value.trim();
-    if (!text) return;
-    const roomId =
-      this.roomManager.currentRoomData._id ||
-      this.roomManager.currentRoomData.id;
-    const tempId = `temp-${Date.now()}`;
-    const chatMessages = document.getElementById("chatMessages");
-    if (chatMessages) {
-      const emptyState = chatMessages.querySelector(".empty-state");
-      if (emptyState) emptyState.remove();
-      this.messages.push({
-        id: tempId,
-        authorUid: this.userAuth.currentUser.uid,
-        text,
-        isSystem: false,
-        status: "sending",
-        timestamp: new Date(),
-      });
-      this.renderMessages({ scrollForOwnMessage: true });
+    let text = messageInput?.value.trim();
+    if (!text || !this._getRoomId()) return;
+
+    if (window.commandModule && window.commandModule.isCommand(text)) {
+      if (await window.commandModule.execute(text)) {
+        this._pendingMentions.clear();
+        messageInput.value = "";
+        this._autosizeInput();
+        if (this.previewVisible) this._updatePreview();
+      }
+      return;
     }
-    const originalText = messageInput.value;
+    // "//text" escapes a message that starts with "/"
+    if (text.startsWith("//")) text = text.slice(1);
+    // keep the draft so it can be sent once the mute ends
+    if (this._blockIfMuted()) return;
+
+    const mentionFields = this._collectMentions(text);
+    this._pendingMentions.clear();
     messageInput.value = "";
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages");
-    try {
-      const docRef = await messagesRef.add({
-        authorUid: this.userAuth.currentUser.uid,
-        author:
-          this.userAuth.currentUser.name ||
-          this.userAuth.currentUser.displayName,
-        text,
-        isSystem: false,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      });
-      const idx = this.messages.findIndex((m) => m.id === tempId);
-      if (idx !== -1) {
-        this.messages[idx].id = docRef.id;
-        this.messages[idx].status = "sent";
-      }
-    } catch (err) {
-      console.error("Failed to send message:", err);
-      const idx = this.messages.findIndex((m) => m.id === tempId);
-      if (idx !== -1) {
-        this.messages[idx].status = "error";
-        this.renderMessages();
+    this._autosizeInput();
+    if (this.previewVisible) this._updatePreview();
+
+    await this._enqueue({
+      kind: "text",
+      payload: { text, ...mentionFields },
+    });
+  }
+
+  // Queued one after another so the outbox keeps their order
+  async sendFiles(files) {
+    for (const file of files) await this.sendFile(file);
+  }
+
+  async sendFile(file) {
+    if (!file || !this._getRoomId()) return;
+    file = await downscaleImage(file);
+    if (
+      file.size > (window.__CONFIG__.clientMaxFileSizeBytes || 10 * 1024 * 1024)
+    ) {
+      showToast(`${file.name} is too large. Maximum size is 10MB.`, "error");
+      return;
+    }
+    await this._enqueue({
+      kind: "file",
+      file,
+      payload: {
+        text: "",
+        fileName: file.name,
+        fileType: file.type,
+        fileSize: file.size,
+      },
+    });
+  }
+
+  /**
+   * Queue a recorded voice note; it uploads and retries like any attachment.
+   * @param {Blob} blob recording from MediaRecorder
+   * @param {{duration: number, waveform: number[]}} voice
+   */
+  async sendVoiceNote(blob, voice) {
+    if (!blob || !this._getRoomId()) return;
+    const type = (blob.type || "audio/webm").split(";")[0];
+    const ext = { "audio/ogg": "ogg", "audio/mp4": "m4a" }[type] || "webm";
+    const stamp = new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/[-:]/g, "")
+      .replace("T", "-");
+    const file = new File([blob], `voice-note-${stamp}.${ext}`, { type });
+    if (
+      file.size > (window.__CONFIG__.clientMaxFileSizeBytes || 10 * 1024 * 1024)
+    ) {
+      showToast("Voice note is too large to send. Keep it shorter.", "error");
+      return;
+    }
+    await this._enqueue({
+      kind: "file",
+      file,
+      payload: {
+        text: "",
+        type: "voice",
+        voice,
+        fileName: file.name,
+        fileType: type,
+        fileSize: file.size,
+      },
+    });
+  }
+
+  // ===== OUTBOX =====
+  // Every outgoing message is persisted to IndexedDB before it is written, and
+  // its Firestore doc id is chosen up front. Flushing the same entry twice
+  // therefore finds the existing document rather than posting a duplicate.
+
+  async _enqueue({ kind, payload, file = null }) {
+    if (this._blockIfMuted()) return;
+    const entry = {
+      id: this._messagesRef().doc().id,
+      roomId: this._getRoomId(),
+      authorUid: this.userAuth.currentUser.uid,
+      createdAt: Date.now(),
+      kind,
+      payload,
+      file,
+      uploadedUrl: null,
+    };
+    try {
+      await this.outbox.put(entry);
+    } catch (err) {
+      // still send it; it just won't survive a reload
+      console.warn("Could not persist message to outbox:", err);
+    }
+    // replying means the user has caught up
+    this.markAllRead();
+    this._addOutboxBubble(entry, navigator.onLine ? "sending" : "queued");
+    this.renderMessages({ scrollForOwnMessage: true });
+    this._flushOutbox();
+  }
+
+  async _restoreOutbox() {
+    const roomId = this._getRoomId();
+    if (!roomId) return;
+    try {
+      const entries = await this.outbox.list(
+        roomId,
+        this.userAuth.currentUser.uid
+      );
+      if (entries.length === 0) return;
+      entries.forEach((entry) => this._addOutboxBubble(entry, "queued"));
+      this._composeMessages();
+      this.renderMessages({ scrollForOwnMessage: true });
+      this._flushOutbox();
+    } catch (err) {
+      console.warn("Could not read chat outbox:", err);
+    }
+  }
+
+  _addOutboxBubble(entry, status) {
+    const isImage =
+      entry.kind === "file" && /^image\//.test(entry.payload.fileType || "");
+    this._outboxPending.set(entry.id, {
+      id: entry.id,
+      authorUid: entry.authorUid,
+      isSystem: false,
+      ...entry.payload,
+      pendingFile: entry.kind === "file",
+      isImage,
+      status,
+      timestamp: new Date(entry.createdAt),
+      _entry: entry,
+    });
+    this._composeMessages();
+  }
+
+  _setOutboxStatus(id, status) {
+    const bubble = this._outboxPending.get(id);
+    if (!bubble || bubble.status === status) return;
+    bubble.status = status;
+    this.renderMessages();
+  }
+
+  // Sends queued entries one at a time, oldest first. Stops at the first
+  // failure so later messages never land before earlier ones.
+  async _flushOutbox() {
+    if (this._flushingOutbox) return;
+    if (this._outboxRetryTimer) {
+      clearTimeout(this._outboxRetryTimer);
+      this._outboxRetryTimer = null;
+    }
+    if (!navigator.onLine) {
+      for (const bubble of this._outboxPending.values())
+        if (bubble.status === "sending")
+          this._setOutboxStatus(bubble.id, "queued");
+      return;
+    }
+
+    this._flushingOutbox = true;
+    try {
+      // re-pick the oldest each round so messages queued mid-flush are included
+      for (;;) {
+        const bubble = Array.from(this._outboxPending.values()).sort(
+          (a, b) => a._entry.createdAt - b._entry.createdAt
+        )[0];
+        if (!bubble) break;
+        this._setOutboxStatus(bubble.id, "sending");
+        try {
+          await this._sendOutboxEntry(bubble._entry);
+          this._outboxPending.delete(bubble.id);
+          await this.outbox.remove(bubble.id).catch(() => {});
+          this._outboxRetryDelay = 2000;
+          this._composeMessages();
+          this.renderMessages();
+        } catch (err) {
+          // cancelUpload() already dropped the entry
+          if (err && err.name === "AbortError") continue;
+          if (err && err.code === "permission-denied") {
+            // not going to succeed on retry (e.g. removed from the room)
+            console.error("Message rejected, dropping from outbox:", err);
+            this._outboxPending.delete(bubble.id);
+            await this.outbox.remove(bubble.id).catch(() => {});
+            this._composeMessages();
+            this.renderMessages();
+            showToast(
+              "A message could not be sent and was discarded.",
+              "error"
+            );
+            continue;
+          }
+          console.error("Failed to send message (will retry):", err);
+          this._setOutboxStatus(
+            bubble.id,
+            navigator.onLine ? "error" : "queued"
+          );
+          if (navigator.onLine) this._scheduleOutboxRetry();
+          break;
+        }
+      }
+    } finally {
+      this._flushingOutbox = false;
+    }
+  }
+
+  _scheduleOutboxRetry() {
+    if (this._outboxRetryTimer) return;
+    const delay = this._outboxRetryDelay;
+    this._outboxRetryDelay = Math.min(60000, delay * 2);
+    this._outboxRetryTimer = setTimeout(() => {
+      this._outboxRetryTimer = null;
+      this._flushOutbox();
+    }, delay);
+  }
+
+  async _sendOutboxEntry(entry) {
+    const fields = { ...entry.payload };
+    if (entry.kind === "file") {
+      if (!entry.uploadedUrl) {
+        const file =
+          entry.file instanceof File
+            ? entry.file
+            : new File([entry.file], fields.fileName, {
+                type: fields.fileType,
+              });
+        const controller = new AbortController();
+        this._uploadControllers.set(entry.id, controller);
+        let url;
+        try {
+          ({ url } = await uploadFileToBackend(entry.roomId, file, {
+            signal: controller.signal,
+            onProgress: (fraction) =>
+              this._setUploadProgress(entry.id, fraction),
+          }));
+        } finally {
+          this._uploadControllers.delete(entry.id);
+        }
+        // cancelled just as the upload finished
+        if (!this._outboxPending.has(entry.id)) {
+          const e = new Error("Upload cancelled");
+          e.name = "AbortError";
+          throw e;
+        }
+        entry.uploadedUrl = url;
+        // remember the upload so a failed Firestore write doesn't re-upload
+        await this.outbox.put(entry).catch(() => {});
+      }
+      if (/^image\//.test(fields.fileType || ""))
+        fields.imageUrl = entry.uploadedUrl;
+      else fields.fileUrl = entry.uploadedUrl;
+    }
+
+    const ref = db
+      .collection("studyGroups")
+      .doc(entry.roomId)
+      .collection("messages")
+      .doc(entry.id);
+    const message = {
+      authorUid: this.userAuth.currentUser.uid,
+      author:
+        this.userAuth.currentUser.name || this.userAuth.currentUser.displayName,
+      isSystem: false,
+      ...fields,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+    // create-only: when an earlier attempt did land, leave the doc alone so
+    // reactions, edits and pins added since are not overwritten
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) tx.set(ref, message);
+    });
+
+    if (entry.kind === "file")
+      showToast(
+        fields.type === "voice"
+          ? "Voice note sent"
+          : fields.imageUrl
+          ? "Image shared successfully"
+          : "File shared successfully",
+        "success"
+      );
+  }
+
+  // Cancel a queued or uploading attachment
+  async cancelUpload(messageId) {
+    const bubble = this._outboxPending.get(messageId);
+    if (!bubble || !bubble.pendingFile) return;
+    this._outboxPending.delete(messageId);
+    const controller = this._uploadControllers.get(messageId);
+    if (controller) controller.abort();
+    await this.outbox.remove(messageId).catch(() => {});
+    this._composeMessages();
+    this.renderMessages();
+  }
+
+  // Progress is patched into the bubble in place; a full re-render per
+  // progress event would be wasteful
+  _setUploadProgress(id, fraction) {
+    const bubble = this._outboxPending.get(id);
+    if (!bubble) return;
+    bubble.progress = fraction;
+    const pct = `${Math.round(fraction * 100)}%`;
+    const el = document.querySelector(
+      `#chatMessages [data-message-id="${CSS.escape(id)}"]`
+    );
+    const bar = el && el.querySelector(".upload-progress-bar");
+    if (bar) bar.style.width = pct;
+    const label = el && el.querySelector(".upload-progress-label");
+    if (label) label.textContent = `Uploading ${pct}`;
+  }
+
+  _handlePaste(e) {
+    const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+    if (files.length === 0) return;
+    e.preventDefault();
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    this.sendFiles(
+      files.map((file, i) =>
+        // clipboard images all arrive as "image.png"
+        /^image\.\w+$/.test(file.name)
+          ? new File(
+              [file],
+              `pasted-${stamp}${i ? `-${i}` : ""}.${file.name
+                .split(".")
+                .pop()}`,
+              { type: file.type }
+            )
+          : file
+      )
+    );
+  }
+
+  _attachDropZone() {
+    const zone = document.querySelector(".chat-sidebar");
+    if (!zone) return;
+    let depth = 0; // dragenter/leave fire for every child element
+    const hasFiles = (e) =>
+      e.dataTransfer &&
+      Array.from(e.dataTransfer.types || []).includes("Files");
+    zone.addEventListener("dragenter", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth++;
+      zone.classList.add("drop-active");
+    });
+    zone.addEventListener("dragover", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    });
+    zone.addEventListener("dragleave", (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) zone.classList.remove("drop-active");
+    });
+    zone.addEventListener("drop", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      zone.classList.remove("drop-active");
+      const input = document.getElementById("messageInput");
+      if (input && input.disabled) return; // room locked
+      this.sendFiles(Array.from(e.dataTransfer.files || []));
+    });
+  }
+
+  async retryMessage(messageId) {
+    const pendingReply = this._threadPending.get(messageId);
+    if (pendingReply) {
+      pendingReply.status = "sending";
+      this._rebuildThreadMessages();
+      this.renderThread();
+      await this._commitThreadReply(pendingReply);
+      return;
+    }
+    if (!this._outboxPending.has(messageId)) return;
+    this._outboxRetryDelay = 2000;
+    await this._flushOutbox();
+  }
+
+  // ===== COMPOSER =====
+
+  togglePreview(force) {
+    this.previewVisible =
+      typeof force === "boolean" ? force : !this.previewVisible;
+    const preview = document.getElementById("composerPreview");
+    const btn = document.getElementById("composerPreviewBtn");
+    if (preview) preview.hidden = !this.previewVisible;
+    if (btn) {
+      btn.classList.toggle("active", this.previewVisible);
+      btn.setAttribute("aria-pressed", String(this.previewVisible));
+    }
+    if (this.previewVisible) this._updatePreview();
+  }
+
+  _updatePreview() {
+    const preview = document.getElementById("composerPreview");
+    const input = document.getElementById("messageInput");
+    if (!preview || !input) return;
+    const text = input.value.trim();
+    preview.innerHTML = text
+      ? `<div class="message-content">${formatMessage(text, {
+          decorate: (html) =>
+            this._highlightMentions(html, this._collectMentions(text)),
+        })}</div>`
+      : `<div class="composer-preview-empty">Nothing to preview. Use **bold**, *italic*, \`code\`, \`\`\` blocks and $math$.</div>`;
+  }
+
+  // Grow the composer with its content up to the CSS max-height
+  _autosizeInput() {
+    const input = document.getElementById("messageInput");
+    if (!input || input.tagName !== "TEXTAREA") return;
+    input.style.height = "auto";
+    input.style.height = `${input.scrollHeight}px`;
+  }
+
+  // ===== MENTIONS =====
+
+  _mentionProvider() {
+    return {
+      trigger: "@",
+      getItems: (query) => {
+        const q = query.toLowerCase();
+        const me = this.userAuth.currentUser.uid;
+        return (this.roomManager.participants || [])
+          .filter((p) => p.id !== me && p.name)
+          .filter(
+            (p) =>
+              !q ||
+              p.name
+                .toLowerCase()
+                .split(/\s+/)
+                .some((word) => word.startsWith(q))
+          )
+          .map((p) => ({
+            uid: p.id,
+            label: p.name,
+            avatar: p.avatar || p.name[0].toUpperCase(),
+            hint: p.isHost ? "Owner" : "",
+          }));
+      },
+      insert: (item) => `@${item.label}`,
+      onPick: (item) => this._pendingMentions.set(item.label, item.uid),
+    };
+  }
+
+  // Only mentions whose "@Name" text survived editing are stored
+  _collectMentions(text) {
+    const seen = new Set();
+    const mentions = [];
+    for (const [name, uid] of this._pendingMentions) {
+      if (seen.has(uid) || !text.includes(`@${name}`)) continue;
+      seen.add(uid);
+      mentions.push({ uid, name });
+    }
+    if (mentions.length === 0) return {};
+    return { mentions, mentionUids: mentions.map((m) => m.uid) };
+  }
+
+  // ===== UNREAD =====
+  // users/{uid}/roomState/{roomId}.lastReadAt holds the timestamp of the
+  // newest message that has actually been on screen; room cards count the
+  // messages after it (roomActivity.js).
+
+  _roomStateRef(roomId = this._getRoomId()) {
+    return db
+      .collection("users")
+      .doc(this.userAuth.currentUser.uid)
+      .collection("roomState")
+      .doc(roomId);
+  }
+
+  async _loadReadMarker() {
+    this._readMarker = null;
+    try {
+      const snap = await this._roomStateRef().get();
+      const ts = snap.exists ? snap.data().lastReadAt : null;
+      if (ts && typeof ts.toMillis === "function")
+        this._readMarker = { ms: ts.toMillis(), ts };
+    } catch (err) {
+      console.debug("Failed to read lastReadAt:", err);
+    }
+    // first visit: nothing is "new", the room just opens at the bottom
+    this._unreadSince = this._readMarker ? this._readMarker.ms : null;
+  }
+
+  // Server timestamp in ms; null while a write is still pending
+  _millis(ts) {
+    return ts && typeof ts.toMillis === "function" ? ts.toMillis() : null;
+  }
+
+  _isUnread(msg) {
+    if (this._unreadSince === null) return false;
+    if (msg.authorUid === this.userAuth.currentUser.uid || msg.isSystem)
+      return false;
+    const ms = this._millis(msg.timestamp);
+    return ms !== null && ms > this._unreadSince;
+  }
+
+  // The oldest loaded message is already unread, so older unread ones may
+  // still be in history that hasn't been loaded
+  _hasUnloadedUnread() {
+    if (this._unreadSince === null || !this.hasMoreHistory) return false;
+    const oldest = this._olderMessages[0] || this._liveMessages[0];
+    const ms = oldest && this._millis(oldest.timestamp);
+    return !!ms && ms > this._unreadSince;
+  }
+
+  _firstUnreadId() {
+    if (this._hasUnloadedUnread()) return null;
+    const first = this.messages.find((m) => this._isUnread(m));
+    return first ? first.id : null;
+  }
+
+  // visibleEls: on-screen message elements, newest first
+  _advanceReadMarker(visibleEls) {
+    if (document.visibilityState !== "visible" || this._jumpingToUnread) return;
+    for (const el of visibleEls) {
+      const id = el.getAttribute("data-message-id");
+      const msg = this.messages.find((m) => m.id === id);
+      const ms = msg && this._millis(msg.timestamp);
+      if (!ms) continue; // pending bubble
+      if (this._readMarker && ms <= this._readMarker.ms) return;
+      this._readMarker = { ms, ts: msg.timestamp };
+      this._markRoomRead();
+      return;
+    }
+  }
+
+  // Marks everything loaded as read and drops the divider (on send, or the
+  // "mark as read" button). Callers re-render.
+  markAllRead() {
+    const newest = [...this.messages]
+      .reverse()
+      .find((m) => this._millis(m.timestamp));
+    const ms = newest && this._millis(newest.timestamp);
+    if (ms && (!this._readMarker || ms > this._readMarker.ms)) {
+      this._readMarker = { ms, ts: newest.timestamp };
+      this._markRoomRead();
+    }
+    this._unreadSince = null;
+  }
+
+  async jumpToUnread({ smooth = true } = {}) {
+    if (this._unreadSince === null || this._jumpingToUnread) return;
+    this._jumpingToUnread = true;
+    try {
+      while (this._hasUnloadedUnread()) {
+        const cursor = this._oldestCursor;
+        await this.loadOlderMessages();
+        if (this._oldestCursor === cursor) break; // page failed to load
       }
+      document.querySelector("#chatMessages .unread-divider")?.scrollIntoView({
+        block: "start",
+        behavior: smooth ? "smooth" : "auto",
+      });
+    } catch (err) {
+      console.error("Failed to jump to unread messages:", err);
+    } finally {
+      this._jumpingToUnread = false;
+      this._scheduleVisibleUpdate(false, "chatMessages");
+    }
+  }
+
+  _onVisibilityChange() {
+    if (document.visibilityState === "visible") {
+      this._scheduleVisibleUpdate(false, "chatMessages");
+      return;
+    }
+    // leaving the tab: whatever arrives meanwhile gets a divider
+    if (
+      this._readMarker &&
+      !this._firstUnreadId() &&
+      !this._hasUnloadedUnread()
+    )
+      this._unreadSince = this._readMarker.ms;
+  }
+
+  // "N new messages" bar while the first unread message is above the viewport
+  _updateUnreadUi() {
+    const bar = document.getElementById("jumpToUnread");
+    const container = document.getElementById("chatMessages");
+    if (!bar || !container) return;
+    const unloaded = this._hasUnloadedUnread();
+    const divider = container.querySelector(".unread-divider");
+    const show =
+      unloaded ||
+      (!!divider &&
+        divider.getBoundingClientRect().bottom <
+          container.getBoundingClientRect().top);
+    bar.hidden = !show;
+    if (!show) return;
+    const count = this.messages.filter((m) => this._isUnread(m)).length;
+    const label = bar.querySelector(".jump-unread-label");
+    if (label)
+      label.textContent = `${count}${unloaded ? "+" : ""} new message${
+        count === 1 && !unloaded ? "" : "s"
+      }`;
+  }
+
+  // Persist the read marker, at most every 2s
+  _markRoomRead() {
+    if (document.visibilityState !== "visible" || this._markReadTimer) return;
+    const roomId = this._getRoomId();
+    if (!roomId) return;
+    this._markReadTimer = setTimeout(() => {
+      this._markReadTimer = null;
+      this._saveReadMarker(roomId);
+    }, 2000);
+  }
+
+  async _saveReadMarker(roomId = this._getRoomId()) {
+    if (!this._readMarker || !roomId) return;
+    try {
+      await this._roomStateRef(roomId).set(
+        { lastReadAt: this._readMarker.ts },
+        { merge: true }
+      );
+    } catch (err) {
+      console.debug("Failed to update lastReadAt:", err);
+    }
+  }
+
+  // ===== THREADS =====
+  // Replies are stored in studyGroups/{roomId}/messages/{parentId}/replies so
+  // the main messages listener never sees them; the parent keeps a replyCount.
+
+  async openThread(messageId) {
+    if (!messageId || !this.roomManager.currentRoomData) return;
+    const panel = document.getElementById("threadPanel");
+    if (!panel) return;
+
+    if (this.activeThreadId !== messageId) {
+      this.closeThread();
+      this.activeThreadId = messageId;
+      this.activeThreadParent =
+        this.messages.find((m) => m.id === messageId) || null;
+    }
+    panel.classList.add("open");
+    panel.setAttribute("aria-hidden", "false");
+
+    if (!this.activeThreadParent) {
+      try {
+        const doc = await this._messagesRef().doc(messageId).get();
+        if (doc.exists) this.activeThreadParent = { id: doc.id, ...doc.data() };
+      } catch (err) {
+        console.error("Error loading thread parent:", err);
+      }
+      // user may have switched threads while the parent was loading
+      if (this.activeThreadId !== messageId) return;
+    }
+    this._renderThreadParent();
+
+    if (!this.unsubscribeThread) this._subscribeThread(messageId);
+    document.getElementById("threadInput")?.focus();
+  }
+
+  _subscribeThread(parentId) {
+    const threadMessages = document.getElementById("threadMessages");
+    if (threadMessages)
+      threadMessages.innerHTML = `<div class="loading-messages"><div class="spinner-border spinner-border-sm text-secondary" role="status"></div><span>Loading replies...</span></div>`;
+
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribeThread = this._messagesRef()
+        .doc(parentId)
+        .collection("replies")
+        .orderBy("timestamp", "asc")
+        .onSnapshot(
+          (snapshot) => {
+            if (this.activeThreadId !== parentId) return;
+            this._threadSnapshot = [];
+            snapshot.forEach((doc) =>
+              this._threadSnapshot.push({ id: doc.id, ...doc.data() })
+            );
+            this._rebuildThreadMessages();
+
+            const el = document.getElementById("threadMessages");
+            const wasNearBottom =
+              !el || el.scrollHeight - (el.scrollTop + el.clientHeight) <= 120;
+            this.renderThread({ scrollIfNearBottom: wasNearBottom });
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for thread replies:", error);
+            try {
+              if (this.unsubscribeThread) this.unsubscribeThread();
+            } catch (e) {}
+            this.unsubscribeThread = null;
+            if (this.activeThreadId !== parentId) return;
+            setTimeout(() => {
+              if (this.activeThreadId !== parentId) return;
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  // Merge server replies with optimistic ones; a reply stays "sending" until
+  // its batch commit resolves, even if the local echo already arrived.
+  _rebuildThreadMessages() {
+    const pending = Array.from(this._threadPending.values()).filter(
+      (reply) => reply.parentId === this.activeThreadId
+    );
+    const pendingIds = new Set(pending.map((m) => m.id));
+    this.threadMessages = [
+      ...this._threadSnapshot.filter((m) => !pendingIds.has(m.id)),
+      ...pending,
+    ];
+  }
+
+  renderThread(options = {}) {
+    const { scrollIfNearBottom = false, scrollForOwnMessage = false } = options;
+    const threadMessages = document.getElementById("threadMessages");
+    if (!threadMessages) return;
+
+    if (this.threadMessages.length === 0) {
+      threadMessages.innerHTML = `<div class="empty-state"><i class="bi bi-chat-left-text empty-state-icon"></i><div>No replies yet</div><div>Start the thread!</div></div>`;
+      return;
+    }
+
+    this._renderMessageList(threadMessages, this.threadMessages, {
+      threadView: true,
+    });
+    this._attachScrollHandler("threadMessages");
+    this._scheduleVisibleUpdate(true, "threadMessages");
+
+    if (scrollForOwnMessage || scrollIfNearBottom)
+      threadMessages.scrollTop = threadMessages.scrollHeight;
+  }
+
+  _renderThreadParent() {
+    const parentEl = document.getElementById("threadParent");
+    if (!parentEl) return;
+    const parent = this.activeThreadParent;
+    if (!parent) {
+      parentEl.innerHTML = `<div class="thread-parent-missing">Original message is unavailable</div>`;
+      return;
+    }
+    this._renderMessageList(parentEl, [parent], { threadView: true });
+    const count = parent.replyCount || 0;
+    const countEl = document.createElement("div");
+    countEl.className = "thread-reply-count";
+    countEl.textContent = `${count} ${count === 1 ? "reply" : "replies"}`;
+    parentEl.appendChild(countEl);
+    this._scheduleVisibleUpdate(true, "threadParent");
+  }
+
+  closeThread() {
+    if (this.unsubscribeThread) {
+      try {
+        this.unsubscribeThread();
+      } catch (e) {}
+      this.unsubscribeThread = null;
+    }
+    this.activeThreadId = null;
+    this.activeThreadParent = null;
+    this.threadMessages = [];
+    this._threadSnapshot = [];
+
+    const panel = document.getElementById("threadPanel");
+    if (panel) {
+      panel.classList.remove("open");
+      panel.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  async sendThreadReply() {
+    const threadInput = document.getElementById("threadInput");
+    const text = threadInput?.value.trim();
+    if (!text || !this.activeThreadId) return;
+    if (this._blockIfMuted()) return;
+
+    const parentId = this.activeThreadId;
+    const replyRef = this._messagesRef()
+      .doc(parentId)
+      .collection("replies")
+      .doc();
+    const pending = {
+      id: replyRef.id,
+      parentId,
+      authorUid: this.userAuth.currentUser.uid,
+      text,
+      isSystem: false,
+      status: "sending",
+      timestamp: new Date(),
+    };
+    this._threadPending.set(pending.id, pending);
+    threadInput.value = "";
+
+    this._rebuildThreadMessages();
+    this.renderThread({ scrollForOwnMessage: true });
+    await this._commitThreadReply(pending);
+  }
+
+  // Writes the reply and bumps the parent's counter atomically
+  async _commitThreadReply(pending) {
+    const parentRef = this._messagesRef().doc(pending.parentId);
+    const batch = db.batch();
+    batch.set(parentRef.collection("replies").doc(pending.id), {
+      authorUid: this.userAuth.currentUser.uid,
+      author:
+        this.userAuth.currentUser.name || this.userAuth.currentUser.displayName,
+      text: pending.text,
+      isSystem: false,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.update(parentRef, {
+      replyCount: firebase.firestore.FieldValue.increment(1),
+      lastReplyAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+    try {
+      await batch.commit();
+      this._threadPending.delete(pending.id);
+    } catch (err) {
+      console.error("Failed to send thread reply:", err);
+      pending.status = "error";
       showToast(
-        "Failed to send message. Click on the error icon to retry.",
+        "Failed to send reply. Click on the error icon to retry.",
         "error"
       );
-      messageInput.value = originalText;
+    }
+    if (this.activeThreadId === pending.parentId) {
+      this._rebuildThreadMessages();
+      this.renderThread();
     }
   }
 
-  async retryMessage(messageId) {
-    const message = this.messages.find((m) => m.id === messageId);
-    if (!message) return;
-    message.status = "sending";
+  // ===== EDIT / DELETE =====
+  // Every edit or delete first copies the previous version into
+  // {message}/history so the room owner and admins can review it later.
+
+  _canEditMessage(msg) {
+    return (
+      !msg.deleted &&
+      !msg.isSystem &&
+      msg.authorUid === this.userAuth.currentUser.uid &&
+      !msg.imageUrl &&
+      !msg.fileUrl &&
+      msg.type !== "poll"
+    );
+  }
+
+  // Authors can delete their own messages; roles with deleteMessages can
+  // delete any
+  _canDeleteMessage(msg) {
+    if (msg.deleted || msg.isSystem) return false;
+    return (
+      msg.authorUid === this.userAuth.currentUser.uid ||
+      this.roomManager.can("deleteMessages")
+    );
+  }
+
+  _canReviewHistory() {
+    return this.roomManager.isOwner || this.isAdmin;
+  }
+
+  // Resolve a message id to its data + document ref, whether it is a
+  // top-level message or a reply in the open thread
+  _findMessage(messageId) {
+    if (!messageId) return null;
+    const reply = this.activeThreadId
+      ? this.threadMessages.find((m) => m.id === messageId)
+      : null;
+    if (reply) {
+      return {
+        msg: reply,
+        ref: this._messagesRef()
+          .doc(this.activeThreadId)
+          .collection("replies")
+          .doc(messageId),
+      };
+    }
+    const msg =
+      this.messages.find((m) => m.id === messageId) ||
+      (this.activeThreadParent && this.activeThreadParent.id === messageId
+        ? this.activeThreadParent
+        : null);
+    if (!msg) return null;
+    return { msg, ref: this._messagesRef().doc(messageId) };
+  }
+
+  _rerenderMessageViews() {
     this.renderMessages();
-    const roomId =
-      this.roomManager.currentRoomData._id ||
-      this.roomManager.currentRoomData.id;
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages");
+    if (this.activeThreadId) {
+      this._renderThreadParent();
+      this.renderThread();
+    }
+  }
+
+  startEditMessage(messageId) {
+    const found = this._findMessage(messageId);
+    if (!found || !this._canEditMessage(found.msg)) return;
+    this.editingMessageId = messageId;
+    this._editDraft = found.msg.text || "";
+    this._rerenderMessageViews();
+  }
+
+  cancelEditMessage() {
+    this.editingMessageId = null;
+    this._editDraft = "";
+    this._rerenderMessageViews();
+  }
+
+  _renderEditForm() {
+    return `<textarea class="message-edit-input" rows="2" aria-label="Edit message">${escapeHtml(
+      this._editDraft
+    )}</textarea><div class="message-edit-actions"><small>Enter to save • Esc to cancel</small><button class="btn btn-sm btn-outline-secondary" onclick="chatModule.cancelEditMessage()">Cancel</button><button class="btn btn-sm btn-success" onclick="chatModule.saveEditMessage()">Save</button></div>`;
+  }
+
+  _bindEditForm(messageElement) {
+    const input = messageElement.querySelector(".message-edit-input");
+    if (!input) return;
+    input.addEventListener("input", () => {
+      this._editDraft = input.value;
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        this.saveEditMessage();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.cancelEditMessage();
+      }
+    });
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    });
+  }
+
+  async saveEditMessage() {
+    const found = this._findMessage(this.editingMessageId);
+    if (!found || !this._canEditMessage(found.msg)) {
+      this.cancelEditMessage();
+      return;
+    }
+    const { msg, ref } = found;
+    const newText = this._editDraft.trim();
+    if (!newText) {
+      showToast("Message cannot be empty. Delete it instead.", "warning");
+      return;
+    }
+    if (newText === msg.text) {
+      this.cancelEditMessage();
+      return;
+    }
+    // an edit is new content too; the draft stays open
+    if (this._blockIfMuted()) return;
+
+    const batch = db.batch();
+    batch.set(ref.collection("history").doc(), {
+      action: "edit",
+      text: msg.text || "",
+      changedBy: this.userAuth.currentUser.uid,
+      changedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.update(ref, {
+      text: newText,
+      editedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      editCount: firebase.firestore.FieldValue.increment(1),
+    });
+
+    const previous = { text: msg.text, editedAt: msg.editedAt };
+    msg.text = newText;
+    msg.editedAt = new Date();
+    this.editingMessageId = null;
+    this._editDraft = "";
+    this._rerenderMessageViews();
+
     try {
-      await messagesRef.add({
-        authorUid: this.userAuth.currentUser.uid,
-        author:
-          this.userAuth.currentUser.name ||
-          this.userAuth.currentUser.displayName,
-        text: message.text,
-        isSystem: false,
-        imageUrl: message.imageUrl,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      });
-      this.messages = this.messages.filter((m) => m.id !== messageId);
-      showToast("Message sent successfully", "success");
+      await batch.commit();
     } catch (err) {
-      console.error("Failed to retry message:", err);
-      message.status = "error";
-      this.renderMessages();
-      showToast("Failed to send message. Please try again.", "error");
+      console.error("Failed to edit message:", err);
+      msg.text = previous.text;
+      msg.editedAt = previous.editedAt;
+      this._rerenderMessageViews();
+      showToast("Failed to edit message. Please try again.", "error");
+    }
+  }
+
+  async deleteMessage(messageId) {
+    const found = this._findMessage(messageId);
+    if (!found || !this._canDeleteMessage(found.msg)) return;
+    const { msg, ref } = found;
+    const isOwn = msg.authorUid === this.userAuth.currentUser.uid;
+    if (
+      !confirm(
+        isOwn
+          ? "Delete this message? Other participants will see that it was deleted."
+          : "Delete this participant's message? Other participants will see that it was deleted."
+      )
+    )
+      return;
+
+    const FieldValue = firebase.firestore.FieldValue;
+    const batch = db.batch();
+    batch.set(ref.collection("history").doc(), {
+      action: "delete",
+      text: msg.text || "",
+      imageUrl: msg.imageUrl || null,
+      fileUrl: msg.fileUrl || null,
+      fileName: msg.fileName || null,
+      changedBy: this.userAuth.currentUser.uid,
+      changedAt: FieldValue.serverTimestamp(),
+    });
+    batch.update(ref, {
+      deleted: true,
+      deletedAt: FieldValue.serverTimestamp(),
+      deletedBy: this.userAuth.currentUser.uid,
+      text: "",
+      imageUrl: FieldValue.delete(),
+      fileUrl: FieldValue.delete(),
+      fileName: FieldValue.delete(),
+      fileType: FieldValue.delete(),
+      fileSize: FieldValue.delete(),
+    });
+
+    if (this.editingMessageId === messageId) {
+      this.editingMessageId = null;
+      this._editDraft = "";
     }
+
+    try {
+      await batch.commit();
+      showToast("Message deleted", "success");
+    } catch (err) {
+      console.error("Failed to delete message:", err);
+      showToast("Failed to delete message. Please try again.", "error");
+    }
+  }
+
+  async openMessageHistory(messageId) {
+    if (!this._canReviewHistory()) return;
+    const found = this._findMessage(messageId);
+    if (!found) return;
+
+    let versions = [];
+    try {
+      const snap = await found.ref
+        .collection("history")
+        .orderBy("changedAt", "desc")
+        .get();
+      snap.forEach((doc) => versions.push({ id: doc.id, ...doc.data() }));
+    } catch (err) {
+      console.error("Failed to load message history:", err);
+      showToast("Could not load message history", "error");
+      return;
+    }
+
+    let names = {};
+    try {
+      names = await this.userAuth.getUserDisplayInfos(
+        versions.map((v) => v.changedBy)
+      );
+    } catch (err) {
+      console.debug("History author lookup failed:", err);
+    }
+
+    const currentHtml = found.msg.deleted
+      ? `<div class="history-entry current"><div class="history-entry-meta"><span class="badge bg-secondary">Deleted</span></div></div>`
+      : `<div class="history-entry current"><div class="history-entry-meta"><span class="badge bg-success">Current</span></div><div class="history-entry-text">${escapeHtml(
+          found.msg.text || found.msg.fileName || ""
+        )}</div></div>`;
+
+    const versionsHtml = versions
+      .map((v) => {
+        const who =
+          (names[v.changedBy] && names[v.changedBy].displayName) ||
+          (v.changedBy || "").substring(0, 8);
+        const label =
+          v.action === "delete"
+            ? '<span class="badge bg-danger">Before delete</span>'
+            : '<span class="badge bg-primary">Before edit</span>';
+        return `<div class="history-entry"><div class="history-entry-meta">${label}<span>${escapeHtml(
+          who
+        )} • ${escapeHtml(
+          this._toDate(v.changedAt).toLocaleString()
+        )}</span></div><div class="history-entry-text">${escapeHtml(
+          v.text || v.fileName || ""
+        )}</div></div>`;
+      })
+      .join("");
+
+    const modal = document.createElement("div");
+    modal.className = "modal fade";
+    modal.innerHTML = `<div class="modal-dialog modal-dialog-centered modal-dialog-scrollable"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"><i class="bi bi-clock-history"></i> Message History</h5><button type="button" class="btn-close" data-bs-dismiss="modal"></button></div><div class="modal-body message-history">${currentHtml}${
+      versionsHtml ||
+      '<div class="text-muted text-center p-3">No previous versions recorded</div>'
+    }</div><div class="modal-footer"><button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button></div></div></div>`;
+    document.body.appendChild(modal);
+    try {
+      const bs = new bootstrap.Modal(modal);
+      bs.show();
+      modal.addEventListener("hidden.bs.modal", () => modal.remove());
+    } catch (err) {
+      console.error("Error showing history modal:", err);
+      modal.remove();
+    }
+  }
+
+  // ===== REACTIONS =====
+
+  _renderReactions(msg) {
+    if (msg.deleted || !msg.reactions || !msg.id) return "";
+    const uid = this.userAuth.currentUser.uid;
+    const id = escapeHtml(msg.id);
+    const chips = REACTION_EMOJIS.map((emoji) => {
+      const uids = Array.isArray(msg.reactions[emoji])
+        ? msg.reactions[emoji]
+        : [];
+      if (uids.length === 0) return "";
+      return `<button class="reaction-chip ${
+        uids.includes(uid) ? "mine" : ""
+      }" data-emoji="${emoji}" title="${escapeHtml(
+        this._reactorsLabel(uids, emoji)
+      )}" onclick="chatModule.toggleReaction('${id}', '${emoji}')"><span>${emoji}</span><span class="reaction-count">${
+        uids.length
+      }</span></button>`;
+    }).join("");
+    return chips ? `<div class="message-reactions">${chips}</div>` : "";
+  }
+
+  // "You, Ana and 2 others reacted with 👍" from whatever names are cached
+  _reactorsLabel(uids, emoji) {
+    const uid = this.userAuth.currentUser.uid;
+    const names = uids.map((u) =>
+      u === uid ? "You" : this._authorNamesCache[u] || u.substring(0, 8)
+    );
+    let who = names[0] || "";
+    if (names.length === 2) who = `${names[0]} and ${names[1]}`;
+    else if (names.length > 2)
+      who = `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+    return `${who} reacted with ${emoji}`;
+  }
+
+  // Resolve reactor names lazily the first time a chip is hovered
+  _bindReactionChips(messageElement, msg) {
+    messageElement.querySelectorAll(".reaction-chip").forEach((chip) => {
+      chip.addEventListener(
+        "mouseenter",
+        async () => {
+          const emoji = chip.getAttribute("data-emoji");
+          const uids = (msg.reactions && msg.reactions[emoji]) || [];
+          const missing = uids.filter(
+            (u) =>
+              u !== this.userAuth.currentUser.uid && !this._authorNamesCache[u]
+          );
+          if (missing.length === 0) return;
+          try {
+            const infos = await this.userAuth.getUserDisplayInfos(missing);
+            for (const [u, info] of Object.entries(infos)) {
+              if (info && info.displayName)
+                this._authorNamesCache[u] = info.displayName;
+            }
+            chip.title = this._reactorsLabel(uids, emoji);
+          } catch (err) {
+            console.debug("Reactor name lookup failed:", err);
+          }
+        },
+        { once: true }
+      );
+    });
+  }
+
+  // Toggle the current user's reaction. The write goes through the existing
+  // snapshot listeners (local echo), so no manual re-render is needed.
+  async toggleReaction(messageId, emoji) {
+    this.closeReactionPicker();
+    if (!REACTION_EMOJIS.includes(emoji)) return;
+    const found = this._findMessage(messageId);
+    if (!found || found.msg.deleted) return;
+    const uid = this.userAuth.currentUser.uid;
+    const current = (found.msg.reactions && found.msg.reactions[emoji]) || [];
+    const FieldValue = firebase.firestore.FieldValue;
+    try {
+      await found.ref.update(
+        new firebase.firestore.FieldPath("reactions", emoji),
+        current.includes(uid)
+          ? FieldValue.arrayRemove(uid)
+          : FieldValue.arrayUnion(uid)
+      );
+    } catch (err) {
+      console.error("Failed to update reaction:", err);
+      showToast("Failed to update reaction", "error");
+    }
+  }
+
+  openReactionPicker(messageId, anchorEl) {
+    this.closeReactionPicker();
+    if (!anchorEl) return;
+    const picker = document.createElement("div");
+    picker.className = "reaction-picker";
+    picker.innerHTML = REACTION_EMOJIS.map(
+      (emoji) =>
+        `<button class="reaction-picker-btn" data-emoji="${emoji}">${emoji}</button>`
+    ).join("");
+    picker.addEventListener("click", (e) => {
+      const btn = e.target.closest(".reaction-picker-btn");
+      if (btn) this.toggleReaction(messageId, btn.getAttribute("data-emoji"));
+    });
+    document.body.appendChild(picker);
+
+    const rect = anchorEl.getBoundingClientRect();
+    const left = Math.min(
+      Math.max(8, rect.left + rect.width / 2 - picker.offsetWidth / 2),
+      window.innerWidth - picker.offsetWidth - 8
+    );
+    const top =
+      rect.top - picker.offsetHeight - 6 > 8
+        ? rect.top - picker.offsetHeight - 6
+        : rect.bottom + 6;
+    picker.style.left = `${left}px`;
+    picker.style.top = `${top}px`;
+
+    const onOutside = (e) => {
+      if (!picker.contains(e.target) && e.target !== anchorEl)
+        this.closeReactionPicker();
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") this.closeReactionPicker();
+    };
+    // defer so the click that opened the picker doesn't close it
+    setTimeout(() => document.addEventListener("mousedown", onOutside), 0);
+    document.addEventListener("keydown", onKey);
+    this._reactionPicker = {
+      el: picker,
+      detach: () => {
+        document.removeEventListener("mousedown", onOutside);
+        document.removeEventListener("keydown", onKey);
+      },
+    };
+  }
+
+  closeReactionPicker() {
+    if (!this._reactionPicker) return;
+    this._reactionPicker.detach();
+    this._reactionPicker.el.remove();
+    this._reactionPicker = null;
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+
+  _messagesRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("messages");
+  }
+
+  cleanup() {
+    if (this.unsubscribeMessages) {
+      try {
+        this.unsubscribeMessages();
+      } catch (e) {}
+      this.unsubscribeMessages = null;
+    }
+    this._unwatchOlderPages();
+    this.closeThread();
+    this.closeReactionPicker();
+    // don't lose the last couple of seconds of reading
+    if (this._markReadTimer) {
+      clearTimeout(this._markReadTimer);
+      this._markReadTimer = null;
+      this._saveReadMarker();
+    }
+  }
+
+  // The backend rejects writes from muted users; explain it before trying
+  _blockIfMuted() {
+    const mute = this.roomManager.activeMute?.(this.userAuth.currentUser.uid);
+    if (!mute) return false;
+    showToast(muteMessage(mute), "warning");
+    return true;
   }
 
   async sendSystemMessage(text) {
@@ -864,15 +2591,22 @@ export class ChatManager {
           file.type === "image"
             ? "bi bi-file-earmark-image text-primary"
             : getFileIcon(file.extension || "");
+        const canPreview =
+          file.messageId && (file.type === "image" || previewKind(file.name));
+        const previewBtn = canPreview
+          ? `<button class="btn btn-sm btn-outline-secondary" title="Preview" onclick="fileViewerModule.open('${escapeHtml(
+              file.messageId
+            )}')"><i class="bi bi-eye"></i></button>`
+          : "";
         return `<div class="card mb-2"><div class="card-body p-2"><div class="d-flex justify-content-between align-items-center"><div class="d-flex align-items-center gap-2"><i class="${fileIcon}" style="font-size:1.5rem;"></i><div><div class="fw-bold">${escapeHtml(
           file.name
-        )}</div><small class="text-muted">Shared by ${escapeHtml(
-          file.sender
-        )} • ${formattedDate}</small></div></div><a href="${
+        )}</div><small class="text-muted">Shared by ${escapeHtml(file.sender)}${
+          file.fileSize ? ` • ${formatFileSize(file.fileSize)}` : ""
+        } • ${formattedDate}</small></div></div><div class="d-flex gap-1">${previewBtn}<a href="${
           file.url
         }" class="btn btn-sm btn-outline-primary" download="${escapeHtml(
           file.name
-        )}"><i class="bi bi-download"></i></a></div></div></div>`;
+        )}"><i class="bi bi-download"></i></a></div></div></div></div>`;
       })
       .join("");
   }
@@ -0,0 +1,264 @@
+// CommandManager (ES module) - slash commands typed into #messageInput
+// "/name args" is parsed on send and dispatched to the existing managers
+// (RoomManager, VideoManager, PollManager, ...). "//text" sends "/text" as a
+// normal message. Unknown or disallowed commands show help above the composer
+// instead of being posted. A command's run() returns false to keep the draft
+// (e.g. bad arguments).
+
+import { escapeHtml, showToast } from "./utils.js";
+
+export class CommandManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    // permission: "owner" | "moderator" | "member" or a role permission from
+    // RoomManager (e.g. "kick"); available() hides commands whose feature isn't
+    // loaded on this page
+    this.commands = [
+      {
+        name: "timer",
+        usage: "/timer <minutes>",
+        description: "Start a shared focus timer",
+        permission: "moderator",
+        available: () =>
+          !!window.timerModule &&
+          typeof window.timerModule.start === "function",
+        run: (args) => {
+          const minutes = Number(args);
+          if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 240)
+            return this._usage(
+              "timer",
+              "Give a duration from 1 to 240 minutes"
+            );
+          window.timerModule.start(minutes);
+        },
+      },
+      {
+        name: "poll",
+        usage: "/poll [question | option 1 | option 2 ...]",
+        description: "Create a poll (opens the poll form without arguments)",
+        permission: "member",
+        available: () => !!window.pollModule,
+        run: (args) => {
+          if (!args) return window.pollModule.openCreateModal();
+          const [question, ...options] = args
+            .split("|")
+            .map((part) => part.trim())
+            .filter(Boolean);
+          if (!question || options.length < 2)
+            return this._usage("poll", "A poll needs a question and 2 options");
+          if (options.length > 10)
+            return this._usage("poll", "A poll can have at most 10 options");
+          return window.pollModule.createPoll({ question, options });
+        },
+      },
+      {
+        name: "invite",
+        usage: "/invite",
+        description: "Show the invite link for this room",
+        permission: "member",
+        run: () => document.getElementById("inviteBtn")?.click(),
+      },
+      {
+        name: "kick",
+        usage: "/kick @user",
+        description: "Remove a participant from the room",
+        permission: "kick",
+        run: (args, text) => this._kick(args, text),
+      },
+      {
+        name: "topic",
+        usage: '/topic "new description"',
+        description: "Change the room description",
+        permission: "editSettings",
+        run: (args) => {
+          const description = args
+            .replace(/^(["'“])([\s\S]*)(["'”])$/, "$2")
+            .trim();
+          if (!description)
+            return this._usage("topic", "Give the new description");
+          if (description.length > 500)
+            return this._usage(
+              "topic",
+              "Descriptions are limited to 500 characters"
+            );
+          return this.roomManager.saveRoomSettings({ description });
+        },
+      },
+      {
+        name: "leave",
+        usage: "/leave",
+        description: "Leave this study room",
+        permission: "member",
+        run: () => this.roomManager.leaveRoom(),
+      },
+      {
+        name: "call",
+        usage: "/call",
+        description: "Join or leave the video call",
+        permission: "member",
+        available: () => !!window.videoModule,
+        run: () => window.videoModule.toggleVideoCall(),
+      },
+      {
+        name: "help",
+        usage: "/help",
+        description: "List the commands you can use",
+        permission: "member",
+        run: () => this.showHelp(),
+      },
+    ];
+  }
+
+  init() {
+    document.getElementById("slashHelp")?.addEventListener("click", (e) => {
+      if (e.target.closest("[data-close-help]")) this.hideHelp();
+    });
+    document
+      .getElementById("messageInput")
+      ?.addEventListener("input", () => this.hideHelp());
+  }
+
+  isAllowed(command) {
+    if (typeof command.available === "function" && !command.available())
+      return false;
+    if (command.permission === "owner") return this.roomManager.isOwner;
+    if (command.permission === "moderator")
+      return this.roomManager.canModerate();
+    if (command.permission === "member") return true;
+    return this.roomManager.can(command.permission);
+  }
+
+  find(name) {
+    return this.commands.find((c) => c.name === name.toLowerCase());
+  }
+
+  // Autocomplete provider for ComposerSuggest ("/" at the start of the input)
+  provider() {
+    return {
+      trigger: "/",
+      atStart: true,
+      getItems: (query) => {
+        const q = query.toLowerCase();
+        return this.commands
+          .filter((c) => this.isAllowed(c) && c.name.startsWith(q))
+          .map((c) => ({
+            label: `/${c.name}`,
+            hint: c.description,
+            command: c,
+          }));
+      },
+      insert: (item) => item.label,
+    };
+  }
+
+  // Commands are never posted to the chat, even when rejected
+  isCommand(text) {
+    return /^\/[^/\s]/.test(text);
+  }
+
+  // Returns true when the command ran and the draft can be cleared
+  async execute(text) {
+    const [, name, rawArgs] = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+    const command = this.find(name);
+
+    if (!command) {
+      this.showHelp(`Unknown command "/${name}"`);
+      return false;
+    }
+    if (typeof command.available === "function" && !command.available()) {
+      this.showHelp(`/${command.name} isn't available in this room`);
+      return false;
+    }
+    if (!this.isAllowed(command)) {
+      this.showHelp(
+        ["owner", "moderator"].includes(command.permission)
+          ? `Only the room owner${
+              command.permission === "moderator" ? " and moderators" : ""
+            } can use /${command.name}`
+          : `You don't have permission to use /${command.name}`
+      );
+      return false;
+    }
+
+    this.hideHelp();
+    try {
+      return (await command.run(rawArgs.trim(), text)) !== false;
+    } catch (err) {
+      console.error(`Slash command /${command.name} failed:`, err);
+      showToast(`/${command.name} failed. Please try again.`, "error");
+      return false;
+    }
+  }
+
+  async _kick(args, text) {
+    const me = this.userAuth.currentUser.uid;
+    // prefer a mention picked from the autocomplete, else match the name
+    const picked = (this.chatManager._collectMentions(text).mentions || [])[0];
+    let target = picked
+      ? (this.roomManager.participants || []).find((p) => p.id === picked.uid)
+      : null;
+    if (!target) {
+      const name = args.replace(/^@/, "").trim().toLowerCase();
+      if (!name)
+        return this._usage("kick", "Say who to remove, e.g. /kick @Ana");
+      const matches = (this.roomManager.participants || []).filter(
+        (p) => (p.name || "").toLowerCase() === name
+      );
+      if (matches.length > 1)
+        return this._usage(
+          "kick",
+          `More than one participant is called "${args}"`
+        );
+      target = matches[0];
+    }
+    if (!target)
+      return this._usage(
+        "kick",
+        `No participant called "${args.replace(/^@/, "")}"`
+      );
+    if (target.id === me)
+      return this._usage("kick", "Use /leave to leave the room");
+    if (!this.roomManager.canKickParticipant(target.id))
+      return this._usage("kick", `You can't remove ${target.name}`);
+    return this.roomManager.kickParticipant(target.id);
+  }
+
+  // Shows the command's usage with the problem; returns false to keep the draft
+  _usage(name, problem) {
+    const command = this.find(name);
+    this.showHelp(problem, command ? [command] : null);
+    return false;
+  }
+
+  showHelp(problem = "", commands = null) {
+    const box = document.getElementById("slashHelp");
+    if (!box) return;
+    const list = (commands || this.commands.filter((c) => this.isAllowed(c)))
+      .map(
+        (c) =>
+          `<li><code>${escapeHtml(c.usage)}</code><span>${escapeHtml(
+            c.description
+          )}</span></li>`
+      )
+      .join("");
+    box.innerHTML = `<div class="slash-help-header">${
+      problem
+        ? `<span class="slash-help-problem"><i class="bi bi-exclamation-circle"></i> ${escapeHtml(
+            problem
+          )}</span>`
+        : `<span><i class="bi bi-slash-square"></i> Commands</span>`
+    }<button class="slash-help-close" data-close-help title="Close"><i class="bi bi-x-lg"></i></button></div><ul>${list}</ul><div class="slash-help-tip">Start with <code>//</code> to send a message beginning with "/".</div>`;
+    box.hidden = false;
+  }
+
+  hideHelp() {
+    const box = document.getElementById("slashHelp");
+    if (box && !box.hidden) {
+      box.hidden = true;
+      box.innerHTML = "";
+    }
+  }
+}
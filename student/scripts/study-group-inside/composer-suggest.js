@@ -0,0 +1,150 @@
+// ComposerSuggest (ES module) - inline autocomplete popup for chat inputs
+// A provider describes one trigger character:
+//   { trigger: "@", atStart: false, getItems(query) -> [{ label, hint?, avatar? }],
+//     insert(item) -> string, onPick?(item) }
+// atStart providers only fire when the trigger is the first character (e.g. "/").
+
+import { escapeHtml, escapeRegExp } from "./utils.js";
+
+const MAX_ITEMS = 8;
+
+export class ComposerSuggest {
+  constructor(input, providers = []) {
+    this.input = input;
+    this.providers = providers.map((p) => ({
+      ...p,
+      pattern: p.atStart
+        ? new RegExp(`^${escapeRegExp(p.trigger)}(\\S*)$`)
+        : new RegExp(
+            `(?:^|\\s)${escapeRegExp(p.trigger)}([^\\s${escapeRegExp(
+              p.trigger
+            )}]*)$`
+          ),
+    }));
+    this.items = [];
+    this.activeIndex = 0;
+    this.match = null; // { provider, start, end }
+    this.el = null;
+
+    if (this.input) this._bind();
+  }
+
+  get isOpen() {
+    return !!this.el && this.items.length > 0;
+  }
+
+  _bind() {
+    this.input.addEventListener("input", () => this.update());
+    this.input.addEventListener("click", () => this.update());
+    // capture so Enter/Tab are handled before the chat's own send handler
+    this.input.addEventListener("keydown", (e) => this._onKeyDown(e), {
+      capture: true,
+    });
+    this.input.addEventListener("blur", () => {
+      setTimeout(() => this.close(), 150);
+    });
+  }
+
+  _onKeyDown(e) {
+    if (!this.isOpen) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const delta = e.key === "ArrowDown" ? 1 : -1;
+      this.activeIndex =
+        (this.activeIndex + delta + this.items.length) % this.items.length;
+      this._render();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.pick(this.activeIndex);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.close();
+    }
+  }
+
+  update() {
+    const caret = this.input.selectionStart;
+    if (caret == null) return this.close();
+    const before = this.input.value.slice(0, caret);
+
+    for (const provider of this.providers) {
+      const m = before.match(provider.pattern);
+      if (!m) continue;
+      const query = m[1] || "";
+      const items = (provider.getItems(query) || []).slice(0, MAX_ITEMS);
+      if (items.length === 0) continue;
+      this.match = {
+        provider,
+        start: caret - query.length - provider.trigger.length,
+        end: caret,
+      };
+      this.items = items;
+      this.activeIndex = Math.min(this.activeIndex, items.length - 1);
+      this._render();
+      return;
+    }
+    this.close();
+  }
+
+  pick(index) {
+    const item = this.items[index];
+    if (!item || !this.match) return;
+    const { provider, start, end } = this.match;
+    const value = this.input.value;
+    const inserted = `${provider.insert(item)} `;
+    this.input.value = value.slice(0, start) + inserted + value.slice(end);
+    const caret = start + inserted.length;
+    this.input.setSelectionRange(caret, caret);
+    this.input.focus();
+    if (typeof provider.onPick === "function") provider.onPick(item);
+    this.close();
+  }
+
+  _render() {
+    if (!this.el) {
+      this.el = document.createElement("div");
+      this.el.className = "composer-suggest";
+      this.el.setAttribute("role", "listbox");
+      // mousedown keeps focus in the input so blur doesn't close us first
+      this.el.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        const row = e.target.closest(".composer-suggest-item");
+        if (row) this.pick(Number(row.getAttribute("data-index")));
+      });
+      const host =
+        this.input.closest(".chat-input-wrapper") || this.input.parentElement;
+      host.appendChild(this.el);
+    }
+    this.el.innerHTML = this.items
+      .map((item, i) => {
+        const avatar = item.avatar
+          ? `<span class="composer-suggest-avatar">${escapeHtml(
+              item.avatar
+            )}</span>`
+          : "";
+        const hint = item.hint
+          ? `<span class="composer-suggest-hint">${escapeHtml(
+              item.hint
+            )}</span>`
+          : "";
+        return `<div class="composer-suggest-item ${
+          i === this.activeIndex ? "active" : ""
+        }" role="option" data-index="${i}">${avatar}<span class="composer-suggest-label">${escapeHtml(
+          item.label
+        )}</span>${hint}</div>`;
+      })
+      .join("");
+  }
+
+  close() {
+    this.items = [];
+    this.activeIndex = 0;
+    this.match = null;
+    if (this.el) {
+      this.el.remove();
+      this.el = null;
+    }
+  }
+}
@@ -0,0 +1,523 @@
+// ExportManager (ES module) - download a room's chat transcript
+// Messages are read from Firestore oldest-first (optionally limited to a date
+// range), author names are resolved through UserAuth and the result is saved
+// as Markdown, HTML or JSON together with a manifest of the shared files.
+// Only current participants of the room can export. Thread replies live in
+// subcollections and are not included (their reply count is).
+
+import { escapeHtml, formatFileSize, isSafeUrl, showToast } from "./utils.js";
+
+const EXPORT_BATCH = 500; // docs read per query
+const EXPORT_LIMIT = 10000; // hard cap on messages per export
+
+const FORMATS = {
+  markdown: { ext: "md", mime: "text/markdown" },
+  html: { ext: "html", mime: "text/html" },
+  json: { ext: "json", mime: "application/json" },
+};
+
+export class ExportManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.exporting = false;
+  }
+
+  init() {
+    document
+      .getElementById("exportTranscriptBtn")
+      ?.addEventListener("click", () => this.exportFromForm());
+  }
+
+  isParticipant() {
+    const uid = this.userAuth.currentUser && this.userAuth.currentUser.uid;
+    return (
+      !!uid && (this.roomManager.participants || []).some((p) => p.id === uid)
+    );
+  }
+
+  exportFromForm() {
+    const from = document.getElementById("exportFromDate")?.value;
+    const to = document.getElementById("exportToDate")?.value;
+    return this.exportTranscript({
+      format: document.getElementById("exportFormat")?.value || "markdown",
+      // date inputs are local calendar days; "to" is inclusive
+      from: from ? new Date(`${from}T00:00:00`) : null,
+      to: to ? new Date(new Date(`${to}T00:00:00`).getTime() + 86400000) : null,
+      includeSystem: !!document.getElementById("exportIncludeSystem")?.checked,
+    });
+  }
+
+  /**
+   * Build and download a transcript of the room chat.
+   * @param {object} options
+   * @param {"markdown"|"html"|"json"} options.format
+   * @param {Date|null} [options.from] first instant included
+   * @param {Date|null} [options.to] first instant excluded
+   * @param {boolean} [options.includeSystem] include join / leave / poll notices
+   */
+  async exportTranscript({
+    format = "markdown",
+    from = null,
+    to = null,
+    includeSystem = true,
+  } = {}) {
+    if (this.exporting) return;
+    if (!this.isParticipant()) {
+      showToast("Only participants of this room can export its chat", "error");
+      return;
+    }
+    if (!FORMATS[format]) {
+      showToast("Unknown export format", "error");
+      return;
+    }
+    if (from && to && from >= to) {
+      showToast("The start date must be before the end date", "warning");
+      return;
+    }
+
+    this.exporting = true;
+    this._setBusy(true);
+    try {
+      const { messages, truncated } = await this._fetchMessages(from, to);
+      const included = messages.filter((m) => includeSystem || !m.isSystem);
+      if (included.length === 0) {
+        showToast("No messages in that date range", "warning");
+        return;
+      }
+      const names = await this._resolveNames(included);
+      const transcript = this._buildTranscript(included, names, {
+        from,
+        to,
+        includeSystem,
+        truncated,
+      });
+
+      const content =
+        format === "json"
+          ? JSON.stringify(transcript, null, 2)
+          : format === "html"
+          ? this._toHtml(transcript)
+          : this._toMarkdown(transcript);
+      this._download(content, format);
+
+      showToast(
+        truncated
+          ? `Exported the first ${EXPORT_LIMIT} messages. Narrow the date range to export the rest.`
+          : `Exported ${transcript.messages.length} messages`,
+        truncated ? "warning" : "success"
+      );
+    } catch (err) {
+      console.error("Chat export failed:", err);
+      showToast("Failed to export the chat. Please try again.", "error");
+    } finally {
+      this.exporting = false;
+      this._setBusy(false);
+    }
+  }
+
+  async _fetchMessages(from, to) {
+    const messages = [];
+    let cursor = null;
+    while (messages.length < EXPORT_LIMIT) {
+      let query = this.chatManager._messagesRef();
+      if (from) query = query.where("timestamp", ">=", from);
+      if (to) query = query.where("timestamp", "<", to);
+      query = query.orderBy("timestamp", "asc");
+      if (cursor) query = query.startAfter(cursor);
+
+      const snap = await query
+        .limit(Math.min(EXPORT_BATCH, EXPORT_LIMIT - messages.length))
+        .get();
+      snap.forEach((doc) => messages.push({ id: doc.id, ...doc.data() }));
+      if (snap.size === 0 || snap.size < EXPORT_BATCH) {
+        return { messages, truncated: false };
+      }
+      cursor = snap.docs[snap.docs.length - 1];
+    }
+    // the cap was hit; one more read tells whether anything was left out
+    let query = this.chatManager._messagesRef();
+    if (to) query = query.where("timestamp", "<", to);
+    const rest = await query
+      .orderBy("timestamp", "asc")
+      .startAfter(cursor)
+      .limit(1)
+      .get();
+    return { messages, truncated: !rest.empty };
+  }
+
+  // uid -> display name, preferring UserAuth's profile lookup
+  async _resolveNames(messages) {
+    const uids = messages.map((m) => m.authorUid).filter(Boolean);
+    let infos = {};
+    try {
+      infos = await this.userAuth.getUserDisplayInfos(uids);
+    } catch (err) {
+      console.warn("Resolving author names for export failed:", err);
+    }
+    const names = {};
+    for (const uid of new Set(uids)) {
+      const participant = (this.roomManager.participants || []).find(
+        (p) => p.id === uid
+      );
+      names[uid] =
+        (infos[uid] && infos[uid].displayName) ||
+        (participant && participant.name) ||
+        this.chatManager._authorNamesCache[uid] ||
+        null;
+    }
+    return names;
+  }
+
+  _buildTranscript(messages, names, { from, to, includeSystem, truncated }) {
+    const room = this.roomManager.currentRoomData || {};
+    const me = this.userAuth.currentUser;
+    const nameOf = (msg) =>
+      (msg.authorUid && names[msg.authorUid]) || msg.author || "Unknown";
+
+    const entries = messages.map((msg) => {
+      const entry = {
+        id: msg.id,
+        timestamp: this.chatManager._toDate(msg.timestamp).toISOString(),
+        type: msg.isSystem
+          ? "system"
+          : msg.type === "poll" || msg.type === "voice"
+          ? msg.type
+          : msg.fileUrl || msg.imageUrl
+          ? "file"
+          : "message",
+        author: msg.isSystem ? null : nameOf(msg),
+        authorUid: msg.isSystem ? null : msg.authorUid || null,
+        text: msg.deleted ? "" : msg.text || "",
+      };
+      if (msg.deleted) entry.deleted = true;
+      if (msg.editedAt && !msg.deleted)
+        entry.editedAt = this.chatManager._toDate(msg.editedAt).toISOString();
+      if (msg.replyCount > 0) entry.replyCount = msg.replyCount;
+      if (!msg.deleted && (msg.fileUrl || msg.imageUrl)) {
+        entry.file = {
+          name: msg.fileName || "file",
+          url: msg.fileUrl || msg.imageUrl,
+          size: msg.fileSize || null,
+          type: msg.fileType || (msg.imageUrl ? "image" : null),
+        };
+      }
+      if (!msg.deleted && msg.type === "poll" && msg.poll) {
+        const { counts, voters } = window.pollModule
+          ? window.pollModule.tally(msg.poll)
+          : { counts: {}, voters: 0 };
+        entry.poll = {
+          question: msg.poll.question || "",
+          multi: !!msg.poll.multi,
+          closed: !!msg.poll.closed,
+          voters,
+          options: (msg.poll.options || []).map((o) => ({
+            text: o.text,
+            votes: counts[o.id] || 0,
+          })),
+        };
+      }
+      return entry;
+    });
+
+    // manifest: files in the exported messages plus any loaded ones in range
+    const files = new Map();
+    const inRange = (iso) => {
+      const t = new Date(iso).getTime();
+      return (!from || t >= from.getTime()) && (!to || t < to.getTime());
+    };
+    const addFile = (f) => {
+      if (files.has(f.url) || !inRange(f.timestamp)) return;
+      files.set(f.url, {
+        name: f.name,
+        url: f.url,
+        size: f.fileSize || null,
+        type: f.type,
+        sharedBy:
+          (f.senderUid && names[f.senderUid]) ||
+          (f.sender !== f.senderUid && f.sender) ||
+          "Unknown",
+        sharedAt: new Date(f.timestamp).toISOString(),
+        messageId: f.messageId || null,
+      });
+    };
+    this.chatManager._sharedFilesFrom(messages).forEach(addFile);
+    (this.chatManager.sharedFiles || []).forEach(addFile);
+
+    return {
+      room: {
+        id: room._id || room.id || null,
+        name: room.name || "Study room",
+      },
+      exportedAt: new Date().toISOString(),
+      exportedBy:
+        (me && (names[me.uid] || me.displayName || me.email)) || "Unknown",
+      range: {
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+      },
+      includesSystemMessages: includeSystem,
+      truncated,
+      messages: entries,
+      files: Array.from(files.values()).sort((a, b) =>
+        a.sharedAt.localeCompare(b.sharedAt)
+      ),
+    };
+  }
+
+  _rangeLabel(t) {
+    const day = (iso) => new Date(iso).toLocaleDateString();
+    if (!t.range.from && !t.range.to) return "All messages";
+    const last = t.range.to
+      ? day(new Date(new Date(t.range.to).getTime() - 1).toISOString())
+      : "now";
+    return `${t.range.from ? day(t.range.from) : "Start"} to ${last}`;
+  }
+
+  // ===== Markdown =====
+
+  _toMarkdown(t) {
+    const lines = [
+      `# ${t.room.name} - chat transcript`,
+      "",
+      `- Exported by ${t.exportedBy} on ${new Date(
+        t.exportedAt
+      ).toLocaleString()}`,
+      `- Range: ${this._rangeLabel(t)}`,
+      `- Messages: ${t.messages.length}${
+        t.truncated ? " (limit reached, later messages not included)" : ""
+      }`,
+      "",
+    ];
+
+    let day = "";
+    for (const m of t.messages) {
+      const date = new Date(m.timestamp);
+      if (date.toLocaleDateString() !== day) {
+        day = date.toLocaleDateString();
+        lines.push(`## ${day}`, "");
+      }
+      const time = date.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      if (m.type === "system") {
+        lines.push(`_${time} - ${m.text}_`, "");
+        continue;
+      }
+      const flags = [
+        m.editedAt ? "edited" : null,
+        m.replyCount
+          ? `${m.replyCount} ${m.replyCount === 1 ? "reply" : "replies"}`
+          : null,
+      ].filter(Boolean);
+      lines.push(
+        `**${m.author}** · ${time}${
+          flags.length ? ` (${flags.join(", ")})` : ""
+        }`
+      );
+      if (m.deleted) lines.push("", "_Message deleted_");
+      if (m.text) lines.push("", m.text);
+      if (m.poll) {
+        lines.push(
+          "",
+          `📊 Poll${m.poll.closed ? " (closed)" : ""}: ${m.poll.question}`
+        );
+        m.poll.options.forEach((o) =>
+          lines.push(
+            `- ${o.text}: ${o.votes} ${o.votes === 1 ? "vote" : "votes"}`
+          )
+        );
+      }
+      if (m.file) {
+        const size = formatFileSize(m.file.size);
+        lines.push(
+          "",
+          `📎 [${this._mdLinkText(m.file.name)}](<${m.file.url}>)${
+            size ? ` (${size})` : ""
+          }`
+        );
+      }
+      lines.push("");
+    }
+
+    lines.push("## Shared files", "");
+    if (t.files.length === 0) {
+      lines.push("No files were shared in this range.");
+    } else {
+      lines.push(
+        "| File | Size | Shared by | Date |",
+        "| --- | --- | --- | --- |"
+      );
+      t.files.forEach((f) =>
+        lines.push(
+          `| [${this._mdCell(this._mdLinkText(f.name))}](<${f.url}>) | ${
+            formatFileSize(f.size) || "-"
+          } | ${this._mdCell(f.sharedBy)} | ${new Date(
+            f.sharedAt
+          ).toLocaleString()} |`
+        )
+      );
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  _mdLinkText(text) {
+    return String(text).replace(/[[\]]/g, "\\$&");
+  }
+
+  _mdCell(text) {
+    return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  }
+
+  // ===== HTML =====
+
+  _toHtml(t) {
+    const link = (url, label) =>
+      isSafeUrl(url)
+        ? `<a href="${escapeHtml(
+            url
+          )}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`
+        : escapeHtml(label);
+
+    let day = "";
+    const body = t.messages
+      .map((m) => {
+        const date = new Date(m.timestamp);
+        let out = "";
+        if (date.toLocaleDateString() !== day) {
+          day = date.toLocaleDateString();
+          out += `<h2>${escapeHtml(day)}</h2>`;
+        }
+        const time = escapeHtml(
+          date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+        );
+        if (m.type === "system") {
+          return `${out}<p class="system"><time datetime="${
+            m.timestamp
+          }">${time}</time> ${escapeHtml(m.text)}</p>`;
+        }
+        const flags = [
+          m.editedAt ? "edited" : null,
+          m.replyCount
+            ? `${m.replyCount} ${m.replyCount === 1 ? "reply" : "replies"}`
+            : null,
+        ].filter(Boolean);
+        let content = m.deleted ? `<p class="deleted">Message deleted</p>` : "";
+        if (m.text)
+          content += `<p class="text">${escapeHtml(m.text).replace(
+            /\n/g,
+            "<br>"
+          )}</p>`;
+        if (m.poll) {
+          content += `<div class="poll"><strong>📊 ${escapeHtml(
+            m.poll.question
+          )}</strong>${m.poll.closed ? " (closed)" : ""}<ul>${m.poll.options
+            .map(
+              (o) =>
+                `<li>${escapeHtml(o.text)}: ${o.votes} ${
+                  o.votes === 1 ? "vote" : "votes"
+                }</li>`
+            )
+            .join("")}</ul></div>`;
+        }
+        if (m.file) {
+          const size = formatFileSize(m.file.size);
+          content += `<p class="file">📎 ${link(m.file.url, m.file.name)}${
+            size ? ` (${escapeHtml(size)})` : ""
+          }</p>`;
+        }
+        return `${out}<div class="message"><div class="meta"><strong>${escapeHtml(
+          m.author
+        )}</strong> <time datetime="${m.timestamp}">${time}</time>${
+          flags.length ? ` <span>(${escapeHtml(flags.join(", "))})</span>` : ""
+        }</div>${content}</div>`;
+      })
+      .join("\n");
+
+    const files = t.files.length
+      ? `<table><thead><tr><th>File</th><th>Size</th><th>Shared by</th><th>Date</th></tr></thead><tbody>${t.files
+          .map(
+            (f) =>
+              `<tr><td>${link(f.url, f.name)}</td><td>${escapeHtml(
+                formatFileSize(f.size) || "-"
+              )}</td><td>${escapeHtml(f.sharedBy)}</td><td>${escapeHtml(
+                new Date(f.sharedAt).toLocaleString()
+              )}</td></tr>`
+          )
+          .join("")}</tbody></table>`
+      : "<p>No files were shared in this range.</p>";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t.room.name)} - chat transcript</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+h2 { font-size: 1rem; color: #666; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; margin-top: 2rem; }
+.summary { color: #555; }
+.message { margin: 0.75rem 0; }
+.meta time, .meta span { color: #888; font-size: 0.85em; }
+.text, .file, .deleted { margin: 0.25rem 0; white-space: pre-wrap; }
+.deleted, .system { color: #888; font-style: italic; }
+.poll ul { margin: 0.25rem 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 0.35rem 0.5rem; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t.room.name)} - chat transcript</h1>
+<p class="summary">Exported by ${escapeHtml(t.exportedBy)} on ${escapeHtml(
+      new Date(t.exportedAt).toLocaleString()
+    )}<br>Range: ${escapeHtml(this._rangeLabel(t))}<br>Messages: ${
+      t.messages.length
+    }${t.truncated ? " (limit reached, later messages not included)" : ""}</p>
+${body}
+<h2>Shared files</h2>
+${files}
+</body>
+</html>
+`;
+  }
+
+  // ===== Download =====
+
+  _download(content, format) {
+    const { ext, mime } = FORMATS[format];
+    const room = (this.roomManager.currentRoomData || {}).name || "study-room";
+    const slug =
+      room
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60) || "study-room";
+    const now = new Date();
+    const stamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(now.getDate()).padStart(2, "0")}`;
+
+    const url = URL.createObjectURL(
+      new Blob([content], { type: `${mime};charset=utf-8` })
+    );
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${slug}-transcript-${stamp}.${ext}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  _setBusy(busy) {
+    const btn = document.getElementById("exportTranscriptBtn");
+    if (!btn) return;
+    btn.disabled = busy;
+    btn.innerHTML = busy
+      ? '<span class="spinner-border spinner-border-sm" role="status"></span> Exporting...'
+      : '<i class="bi bi-download"></i> Export';
+  }
+}
@@ -0,0 +1,304 @@
+// FileViewer (ES module) - in-page preview for files shared in the room chat
+// PDFs render page by page with PDF.js (loaded on first use), code and text
+// files are fetched and highlighted with highlight.js, audio / video use the
+// native players. Anything else falls back to a download.
+
+import { escapeHtml, formatFileSize, getFileIcon, showToast } from "./utils.js";
+
+const PDFJS_VERSION = "3.11.174";
+const PDFJS_BASE = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}`;
+const MAX_TEXT_BYTES = 1024 * 1024; // larger text files are download-only
+
+// extension -> highlight.js language
+const CODE_LANGUAGES = {
+  js: "javascript",
+  mjs: "javascript",
+  ts: "typescript",
+  jsx: "javascript",
+  tsx: "typescript",
+  py: "python",
+  java: "java",
+  c: "c",
+  h: "c",
+  cpp: "cpp",
+  hpp: "cpp",
+  cs: "csharp",
+  go: "go",
+  rb: "ruby",
+  php: "php",
+  kt: "kotlin",
+  swift: "swift",
+  rs: "rust",
+  sql: "sql",
+  html: "xml",
+  xml: "xml",
+  css: "css",
+  json: "json",
+  yml: "yaml",
+  yaml: "yaml",
+  sh: "bash",
+  md: "markdown",
+  csv: "plaintext",
+  txt: "plaintext",
+  log: "plaintext",
+};
+
+const AUDIO_EXTENSIONS = ["mp3", "wav", "ogg", "oga", "m4a", "aac"];
+const VIDEO_EXTENSIONS = ["mp4", "webm", "ogv", "mov", "m4v"];
+
+/**
+ * What kind of inline preview a file supports, or null for download-only.
+ * @param {string} name file name
+ * @param {string} [type] MIME type, when known
+ * @returns {"image"|"pdf"|"code"|"audio"|"video"|null}
+ */
+export function previewKind(name, type = "") {
+  const ext = (name || "").split(".").pop().toLowerCase();
+  if (/^image\//.test(type)) return "image";
+  if (type === "application/pdf" || ext === "pdf") return "pdf";
+  if (/^audio\//.test(type)) return "audio";
+  if (/^video\//.test(type)) return "video";
+  if (/^text\//.test(type) || ext in CODE_LANGUAGES) return "code";
+  if (VIDEO_EXTENSIONS.includes(ext)) return "video";
+  if (AUDIO_EXTENSIONS.includes(ext)) return "audio";
+  return null;
+}
+
+export class FileViewer {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this._pdfLoader = null;
+    this._pdf = null; // current PDFDocumentProxy
+    this._pdfPage = 1;
+    this._pdfRendering = null;
+  }
+
+  // Open the viewer for the file attached to a chat message
+  async open(messageId) {
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    const url = msg && (msg.fileUrl || msg.imageUrl);
+    if (!url) {
+      showToast("That file is no longer available", "warning");
+      return;
+    }
+    const name = msg.fileName || "file";
+    const kind = msg.imageUrl ? "image" : previewKind(name, msg.fileType);
+
+    const modal = document.createElement("div");
+    modal.className = "modal fade file-viewer-modal";
+    modal.innerHTML = `<div class="modal-dialog modal-xl modal-dialog-centered modal-dialog-scrollable"><div class="modal-content"><div class="modal-header"><h5 class="modal-title text-truncate"><i class="${
+      kind === "image"
+        ? "bi bi-file-earmark-image"
+        : getFileIcon(name.split(".").pop())
+    }"></i> ${escapeHtml(
+      name
+    )}</h5><button type="button" class="btn-close" data-bs-dismiss="modal"></button></div><div class="modal-body"><div class="file-viewer-meta">${this._renderMeta(
+      msg
+    )}</div><div class="file-viewer-body"><div class="file-viewer-loading"><div class="spinner-border spinner-border-sm text-secondary" role="status"></div> Loading preview...</div></div></div><div class="modal-footer"><button type="button" class="btn btn-outline-secondary" data-jump><i class="bi bi-chat-left-text"></i> Show in chat</button><a href="${url}" class="btn btn-outline-primary" download="${escapeHtml(
+      name
+    )}" target="_blank" rel="noopener"><i class="bi bi-download"></i> Download</a><button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button></div></div></div>`;
+    document.body.appendChild(modal);
+
+    let bs;
+    modal.querySelector("[data-jump]").addEventListener("click", () => {
+      modal.addEventListener(
+        "hidden.bs.modal",
+        () => this.chatManager.scrollToMessage(messageId),
+        { once: true }
+      );
+      bs?.hide();
+      // the settings modal may have opened us from the Files tab
+      const settings = document.getElementById("settingsModal");
+      if (settings && settings.classList.contains("show"))
+        bootstrap.Modal.getInstance(settings)?.hide();
+    });
+
+    try {
+      bs = new bootstrap.Modal(modal);
+      bs.show();
+      modal.addEventListener("hidden.bs.modal", () => {
+        this._closePdf();
+        modal.remove();
+      });
+    } catch (err) {
+      console.error("Error showing file viewer:", err);
+      modal.remove();
+      showToast("Failed to open file preview", "error");
+      return;
+    }
+
+    const body = modal.querySelector(".file-viewer-body");
+    try {
+      switch (kind) {
+        case "image":
+          body.innerHTML = `<img src="${url}" alt="${escapeHtml(
+            name
+          )}" class="file-viewer-image">`;
+          break;
+        case "audio":
+          body.innerHTML = `<audio controls preload="metadata" src="${url}" class="file-viewer-audio"></audio>`;
+          break;
+        case "video":
+          body.innerHTML = `<video controls preload="metadata" src="${url}" class="file-viewer-video"></video>`;
+          break;
+        case "code":
+          await this._renderText(body, url, name, msg.fileSize);
+          break;
+        case "pdf":
+          await this._renderPdf(body, url);
+          break;
+        default:
+          this._renderUnsupported(body);
+      }
+    } catch (err) {
+      console.error("File preview failed:", err);
+      body.innerHTML = `<div class="file-viewer-empty"><i class="bi bi-exclamation-triangle"></i><p>Couldn't load a preview for this file. You can still download it.</p></div>`;
+    }
+  }
+
+  _renderMeta(msg) {
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === msg.authorUid
+    );
+    const sharer =
+      msg.authorUid === this.userAuth.currentUser.uid
+        ? "You"
+        : (participant && participant.name) ||
+          this.chatManager._authorNamesCache[msg.authorUid] ||
+          msg.author ||
+          "Unknown";
+    const parts = [
+      msg.fileSize ? formatFileSize(msg.fileSize) : null,
+      `Shared by ${sharer}`,
+      this.chatManager._toDate(msg.timestamp).toLocaleString(),
+    ].filter(Boolean);
+    return parts.map((p) => `<span>${escapeHtml(p)}</span>`).join("");
+  }
+
+  _renderUnsupported(body) {
+    body.innerHTML = `<div class="file-viewer-empty"><i class="bi bi-file-earmark"></i><p>No preview available for this file type.</p></div>`;
+  }
+
+  async _renderText(body, url, name, size) {
+    if (size && size > MAX_TEXT_BYTES) {
+      body.innerHTML = `<div class="file-viewer-empty"><i class="bi bi-file-earmark-text"></i><p>This file is too large to preview (${escapeHtml(
+        formatFileSize(size)
+      )}).</p></div>`;
+      return;
+    }
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
+    let text = await res.text();
+    const truncated = text.length > MAX_TEXT_BYTES;
+    if (truncated) text = text.slice(0, MAX_TEXT_BYTES);
+
+    const ext = name.split(".").pop().toLowerCase();
+    const lang = CODE_LANGUAGES[ext];
+    let html = escapeHtml(text);
+    const hljs = window.hljs;
+    if (hljs && lang && lang !== "plaintext" && hljs.getLanguage(lang)) {
+      try {
+        html = hljs.highlight(text, {
+          language: lang,
+          ignoreIllegals: true,
+        }).value;
+      } catch (e) {
+        console.debug("Highlighting failed:", e);
+      }
+    }
+    body.innerHTML = `<pre class="file-viewer-code"><code class="hljs">${html}</code></pre>${
+      truncated
+        ? '<div class="file-viewer-note">Preview truncated. Download the file to see all of it.</div>'
+        : ""
+    }`;
+  }
+
+  // ===== PDF =====
+
+  _loadPdfJs() {
+    if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+    if (this._pdfLoader) return this._pdfLoader;
+    this._pdfLoader = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.id = "pdfjs-script";
+      script.src = `${PDFJS_BASE}/pdf.min.js`;
+      script.async = true;
+      script.onload = () => {
+        if (!window.pdfjsLib) return reject(new Error("PDF.js missing"));
+        window.pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE}/pdf.worker.min.js`;
+        resolve(window.pdfjsLib);
+      };
+      script.onerror = () => {
+        this._pdfLoader = null;
+        reject(new Error("Failed to load PDF.js"));
+      };
+      document.head.appendChild(script);
+    });
+    return this._pdfLoader;
+  }
+
+  async _renderPdf(body, url) {
+    const pdfjsLib = await this._loadPdfJs();
+    this._pdf = await pdfjsLib.getDocument({ url }).promise;
+    this._pdfPage = 1;
+
+    body.innerHTML = `<div class="file-viewer-pdf-toolbar"><button class="btn btn-sm btn-outline-secondary" data-page="-1" title="Previous page"><i class="bi bi-chevron-left"></i></button><span class="file-viewer-page-label"></span><button class="btn btn-sm btn-outline-secondary" data-page="1" title="Next page"><i class="bi bi-chevron-right"></i></button></div><div class="file-viewer-pdf"><canvas></canvas></div>`;
+    body
+      .querySelectorAll("[data-page]")
+      .forEach((btn) =>
+        btn.addEventListener("click", () =>
+          this._showPdfPage(body, this._pdfPage + Number(btn.dataset.page))
+        )
+      );
+    await this._showPdfPage(body, 1);
+  }
+
+  async _showPdfPage(body, number) {
+    const pdf = this._pdf;
+    if (!pdf || number < 1 || number > pdf.numPages) return;
+    // let a render in progress finish before starting the next one
+    if (this._pdfRendering) {
+      this._pdfRendering.cancel();
+      await this._pdfRendering.promise.catch(() => {});
+    }
+    this._pdfPage = number;
+    body.querySelector(
+      ".file-viewer-page-label"
+    ).textContent = `Page ${number} of ${pdf.numPages}`;
+    body.querySelector('[data-page="-1"]').disabled = number <= 1;
+    body.querySelector('[data-page="1"]').disabled = number >= pdf.numPages;
+
+    const page = await pdf.getPage(number);
+    const container = body.querySelector(".file-viewer-pdf");
+    const canvas = container.querySelector("canvas");
+    const fit =
+      (container.clientWidth || 800) / page.getViewport({ scale: 1 }).width;
+    const ratio = window.devicePixelRatio || 1;
+    const viewport = page.getViewport({ scale: Math.min(fit, 2) * ratio });
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    canvas.style.width = `${viewport.width / ratio}px`;
+
+    this._pdfRendering = page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+    });
+    try {
+      await this._pdfRendering.promise;
+    } catch (err) {
+      if (err && err.name !== "RenderingCancelledException") throw err;
+    } finally {
+      this._pdfRendering = null;
+    }
+  }
+
+  _closePdf() {
+    if (this._pdfRendering) this._pdfRendering.cancel();
+    this._pdfRendering = null;
+    if (this._pdf) this._pdf.destroy();
+    this._pdf = null;
+  }
+}
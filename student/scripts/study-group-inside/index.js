@@ -6,6 +6,20 @@ import { RoomManager } from "./room-manager.js";
 import { ChatManager } from "./chat-manager.js";
 import { VideoManager } from "./video-manager.js";
 import { UiManager } from "./ui-manager.js";
+import { PresenceManager } from "./presence-manager.js";
+import { SearchManager } from "./search-manager.js";
+import { PinManager } from "./pin-manager.js";
+import { PollManager } from "./poll-manager.js";
+import { CommandManager } from "./command-manager.js";
+import { FileViewer } from "./file-viewer.js";
+import { ExportManager } from "./export-manager.js";
+import { VoiceManager } from "./voice-manager.js";
+import { NotificationManager } from "./notification-manager.js";
+import { TimerManager } from "./timer-manager.js";
+import { NotesManager } from "./notes-manager.js";
+import { WhiteboardManager } from "./whiteboard-manager.js";
+import { JoinRequestManager } from "./join-request-manager.js";
+import { InviteManager } from "./invite-manager.js";
 import { showToast, closeToast } from "./utils.js";
 
 // expose CONFIG to code expecting global window.__CONFIG__
@@ -15,7 +29,25 @@ window.__CONFIG__ = {
 };
 
 // module level instances
-let userModule, roomModule, chatModule, videoModule, uiModule;
+let userModule,
+  roomModule,
+  chatModule,
+  videoModule,
+  uiModule,
+  presenceModule,
+  searchModule,
+  pinModule,
+  pollModule,
+  commandModule,
+  fileViewerModule,
+  exportModule,
+  voiceModule,
+  notificationModule,
+  timerModule,
+  notesModule,
+  whiteboardModule,
+  joinRequestModule,
+  inviteModule;
 
 async function initializeApp() {
   try {
@@ -58,6 +90,60 @@ async function initializeApp() {
     uiModule = new UiManager(userModule, roomModule);
     console.log("[index.js] UiManager created");
 
+    presenceModule = new PresenceManager(userModule, roomModule);
+    console.log("[index.js] PresenceManager created");
+
+    searchModule = new SearchManager(userModule, roomModule, chatModule);
+    console.log("[index.js] SearchManager created");
+
+    pinModule = new PinManager(userModule, roomModule, chatModule);
+    console.log("[index.js] PinManager created");
+
+    pollModule = new PollManager(userModule, roomModule, chatModule);
+    console.log("[index.js] PollManager created");
+
+    commandModule = new CommandManager(userModule, roomModule, chatModule);
+    console.log("[index.js] CommandManager created");
+
+    fileViewerModule = new FileViewer(userModule, roomModule, chatModule);
+    console.log("[index.js] FileViewer created");
+
+    exportModule = new ExportManager(userModule, roomModule, chatModule);
+    console.log("[index.js] ExportManager created");
+
+    voiceModule = new VoiceManager(userModule, roomModule, chatModule);
+    console.log("[index.js] VoiceManager created");
+
+    notificationModule = new NotificationManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] NotificationManager created");
+
+    timerModule = new TimerManager(userModule, roomModule, chatModule);
+    console.log("[index.js] TimerManager created");
+
+    notesModule = new NotesManager(userModule, roomModule, chatModule);
+    console.log("[index.js] NotesManager created");
+
+    whiteboardModule = new WhiteboardManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] WhiteboardManager created");
+
+    joinRequestModule = new JoinRequestManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] JoinRequestManager created");
+
+    inviteModule = new InviteManager(userModule, roomModule, chatModule);
+    console.log("[index.js] InviteManager created");
+
     // attach to window for legacy HTML handlers and debugging
     window.userModule = userModule;
     window.roomModule = roomModule;
@@ -65,6 +151,20 @@ async function initializeApp() {
     window.videoModule = videoModule;
     // expose the UiManager instance so the bridge and console see the same instance
     window.uiModule = uiModule;
+    window.presenceModule = presenceModule;
+    window.searchModule = searchModule;
+    window.pinModule = pinModule;
+    window.pollModule = pollModule;
+    window.commandModule = commandModule;
+    window.fileViewerModule = fileViewerModule;
+    window.exportModule = exportModule;
+    window.voiceModule = voiceModule;
+    window.notificationModule = notificationModule;
+    window.timerModule = timerModule;
+    window.notesModule = notesModule;
+    window.whiteboardModule = whiteboardModule;
+    window.joinRequestModule = joinRequestModule;
+    window.inviteModule = inviteModule;
     window.UiManager = UiManager;
     window.closeToast = closeToast;
 
@@ -80,45 +180,72 @@ async function initializeApp() {
     roomModule.updateParticipantsList();
     console.log("[index.js] Participants list updated");
 
-    // init modules
+    // init modules (commands first: the composer autocomplete picks them up)
+    commandModule.init();
+    console.log("[index.js] CommandManager initialized");
+
     chatModule.init();
     console.log("[index.js] ChatManager initialized");
 
+    searchModule.init();
+    console.log("[index.js] SearchManager initialized");
+
+    pinModule.init();
+    console.log("[index.js] PinManager initialized");
+
+    pollModule.init();
+    console.log("[index.js] PollManager initialized");
+
+    exportModule.init();
+    console.log("[index.js] ExportManager initialized");
+
+    voiceModule.init();
+    console.log("[index.js] VoiceManager initialized");
+
+    notificationModule.init();
+    console.log("[index.js] NotificationManager initialized");
+
+    timerModule.init();
+    console.log("[index.js] TimerManager initialized");
+
+    notesModule.init();
+    console.log("[index.js] NotesManager initialized");
+
+    whiteboardModule.init();
+    console.log("[index.js] WhiteboardManager initialized");
+
+    joinRequestModule.init();
+    console.log("[index.js] JoinRequestManager initialized");
+
+    inviteModule.init();
+    console.log("[index.js] InviteManager initialized");
+
     videoModule.init();
     console.log("[index.js] VideoManager initialized");
 
     uiModule.init();
     console.log("[index.js] UiManager initialized");
 
-    setTimeout(() => {
+    if (!roomModule.isRoomDeactivated) {
+      presenceModule.init();
+      console.log("[index.js] PresenceManager initialized");
+    }
+
+    setTimeout(async () => {
       showToast(
         `Welcome to ${roomModule.currentRoomData?.name || "the study room"}!`,
         "success"
       );
-      if (
-        roomModule.isOwner &&
-        !chatModule.messages.some(
-          (m) =>
-            m.isSystem &&
-            m.text === `Room created by ${userModule.currentUser.displayName}`
-        )
-      ) {
-        chatModule.sendSystemMessage(
-          `Room created by ${userModule.currentUser.displayName}`
-        );
-      }
-      if (
-        roomModule.isOwner &&
-        !chatModule.messages.some(
-          (m) =>
-            m.isSystem &&
-            m.text ===
-              "Click the camera button to start a video call. Double-click the video header for fullscreen mode."
-        )
-      ) {
-        chatModule.sendSystemMessage(
-          "Click the camera button to start a video call. Double-click the video header for fullscreen mode."
-        );
+      // ✅ FIXED: Check Firestore too; only the latest page of messages is loaded
+      if (!roomModule.isOwner) return;
+      const introMessages = [
+        `Room created by ${userModule.currentUser.displayName}`,
+        "Click the camera button to start a video call. Double-click the video header for fullscreen mode.",
+      ];
+      for (const text of introMessages) {
+        if (!(await chatModule.hasSystemMessage(text))) {
+          await chatModule.sendSystemMessage(text);
+        }
       }
     }, 800);
 
@@ -172,13 +299,98 @@ document.addEventListener("DOMContentLoaded", () => initializeApp());
 /* cleanup on page exit */
 window.addEventListener("beforeunload", () => {
   try {
-    if (chatModule && typeof chatModule.unsubscribeMessages === "function") {
-      chatModule.unsubscribeMessages();
+    if (chatModule && typeof chatModule.cleanup === "function") {
+      chatModule.cleanup();
     }
   } catch (e) {
     console.warn("Error unsubscribing chat messages:", e);
   }
 
+  try {
+    if (roomModule && typeof roomModule.cleanup === "function") {
+      roomModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error unsubscribing room roles:", e);
+  }
+
+  try {
+    if (pinModule && typeof pinModule.cleanup === "function") {
+      pinModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error unsubscribing pins:", e);
+  }
+
+  try {
+    if (
+      notificationModule &&
+      typeof notificationModule.cleanup === "function"
+    ) {
+      notificationModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error clearing notifications:", e);
+  }
+
+  try {
+    if (whiteboardModule && typeof whiteboardModule.cleanup === "function") {
+      whiteboardModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error stopping whiteboard:", e);
+  }
+
+  try {
+    if (joinRequestModule && typeof joinRequestModule.cleanup === "function") {
+      joinRequestModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error unsubscribing join requests:", e);
+  }
+
+  try {
+    // flushes unsaved notes
+    if (notesModule && typeof notesModule.cleanup === "function") {
+      notesModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error saving notes:", e);
+  }
+
+  try {
+    if (timerModule && typeof timerModule.cleanup === "function") {
+      timerModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error stopping room timer:", e);
+  }
+
+  try {
+    if (voiceModule && typeof voiceModule.cleanup === "function") {
+      voiceModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error stopping voice notes:", e);
+  }
+
+  try {
+    if (pollModule && typeof pollModule.cleanup === "function") {
+      pollModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error stopping poll timers:", e);
+  }
+
+  try {
+    // flags this user offline for everyone else in the room
+    if (presenceModule && typeof presenceModule.cleanup === "function") {
+      presenceModule.cleanup();
+    }
+  } catch (e) {
+    console.warn("Error marking presence offline:", e);
+  }
+
   try {
     if (uiModule && typeof uiModule.cleanup === "function") {
       uiModule.cleanup();
@@ -0,0 +1,245 @@
+// InviteManager (ES module) - expiring / limited-use invite links
+// The owner creates invites from the invite modal; the backend stores them
+// and hands out a token. A link looks like
+// study-rooms.html?room={roomId}&invite={token} and is redeemed by the join
+// flow on the study rooms page and dashboard (scripts/roomInvites.js), which
+// checks expiry and remaining uses. bypassPassword invites also skip the
+// password or approval of a private room.
+// Invite: { token, createdAt, expiresAt|null, maxUses|null, uses, bypassPassword }
+
+import { showToast, escapeHtml, toMillis } from "./utils.js";
+import { fetchJsonWithAuth, postJsonWithAuth } from "../apiClient.js";
+
+const MAX_USES_LIMIT = 100;
+
+export class InviteManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.invites = [];
+    this.loading = false;
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    document
+      .getElementById("inviteModal")
+      ?.addEventListener("show.bs.modal", () => this.refresh());
+    document
+      .getElementById("createInviteBtn")
+      ?.addEventListener("click", () => this.createFromForm());
+    document
+      .getElementById("activeInvitesList")
+      ?.addEventListener("click", (e) => {
+        const copy = e.target.closest("[data-copy-invite]");
+        if (copy) return this.copy(copy.getAttribute("data-copy-invite"));
+        const revoke = e.target.closest("[data-revoke-invite]");
+        if (revoke) this.revoke(revoke.getAttribute("data-revoke-invite"));
+      });
+  }
+
+  canManage() {
+    return this.roomManager.isOwner;
+  }
+
+  linkFor(token) {
+    const url = new URL("study-rooms.html", window.location.href);
+    url.searchParams.set("room", this._getRoomId());
+    url.searchParams.set("invite", token);
+    return url.toString();
+  }
+
+  async refresh() {
+    const section = document.getElementById("inviteLinksSection");
+    if (!section) return;
+    section.hidden = !this.canManage();
+    if (!this.canManage()) return;
+
+    const bypassField = document.getElementById("inviteBypassField");
+    if (bypassField) bypassField.hidden = !this._isPrivate();
+
+    this.loading = true;
+    this.render();
+    try {
+      const data = await fetchJsonWithAuth(this._invitesUrl(), {
+        method: "GET",
+      });
+      this.invites = Array.isArray(data) ? data : data?.invites || [];
+    } catch (err) {
+      console.error("Error loading invites:", err);
+      showToast("Could not load invite links", "error");
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async createFromForm() {
+    const expiry = document.getElementById("inviteExpiry")?.value || "";
+    const maxUsesRaw = document.getElementById("inviteMaxUses")?.value || "";
+    const bypass = document.getElementById("inviteBypass");
+
+    const maxUses = maxUsesRaw ? Number(maxUsesRaw) : null;
+    if (
+      maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES_LIMIT)
+    ) {
+      showToast(
+        `Max uses must be a whole number from 1 to ${MAX_USES_LIMIT}`,
+        "error"
+      );
+      return;
+    }
+
+    const invite = await this.create({
+      expiresInHours: expiry ? Number(expiry) : null,
+      maxUses,
+      bypassPassword: this._isPrivate() && !!(bypass && bypass.checked),
+    });
+    if (!invite) return;
+
+    const maxUsesInput = document.getElementById("inviteMaxUses");
+    if (maxUsesInput) maxUsesInput.value = "";
+    if (bypass) bypass.checked = false;
+    this.copy(invite.token);
+  }
+
+  async create({ expiresInHours, maxUses, bypassPassword }) {
+    if (!this.canManage()) {
+      showToast("Only the room owner can create invite links", "error");
+      return null;
+    }
+    const btn = document.getElementById("createInviteBtn");
+    if (btn) btn.disabled = true;
+    try {
+      const invite = await postJsonWithAuth(this._invitesUrl(), {
+        expiresInHours,
+        maxUses,
+        bypassPassword,
+      });
+      this.invites = [invite, ...this.invites];
+      this.render();
+      return invite;
+    } catch (err) {
+      console.error("Error creating invite:", err);
+      const msg =
+        (err && err.body && (err.body.error || err.body.message)) ||
+        err.message ||
+        "unknown error";
+      showToast("Could not create invite link: " + msg, "error");
+      return null;
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async revoke(token) {
+    if (!this.canManage()) return;
+    if (
+      !confirm(
+        "Revoke this invite link? People who haven't used it yet won't be able to join with it."
+      )
+    )
+      return;
+    try {
+      await fetchJsonWithAuth(
+        `${this._invitesUrl()}/${encodeURIComponent(token)}`,
+        { method: "DELETE" }
+      );
+      this.invites = this.invites.filter((i) => i.token !== token);
+      this.render();
+      showToast("Invite link revoked", "success");
+    } catch (err) {
+      console.error("Error revoking invite:", err);
+      showToast("Could not revoke invite link", "error");
+    }
+  }
+
+  async copy(token) {
+    const link = this.linkFor(token);
+    try {
+      await navigator.clipboard.writeText(link);
+      showToast("Invite link copied to clipboard", "success");
+    } catch (err) {
+      console.error("Clipboard failed:", err);
+      window.prompt("Copy this invite link:", link);
+    }
+  }
+
+  render() {
+    const list = document.getElementById("activeInvitesList");
+    if (!list) return;
+    if (this.loading && this.invites.length === 0) {
+      list.innerHTML = `<div class="invite-empty">Loading invite links...</div>`;
+      return;
+    }
+    const active = this.invites.filter((i) => this._isActive(i));
+    if (active.length === 0) {
+      list.innerHTML = `<div class="invite-empty">No active invite links.</div>`;
+      return;
+    }
+    list.innerHTML = active
+      .map((invite) => {
+        const token = escapeHtml(invite.token);
+        const used = invite.uses || 0;
+        const uses = invite.maxUses
+          ? `${used} / ${invite.maxUses} uses`
+          : `${used} use${used === 1 ? "" : "s"}`;
+        return `<div class="invite-item"><div class="invite-info"><code class="invite-token">…${escapeHtml(
+          String(invite.token).slice(-8)
+        )}</code><div class="invite-meta"><span><i class="bi bi-people"></i> ${escapeHtml(
+          uses
+        )}</span><span><i class="bi bi-clock"></i> ${escapeHtml(
+          this._expiryLabel(invite.expiresAt)
+        )}</span>${
+          invite.bypassPassword
+            ? `<span class="invite-bypass"><i class="bi bi-unlock"></i> Skips ${
+                this.roomManager.currentRoomData?.joinMode === "approval"
+                  ? "approval"
+                  : "password"
+              }</span>`
+            : ""
+        }</div></div><div class="invite-actions"><button class="btn btn-outline-success btn-sm" data-copy-invite="${token}" title="Copy link"><i class="bi bi-clipboard"></i></button><button class="btn btn-outline-danger btn-sm" data-revoke-invite="${token}" title="Revoke"><i class="bi bi-x-lg"></i></button></div></div>`;
+      })
+      .join("");
+  }
+
+  _isActive(invite) {
+    if (!invite || invite.revoked) return false;
+    const expiresAt = toMillis(invite.expiresAt);
+    if (expiresAt && expiresAt <= this._now()) return false;
+    return !invite.maxUses || (invite.uses || 0) < invite.maxUses;
+  }
+
+  _expiryLabel(ts) {
+    const expiresAt = toMillis(ts);
+    if (!expiresAt) return "Never expires";
+    const minutes = Math.max(1, Math.round((expiresAt - this._now()) / 60000));
+    if (minutes < 60) return `Expires in ${minutes} min`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `Expires in ${hours} h`;
+    return `Expires in ${Math.round(hours / 24)} days`;
+  }
+
+  _isPrivate() {
+    const data = this.roomManager.currentRoomData || {};
+    return (
+      !!data.isPrivate || String(data.privacy || "").toLowerCase() === "private"
+    );
+  }
+
+  _now() {
+    return window.presenceModule ? window.presenceModule.now() : Date.now();
+  }
+
+  _invitesUrl() {
+    return `${window.__CONFIG__.apiBase}/${this._getRoomId()}/invites`;
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
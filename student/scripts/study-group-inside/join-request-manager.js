@@ -0,0 +1,223 @@
+// JoinRequestManager (ES module) - waiting room for approval-required rooms
+// People asking to join (scripts/joinRequests.js) get a request document in
+// studyGroups/{roomId}/joinRequests/{uid}; the backend writes it and adds
+// the user to the room once a request is approved. Roles with the "admit"
+// permission see the pending queue above the participants list and answer
+// it through the API; the requester's waiting modal picks up the outcome.
+
+import { db } from "./firebase-init.js";
+import { showToast, escapeHtml, toMillis } from "./utils.js";
+import { fetchJsonWithAuth } from "../apiClient.js";
+
+export class JoinRequestManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.requests = []; // pending, oldest first
+    this.unsubscribe = null;
+    this._busy = new Set(); // uids with an answer in flight
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    document.getElementById("waitingRoom")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-join-action]");
+      if (!btn) return;
+      const uid = btn.getAttribute("data-uid");
+      if (btn.getAttribute("data-join-action") === "approve") this.approve(uid);
+      else this.deny(uid);
+    });
+    this.syncAccess();
+  }
+
+  canAdmit() {
+    return this.roomManager.can("admit");
+  }
+
+  // Start or stop following the queue when roles change
+  syncAccess() {
+    if (this.canAdmit()) {
+      if (!this.unsubscribe) this._subscribe();
+    } else {
+      this.cleanup();
+      this.requests = [];
+      this.render();
+    }
+  }
+
+  async approve(uid) {
+    return this._answer(uid, "approved");
+  }
+
+  async deny(uid) {
+    return this._answer(uid, "denied");
+  }
+
+  async _answer(uid, status) {
+    if (!this.canAdmit()) {
+      showToast("You don't have permission to answer join requests", "error");
+      return;
+    }
+    if (this._busy.has(uid)) return;
+    const request = this.requests.find((r) => r.uid === uid);
+    const name = request ? this._nameOf(request) : "This person";
+
+    this._busy.add(uid);
+    this.render();
+    try {
+      await fetchJsonWithAuth(
+        `${
+          window.__CONFIG__.apiBase
+        }/${this._getRoomId()}/join-requests/${encodeURIComponent(uid)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ status }),
+        }
+      );
+
+      if (status === "approved") {
+        const data = this.roomManager.currentRoomData;
+        const participants = data.participants || [];
+        if (!participants.includes(uid))
+          data.participants = [...participants, uid];
+        await this.roomManager.loadParticipantsInfo();
+        await this.chatManager.sendSystemMessage(`${name} joined the room`);
+        showToast(`${name} can now enter the room`, "success");
+      } else {
+        showToast(`Declined ${name}'s request`, "info");
+      }
+    } catch (err) {
+      console.error("Error answering join request:", err);
+      const msg =
+        (err && err.body && (err.body.error || err.body.message)) ||
+        err.message ||
+        "unknown error";
+      showToast("Could not answer the request: " + msg, "error");
+    } finally {
+      this._busy.delete(uid);
+      this.render();
+    }
+  }
+
+  render() {
+    const box = document.getElementById("waitingRoom");
+    if (!box) return;
+    if (this.requests.length === 0) {
+      box.hidden = true;
+      box.innerHTML = "";
+      return;
+    }
+    box.hidden = false;
+
+    const rows = this.requests
+      .map((request) => {
+        const busy = this._busy.has(request.uid);
+        const uid = escapeHtml(request.uid);
+        const name = this._nameOf(request);
+        return `<div class="waiting-item"><div class="participant-avatar">${escapeHtml(
+          (name[0] || "U").toUpperCase()
+        )}</div><div class="waiting-info"><div class="waiting-name">${escapeHtml(
+          name
+        )}</div><div class="waiting-time">${escapeHtml(
+          this._ago(request.createdAt)
+        )}</div></div><div class="waiting-actions"><button class="waiting-btn approve" data-join-action="approve" data-uid="${uid}" title="Let in"${
+          busy ? " disabled" : ""
+        }><i class="bi bi-check-lg"></i></button><button class="waiting-btn deny" data-join-action="deny" data-uid="${uid}" title="Decline"${
+          busy ? " disabled" : ""
+        }><i class="bi bi-x-lg"></i></button></div></div>`;
+      })
+      .join("");
+
+    box.innerHTML = `<div class="waiting-header"><i class="bi bi-hourglass-split"></i> Waiting room <span class="waiting-count">${this.requests.length}</span></div>${rows}`;
+  }
+
+  cleanup() {
+    if (this.unsubscribe) {
+      try {
+        this.unsubscribe();
+      } catch (e) {}
+      this.unsubscribe = null;
+    }
+  }
+
+  _subscribe() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    let first = true;
+    const subscribe = () => {
+      this.unsubscribe = this._requestsRef()
+        .where("status", "==", "pending")
+        .onSnapshot(
+          (snapshot) => {
+            const known = new Set(this.requests.map((r) => r.uid));
+            this.requests = [];
+            snapshot.forEach((doc) =>
+              this.requests.push({ uid: doc.id, ...doc.data() })
+            );
+            this.requests.sort(
+              (a, b) => toMillis(a.createdAt) - toMillis(b.createdAt)
+            );
+            if (!first) {
+              const arrived = this.requests.filter((r) => !known.has(r.uid));
+              if (arrived.length === 1)
+                showToast(
+                  `${this._nameOf(arrived[0])} is asking to join`,
+                  "info"
+                );
+              else if (arrived.length > 1)
+                showToast(
+                  `${arrived.length} people are asking to join`,
+                  "info"
+                );
+            }
+            first = false;
+            this.render();
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for join requests:", error);
+            try {
+              if (this.unsubscribe) this.unsubscribe();
+            } catch (e) {}
+            this.unsubscribe = null;
+            setTimeout(() => {
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              if (this.canAdmit()) subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  _nameOf(request) {
+    return request.name || request.displayName || request.uid.substring(0, 8);
+  }
+
+  _ago(ts) {
+    const millis = toMillis(ts);
+    if (!millis) return "Just now";
+    const now = window.presenceModule
+      ? window.presenceModule.now()
+      : Date.now();
+    const minutes = Math.floor((now - millis) / 60000);
+    if (minutes < 1) return "Just now";
+    if (minutes < 60) return `Waiting ${minutes} min`;
+    return `Waiting ${Math.floor(minutes / 60)} h`;
+  }
+
+  _requestsRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("joinRequests");
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -0,0 +1,167 @@
+// Message formatting (ES module) - safe markdown subset for room chat
+// Supported: **bold**, *italic* / _italic_, `inline code`, ```lang fenced
+// code blocks```, "- " / "1. " lists, $inline$ / \(inline\) math and
+// $$block$$ / \[block\] math.
+// Everything is escaped first; code and math are cut out beforehand and
+// rendered by highlight.js / KaTeX when those globals are loaded, otherwise
+// shown as plain escaped text. The result goes through DOMPurify if present.
+
+import { escapeHtml } from "./utils.js";
+
+// Cut-out segments are replaced by \u0000<index>\u0000 while the rest of the
+// text is escaped and formatted
+const TOKEN = /\u0000(\d+)\u0000/g;
+const BLOCK_TOKEN = /^\u0000(\d+)\u0000$/;
+
+function renderCode(code, lang) {
+  const hljs = window.hljs;
+  if (hljs && typeof hljs.highlight === "function") {
+    try {
+      if (lang && hljs.getLanguage(lang))
+        return hljs.highlight(code, { language: lang, ignoreIllegals: true })
+          .value;
+      return hljs.highlightAuto(code).value;
+    } catch (e) {
+      console.debug("Code highlighting failed:", e);
+    }
+  }
+  return escapeHtml(code);
+}
+
+function renderMath(tex, displayMode) {
+  const katex = window.katex;
+  if (katex && typeof katex.renderToString === "function") {
+    try {
+      return katex.renderToString(tex, {
+        displayMode,
+        throwOnError: false,
+        trust: false,
+        maxSize: 10,
+        maxExpand: 200,
+      });
+    } catch (e) {
+      console.debug("Math rendering failed:", e);
+    }
+  }
+  return `<code>${escapeHtml(displayMode ? `$$${tex}$$` : `$${tex}$`)}</code>`;
+}
+
+// Inline markup on already-escaped text
+function renderInline(html) {
+  return html
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?![*\w])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Render chat text to sanitized HTML.
+ * @param {string} text raw message text
+ * @param {object} [options]
+ * @param {(html: string) => string} [options.decorate] runs on formatted,
+ *   escaped prose (never inside code or math), e.g. to highlight mentions
+ * @returns {string}
+ */
+export function formatMessage(text, options = {}) {
+  const { decorate } = options;
+  const segments = [];
+  const keep = (html, block) => {
+    segments.push({ html, block });
+    return `\u0000${segments.length - 1}\u0000`;
+  };
+
+  let src = String(text || "")
+    .replace(/\u0000/g, "")
+    .replace(/\r\n?/g, "\n");
+
+  // fenced code blocks (an unclosed fence runs to the end of the message)
+  src = src.replace(
+    /(^|\n)```[ \t]*([\w+#.-]*)[^\n]*\n([\s\S]*?)(?:\n```[ \t]*(?=\n|$)|$)/g,
+    (_, lead, lang, code) =>
+      `${lead}${keep(
+        `<pre class="message-code"><code class="hljs">${renderCode(
+          code,
+          lang.toLowerCase()
+        )}</code></pre>`,
+        true
+      )}`
+  );
+  // block math, moved onto a line of its own
+  src = src.replace(
+    /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g,
+    (match, a, b, offset, whole) => {
+      const before = offset > 0 && whole[offset - 1] !== "\n" ? "\n" : "";
+      const next = whole[offset + match.length];
+      const after = next && next !== "\n" ? "\n" : "";
+      return `${before}${keep(
+        `<div class="message-math">${renderMath((a || b).trim(), true)}</div>`,
+        true
+      )}${after}`;
+    }
+  );
+  // inline code
+  src = src.replace(/`([^`\n]+)`/g, (_, code) =>
+    keep(`<code>${escapeHtml(code)}</code>`)
+  );
+  // inline math; "$5 and $10" stays text because the content may not touch
+  // the dollars with whitespace and the closing $ may not precede a digit
+  src = src.replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)|\\\((.+?)\\\)/g, (_, a, b) =>
+    keep(renderMath(a || b, false))
+  );
+
+  // lists and line breaks
+  const out = [];
+  let list = null; // { tag, items }
+  const flushList = () => {
+    if (!list) return;
+    out.push({
+      html: `<${list.tag}>${list.items
+        .map((item) => `<li>${item}</li>`)
+        .join("")}</${list.tag}>`,
+      block: true,
+    });
+    list = null;
+  };
+  const prose = (line) => {
+    const html = renderInline(escapeHtml(line));
+    return typeof decorate === "function" ? decorate(html) : html;
+  };
+
+  src
+    .replace(/^\n+|\n+$/g, "")
+    .split("\n")
+    .forEach((line) => {
+      const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      const tag = bullet ? "ul" : numbered ? "ol" : null;
+      if (tag) {
+        if (!list || list.tag !== tag) {
+          flushList();
+          list = { tag, items: [] };
+        }
+        list.items.push(prose((bullet || numbered)[1]));
+        return;
+      }
+      flushList();
+      const token = line.trim().match(BLOCK_TOKEN);
+      if (token && segments[Number(token[1])].block) {
+        out.push({ html: line.trim(), block: true });
+        return;
+      }
+      out.push({ html: prose(line), block: false });
+    });
+  flushList();
+
+  // <br> only between two prose lines; blocks break lines on their own
+  let html = "";
+  out.forEach((part, i) => {
+    if (i > 0 && !part.block && !out[i - 1].block) html += "<br>";
+    html += part.html;
+  });
+  html = html.replace(TOKEN, (_, i) => segments[Number(i)].html);
+
+  if (window.DOMPurify && typeof window.DOMPurify.sanitize === "function") {
+    return window.DOMPurify.sanitize(html);
+  }
+  return html;
+}
@@ -0,0 +1,1042 @@
+// NotesManager (ES module) - collaborative notes pad for the room
+// The pad is one doc per room at studyGroups/{roomId}/notes/pad:
+//   { blocks: [{ id, tag, html, by }], rev, updatedBy, updatedAt, lastVersionAt }
+// Each top-level paragraph / heading / list of the contenteditable editor is a
+// block with a stable id; `by` is the uid that last changed it and picks the
+// author color. Saves are debounced and written in a transaction: when the
+// server rev moved on since our last sync, our edits are merged block by block
+// (mergeBlocks) onto the newer pad instead of overwriting it. Incoming edits
+// are merged into unsaved local ones the same way.
+// Snapshots go to notes/pad/versions at most every VERSION_EVERY_MS while
+// editing (and before a restore), for the history modal.
+// Editing follows RoomManager: room participants, while the room is active.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, isSafeUrl, showToast } from "./utils.js";
+
+const SAVE_DELAY_MS = 800;
+const RETRY_DELAY_MS = 5000;
+const VERSION_EVERY_MS = 5 * 60 * 1000;
+const HISTORY_LIMIT = 30;
+
+const BLOCK_TAGS = ["p", "h2", "h3", "ul", "ol", "pre", "blockquote"];
+// allowed inside blocks; anything else is unwrapped to its text
+const INLINE_TAGS = [
+  "b",
+  "strong",
+  "i",
+  "em",
+  "u",
+  "s",
+  "code",
+  "a",
+  "br",
+  "ul",
+  "ol",
+  "li",
+];
+const DROP_TAGS = ["script", "style", "template", "iframe", "object", "embed"];
+
+const AUTHOR_COLORS = [
+  "#4caf50",
+  "#2196f3",
+  "#ff9800",
+  "#9c27b0",
+  "#e91e63",
+  "#009688",
+  "#795548",
+  "#3f51b5",
+];
+
+function sameBlock(a, b) {
+  return !!a && !!b && a.tag === b.tag && a.html === b.html;
+}
+
+function newBlockId() {
+  return `b${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Three-way merge of block lists. Blocks only one side touched take that
+ * side's version; when both sides changed the same block differently, both
+ * versions are kept (ours right after theirs, under a new id). A block one
+ * side deleted survives if the other side edited it.
+ * @param {Array} base last version both sides agreed on
+ * @param {Array} mine local blocks
+ * @param {Array} theirs newer blocks from the server
+ * @returns {{ blocks: Array, conflicts: number }}
+ */
+export function mergeBlocks(base, mine, theirs) {
+  const baseMap = new Map(base.map((b) => [b.id, b]));
+  const mineMap = new Map(mine.map((b) => [b.id, b]));
+  const theirMap = new Map(theirs.map((b) => [b.id, b]));
+  const result = [];
+  let conflicts = 0;
+
+  for (const t of theirs) {
+    const b = baseMap.get(t.id);
+    const m = mineMap.get(t.id);
+    if (!b) result.push(t);
+    else if (!m) {
+      // deleted here: keep it only if they changed it meanwhile
+      if (!sameBlock(t, b)) result.push(t);
+    } else if (sameBlock(m, b) || sameBlock(m, t)) result.push(t);
+    else if (sameBlock(t, b)) result.push(m);
+    else {
+      result.push(t, { ...m, id: newBlockId() });
+      conflicts++;
+    }
+  }
+
+  // our new blocks, and blocks we edited that they deleted, go after the
+  // nearest block that precedes them locally
+  mine.forEach((m, i) => {
+    if (theirMap.has(m.id)) return;
+    const b = baseMap.get(m.id);
+    if (b && sameBlock(m, b)) return;
+    let at = 0;
+    for (let j = i - 1; j >= 0; j--) {
+      const index = result.findIndex((r) => r.id === mine[j].id);
+      if (index !== -1) {
+        at = index + 1;
+        break;
+      }
+    }
+    result.splice(at, 0, m);
+  });
+
+  return { blocks: result, conflicts };
+}
+
+/**
+ * Keeps the formatting tags the pad supports and drops everything else
+ * (attributes, styles, scripts). Links keep a safe href only.
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeNoteHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html || "";
+  const clean = (node) => {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+      if (child.nodeType !== Node.ELEMENT_NODE) return child.remove();
+      const tag = child.tagName.toLowerCase();
+      if (DROP_TAGS.includes(tag)) return child.remove();
+      clean(child);
+      if (!INLINE_TAGS.includes(tag)) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+      const href = tag === "a" ? child.getAttribute("href") : null;
+      Array.from(child.attributes).forEach((attr) =>
+        child.removeAttribute(attr.name)
+      );
+      if (tag === "a") {
+        if (href && isSafeUrl(href)) {
+          child.setAttribute("href", href);
+          child.setAttribute("target", "_blank");
+          child.setAttribute("rel", "noopener noreferrer");
+        } else child.replaceWith(...child.childNodes);
+      }
+    });
+  };
+  clean(template.content);
+  return template.innerHTML;
+}
+
+// ===== Markdown =====
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, "\\$1");
+}
+
+function inlineMarkdown(node) {
+  return Array.from(node.childNodes)
+    .map((child) => {
+      if (child.nodeType === Node.TEXT_NODE)
+        return escapeMarkdown(child.textContent.replace(/\u00a0/g, " "));
+      if (child.nodeType !== Node.ELEMENT_NODE) return "";
+      const tag = child.tagName.toLowerCase();
+      const inner = inlineMarkdown(child);
+      switch (tag) {
+        case "b":
+        case "strong":
+          return inner.trim() ? `**${inner}**` : inner;
+        case "i":
+        case "em":
+          return inner.trim() ? `*${inner}*` : inner;
+        case "s":
+          return inner.trim() ? `~~${inner}~~` : inner;
+        case "code":
+          return `\`${child.textContent}\``;
+        case "a":
+          return `[${inner}](${child.getAttribute("href")})`;
+        case "br":
+          return "  \n";
+        case "ul":
+        case "ol":
+          return ""; // nested lists are written by listMarkdown
+        default:
+          return inner;
+      }
+    })
+    .join("");
+}
+
+function listMarkdown(list, depth = 0) {
+  const ordered = list.tagName.toLowerCase() === "ol";
+  const indent = "   ".repeat(depth);
+  return Array.from(list.children)
+    .filter((li) => li.tagName.toLowerCase() === "li")
+    .map((li, i) => {
+      const line = `${indent}${ordered ? `${i + 1}.` : "-"} ${inlineMarkdown(
+        li
+      ).trim()}`;
+      const nested = Array.from(li.children)
+        .filter((c) => /^(ul|ol)$/i.test(c.tagName))
+        .map((c) => listMarkdown(c, depth + 1));
+      return [line, ...nested].join("\n");
+    })
+    .join("\n");
+}
+
+/**
+ * @param {Array} blocks pad blocks
+ * @returns {string} Markdown
+ */
+export function blocksToMarkdown(blocks) {
+  return blocks
+    .map((block) => {
+      const el = document.createElement(block.tag);
+      el.innerHTML = sanitizeNoteHtml(block.html);
+      switch (block.tag) {
+        case "h2":
+        case "h3": {
+          const text = inlineMarkdown(el).trim();
+          return text ? `${block.tag === "h2" ? "##" : "###"} ${text}` : "";
+        }
+        case "ul":
+        case "ol":
+          return listMarkdown(el);
+        case "pre":
+          return `\`\`\`\n${el.textContent.replace(/\n$/, "")}\n\`\`\``;
+        case "blockquote":
+          return inlineMarkdown(el)
+            .trim()
+            .split("\n")
+            .map((line) => `> ${line}`)
+            .join("\n");
+        default:
+          return inlineMarkdown(el).trim();
+      }
+    })
+    .filter((text) => text !== "")
+    .join("\n\n");
+}
+
+export class NotesManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.editor = null;
+    this.unsubscribe = null;
+    this._loaded = false;
+    this._base = []; // blocks as of the last server rev we synced with
+    this._rev = 0;
+    this._meta = null; // { updatedBy, updatedAt } of the server pad
+    this._dirty = false; // local edits not yet saved
+    this._saving = false;
+    this._inFlight = null; // settles when the current save / restore does
+    this._pendingRemote = undefined; // snapshot that arrived mid-save
+    this._saveTimer = null;
+    this._names = {}; // uid -> display name, for authors not in the room
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    this.editor = document.getElementById("notesEditor");
+    if (!this.editor) return;
+
+    const toolbar = document.getElementById("notesToolbar");
+    // keep the editor's selection when clicking toolbar buttons
+    toolbar?.addEventListener("mousedown", (e) => {
+      if (e.target.closest("[data-cmd], [data-block]")) e.preventDefault();
+    });
+    toolbar?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn || btn.disabled) return;
+      if (btn.dataset.cmd) this.format(btn.dataset.cmd);
+      else if (btn.dataset.block) this.format("formatBlock", btn.dataset.block);
+      else if (btn.dataset.notesAction === "history") this.openHistory();
+      else if (btn.dataset.notesAction === "export") this.exportMarkdown();
+    });
+
+    // Enter should start a <p>, not a <div>
+    try {
+      document.execCommand("defaultParagraphSeparator", false, "p");
+    } catch (e) {}
+    this.editor.addEventListener("input", () => this._onInput());
+    this.editor.addEventListener("paste", (e) => {
+      // pasted HTML from other sites carries styles and markup we don't keep
+      e.preventDefault();
+      const text = (e.clipboardData || window.clipboardData).getData("text");
+      document.execCommand("insertText", false, text);
+    });
+    this.editor.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "s") {
+        e.preventDefault();
+        this.saveNow();
+      } else if (key === "k") {
+        e.preventDefault();
+        this.format("createLink");
+      }
+    });
+
+    this._updateEditable();
+    this._subscribe();
+  }
+
+  isParticipant() {
+    const uid = this.userAuth.currentUser && this.userAuth.currentUser.uid;
+    return (
+      !!uid && (this.roomManager.participants || []).some((p) => p.id === uid)
+    );
+  }
+
+  canEdit() {
+    return this.isParticipant() && !this.roomManager.isRoomDeactivated;
+  }
+
+  _padRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("notes")
+      .doc("pad");
+  }
+
+  _versionsRef() {
+    return this._padRef().collection("versions");
+  }
+
+  _now() {
+    return window.presenceModule ? window.presenceModule.now() : Date.now();
+  }
+
+  _updateEditable() {
+    const editable = this.canEdit() && this._loaded;
+    this.editor.contentEditable = editable ? "true" : "false";
+    this.editor.classList.toggle("read-only", !editable);
+    document
+      .querySelectorAll("#notesToolbar [data-cmd], #notesToolbar [data-block]")
+      .forEach((btn) => (btn.disabled = !editable));
+    if (!this._loaded) this._setStatus("loading");
+    else if (!editable) this._setStatus("read-only");
+  }
+
+  // ===== EDITING =====
+
+  format(command, value = null) {
+    if (!this.canEdit()) return;
+    this.editor.focus();
+    if (command === "createLink") {
+      const url = prompt("Link address (https://...)");
+      if (!url) return;
+      const href = /^https?:\/\//i.test(url.trim())
+        ? url.trim()
+        : `https://${url.trim()}`;
+      if (!isSafeUrl(href)) {
+        showToast("That link doesn't look valid", "warning");
+        return;
+      }
+      const sel = window.getSelection();
+      if (sel && sel.isCollapsed)
+        document.execCommand("insertText", false, href);
+      document.execCommand("createLink", false, href);
+    } else if (command === "formatBlock") {
+      // toggling the current block type back to a paragraph
+      const block = this._blockAtSelection();
+      const tag = block && block.tagName.toLowerCase() === value ? "p" : value;
+      document.execCommand("formatBlock", false, `<${tag}>`);
+    } else {
+      document.execCommand(command, false, value);
+    }
+    this._onInput();
+  }
+
+  _onInput() {
+    if (!this.canEdit()) return;
+    this._normalize();
+    this._dirty = true;
+    this._setStatus("pending");
+    this._scheduleSave(SAVE_DELAY_MS);
+  }
+
+  _scheduleSave(delay) {
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._save();
+    }, delay);
+  }
+
+  saveNow() {
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    return this._save();
+  }
+
+  // Makes every top-level node a block element with a unique id. Browsers
+  // copy attributes when Enter splits a paragraph, so duplicates get new ids.
+  _normalize() {
+    const editor = this.editor;
+    const seen = new Set();
+    // wrapping moves nodes, which drops the caret; it is put back below
+    const sel = window.getSelection();
+    const range = sel && sel.rangeCount ? sel.getRangeAt(0) : null;
+    const caret =
+      range && range.collapsed
+        ? { node: range.startContainer, offset: range.startOffset }
+        : null;
+    Array.from(editor.childNodes).forEach((node) => {
+      let el = node;
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (!node.textContent.trim()) return node.remove();
+        el = document.createElement("p");
+        node.replaceWith(el);
+        el.appendChild(node);
+      } else if (node.nodeType !== Node.ELEMENT_NODE) {
+        return node.remove();
+      } else if (!BLOCK_TAGS.includes(node.tagName.toLowerCase())) {
+        // <div> from some browsers' Enter, or stray inline markup
+        if (node.tagName.toLowerCase() === "br") return node.remove();
+        el = document.createElement("p");
+        node.replaceWith(el);
+        if (node.tagName.toLowerCase() === "div") el.append(...node.childNodes);
+        else el.appendChild(node);
+      }
+      let id = el.dataset.blockId;
+      if (!id || seen.has(id)) {
+        id = newBlockId();
+        el.dataset.blockId = id;
+      }
+      seen.add(id);
+    });
+    if (caret && caret.node !== editor && editor.contains(caret.node)) {
+      const restored = document.createRange();
+      restored.setStart(caret.node, caret.offset);
+      restored.collapse(true);
+      sel.removeAllRanges();
+      sel.addRange(restored);
+    }
+  }
+
+  // Current editor content as blocks; `by` stays with the last author for
+  // blocks unchanged since the base
+  _readBlocks() {
+    const me = this.userAuth.currentUser.uid;
+    const baseMap = new Map(this._base.map((b) => [b.id, b]));
+    return Array.from(this.editor.children).map((el) => {
+      const block = {
+        id: el.dataset.blockId,
+        tag: el.tagName.toLowerCase(),
+        html: sanitizeNoteHtml(el.innerHTML),
+      };
+      const base = baseMap.get(block.id);
+      block.by = base && sameBlock(base, block) ? base.by : me;
+      return block;
+    });
+  }
+
+  // Patches the editor to show blocks, touching only what changed so the
+  // caret survives remote edits elsewhere in the pad
+  _applyBlocks(blocks) {
+    const editor = this.editor;
+    const focused = document.activeElement === editor;
+    const caret = focused ? this._saveCaret() : null;
+    const existing = new Map(
+      Array.from(editor.children).map((el) => [el.dataset.blockId, el])
+    );
+
+    const wanted = blocks
+      .filter((b) => BLOCK_TAGS.includes(b.tag))
+      .map((block) => {
+        const html = sanitizeNoteHtml(block.html);
+        let el = existing.get(block.id);
+        if (
+          !el ||
+          el.tagName.toLowerCase() !== block.tag ||
+          el.innerHTML !== (html || "<br>")
+        ) {
+          el = document.createElement(block.tag);
+          el.dataset.blockId = block.id;
+          el.innerHTML = html || "<br>";
+        }
+        el.dataset.author = block.by || "";
+        el.style.setProperty("--author-color", this._colorOf(block.by));
+        return el;
+      });
+
+    // something to type into while the pad is empty
+    if (wanted.length === 0 && this.canEdit()) {
+      const first = editor.firstElementChild;
+      const empty =
+        first && first.tagName.toLowerCase() === "p" && !first.textContent
+          ? first
+          : document.createElement("p");
+      if (!empty.dataset.blockId) empty.dataset.blockId = newBlockId();
+      empty.innerHTML = "<br>";
+      empty.style.removeProperty("--author-color");
+      wanted.push(empty);
+    }
+
+    const keep = new Set(wanted);
+    Array.from(editor.children).forEach((el) => {
+      if (!keep.has(el)) el.remove();
+    });
+    wanted.forEach((el, i) => {
+      if (editor.children[i] !== el)
+        editor.insertBefore(el, editor.children[i] || null);
+    });
+
+    if (caret) this._restoreCaret(caret);
+    this._renderAuthors(blocks);
+  }
+
+  _blockAtSelection() {
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount) return null;
+    let node = sel.getRangeAt(0).startContainer;
+    while (node && node.parentNode !== this.editor) node = node.parentNode;
+    return node && node.nodeType === Node.ELEMENT_NODE ? node : null;
+  }
+
+  // Caret as { id, offset } with offset counted in text characters
+  _saveCaret() {
+    const block = this._blockAtSelection();
+    if (!block) return null;
+    const range = window.getSelection().getRangeAt(0);
+    const before = document.createRange();
+    before.selectNodeContents(block);
+    before.setEnd(range.startContainer, range.startOffset);
+    return { id: block.dataset.blockId, offset: before.toString().length };
+  }
+
+  _restoreCaret({ id, offset }) {
+    const block = Array.from(this.editor.children).find(
+      (el) => el.dataset.blockId === id
+    );
+    if (!block) return;
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    let left = offset;
+    let node = walker.nextNode();
+    let target = null;
+    while (node) {
+      if (left <= node.textContent.length) {
+        target = node;
+        break;
+      }
+      left -= node.textContent.length;
+      node = walker.nextNode();
+    }
+    const range = document.createRange();
+    if (target) range.setStart(target, left);
+    else {
+      range.selectNodeContents(block);
+      range.collapse(false);
+    }
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  // ===== SYNC =====
+
+  _subscribe() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribe = this._padRef().onSnapshot(
+        (snap) => {
+          retryDelay = 1000;
+          if (snap.metadata.hasPendingWrites) return;
+          const data = snap.exists ? snap.data() : null;
+          if (this._saving) {
+            // handled once our own save settles
+            this._pendingRemote = data;
+            return;
+          }
+          this._receive(data);
+        },
+        (error) => {
+          console.error("Error listening for notes:", error);
+          this._setStatus("offline");
+          try {
+            if (this.unsubscribe) this.unsubscribe();
+          } catch (e) {}
+          this.unsubscribe = null;
+          setTimeout(() => {
+            retryDelay = Math.min(maxDelay, retryDelay * 2);
+            subscribe();
+          }, retryDelay);
+        }
+      );
+    };
+    subscribe();
+  }
+
+  _receive(data) {
+    const rev = (data && data.rev) || 0;
+    const blocks = (data && Array.isArray(data.blocks) && data.blocks) || [];
+    if (this._loaded && rev <= this._rev) return;
+    const firstLoad = !this._loaded;
+    this._loaded = true;
+    if (firstLoad) this._updateEditable();
+    this._meta = data
+      ? { updatedBy: data.updatedBy, updatedAt: data.updatedAt }
+      : null;
+
+    if (this._dirty && !firstLoad) {
+      const merged = mergeBlocks(this._base, this._readBlocks(), blocks);
+      this._base = blocks;
+      this._rev = rev;
+      this._applyBlocks(merged.blocks);
+      this._notifyConflicts(merged.conflicts);
+    } else {
+      this._base = blocks;
+      this._rev = rev;
+      this._applyBlocks(blocks);
+      if (!this._dirty && this.canEdit()) this._setStatus("saved");
+    }
+
+    if (
+      !firstLoad &&
+      data &&
+      data.updatedBy !== this.userAuth.currentUser.uid &&
+      document.getElementById("notesPane")?.hidden
+    ) {
+      const dot = document.getElementById("notesUpdatedDot");
+      if (dot) dot.hidden = false;
+    }
+    this._renderMeta();
+  }
+
+  // Saves and restores write the pad one at a time; returns the function
+  // that marks this write as settled
+  _beginWrite() {
+    this._saving = true;
+    let settle;
+    this._inFlight = new Promise((resolve) => (settle = resolve));
+    return () => {
+      this._saving = false;
+      this._inFlight = null;
+      settle();
+    };
+  }
+
+  async _save() {
+    if (this._saving || !this._dirty || !this._loaded || !this.canEdit())
+      return;
+    const endWrite = this._beginWrite();
+    this._dirty = false;
+    this._setStatus("saving");
+
+    const ref = this._padRef();
+    const me = this.userAuth.currentUser.uid;
+    const local = this._readBlocks();
+    let written = null;
+    let conflicts = 0;
+    try {
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const server = snap.exists ? snap.data() : {};
+        const serverRev = server.rev || 0;
+        let blocks = local;
+        conflicts = 0;
+        if (serverRev !== this._rev) {
+          const merged = mergeBlocks(this._base, local, server.blocks || []);
+          blocks = merged.blocks;
+          conflicts = merged.conflicts;
+        }
+        const serverTime = firebase.firestore.FieldValue.serverTimestamp();
+        const data = {
+          blocks,
+          rev: serverRev + 1,
+          updatedBy: me,
+          updatedAt: serverTime,
+        };
+        const lastVersion = server.lastVersionAt
+          ? server.lastVersionAt.toMillis()
+          : 0;
+        if (this._now() - lastVersion > VERSION_EVERY_MS) {
+          tx.set(this._versionsRef().doc(), {
+            blocks,
+            rev: data.rev,
+            savedBy: me,
+            savedAt: serverTime,
+          });
+          data.lastVersionAt = serverTime;
+        }
+        tx.set(ref, data, { merge: true });
+        written = data;
+      });
+
+      const serverBlocks = written.blocks;
+      this._base = serverBlocks;
+      this._rev = written.rev;
+      this._meta = { updatedBy: me, updatedAt: null };
+      if (serverBlocks !== local) {
+        // bring in the merged edits, keeping anything typed during the save
+        const merged = mergeBlocks(local, this._readBlocks(), serverBlocks);
+        this._applyBlocks(merged.blocks);
+      } else {
+        this._renderAuthors(serverBlocks);
+      }
+      this._notifyConflicts(conflicts);
+      this._renderMeta();
+    } catch (err) {
+      console.error("Failed to save notes:", err);
+      this._dirty = true;
+      this._setStatus("offline");
+    } finally {
+      endWrite();
+    }
+
+    if (this._pendingRemote !== undefined) {
+      const data = this._pendingRemote;
+      this._pendingRemote = undefined;
+      this._receive(data);
+    }
+    if (this._dirty)
+      this._scheduleSave(written ? SAVE_DELAY_MS : RETRY_DELAY_MS);
+    else this._setStatus("saved");
+  }
+
+  _notifyConflicts(count) {
+    if (!count) return;
+    showToast(
+      count === 1
+        ? "Someone edited the same paragraph as you. Both versions were kept."
+        : `${count} paragraphs were edited by someone else at the same time. Both versions were kept.`,
+      "warning"
+    );
+  }
+
+  // "loading" | "pending" | "saving" | "saved" | "offline" | "read-only"
+  _setStatus(status) {
+    const el = document.getElementById("notesStatus");
+    if (!el) return;
+    const labels = {
+      loading: "Loading...",
+      pending: "Editing...",
+      saving: "Saving...",
+      saved: "All changes saved",
+      offline: "Not saved yet, retrying...",
+      "read-only": "Read only",
+    };
+    el.textContent = labels[status] || "";
+    el.dataset.status = status;
+  }
+
+  // ===== AUTHORS =====
+
+  _colorOf(uid) {
+    if (!uid) return "transparent";
+    let hash = 0;
+    for (const ch of uid) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return AUTHOR_COLORS[hash % AUTHOR_COLORS.length];
+  }
+
+  _nameOf(uid) {
+    if (uid === this.userAuth.currentUser.uid) return "You";
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === uid
+    );
+    return (
+      (participant && participant.name) ||
+      this._names[uid] ||
+      this.chatManager._authorNamesCache[uid] ||
+      null
+    );
+  }
+
+  // Names of former participants are looked up once, then re-rendered
+  async _resolveNames(uids) {
+    const missing = uids.filter((uid) => uid && !this._nameOf(uid));
+    if (missing.length === 0) return;
+    missing.forEach((uid) => (this._names[uid] = "Former participant"));
+    try {
+      const infos = await this.userAuth.getUserDisplayInfos(missing);
+      missing.forEach((uid) => {
+        if (infos[uid] && infos[uid].displayName)
+          this._names[uid] = infos[uid].displayName;
+      });
+      this._renderAuthors(this._base);
+      this._renderMeta();
+    } catch (err) {
+      console.debug("Resolving note authors failed:", err);
+    }
+  }
+
+  _renderAuthors(blocks) {
+    const box = document.getElementById("notesAuthors");
+    if (!box) return;
+    const uids = Array.from(new Set(blocks.map((b) => b.by).filter(Boolean)));
+    this._resolveNames(uids);
+    box.innerHTML = uids
+      .map(
+        (uid) =>
+          `<span class="notes-author"><span class="notes-author-dot" style="background:${this._colorOf(
+            uid
+          )}"></span>${escapeHtml(this._nameOf(uid) || "Unknown")}</span>`
+      )
+      .join("");
+  }
+
+  _renderMeta() {
+    const el = document.getElementById("notesMeta");
+    if (!el) return;
+    const meta = this._meta;
+    if (!meta || !meta.updatedBy) {
+      el.textContent = "";
+      return;
+    }
+    const when = meta.updatedAt
+      ? this.chatManager._toDate(meta.updatedAt).toLocaleString()
+      : "just now";
+    el.textContent = `Last edited by ${
+      this._nameOf(meta.updatedBy) || "Unknown"
+    } · ${when}`;
+  }
+
+  // ===== HISTORY =====
+
+  async openHistory() {
+    let versions = [];
+    try {
+      const snap = await this._versionsRef()
+        .orderBy("savedAt", "desc")
+        .limit(HISTORY_LIMIT)
+        .get();
+      versions = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (err) {
+      console.error("Failed to load notes history:", err);
+      showToast("Failed to load version history", "error");
+      return;
+    }
+    await this._resolveNames(versions.map((v) => v.savedBy));
+
+    const canEdit = this.canEdit();
+    const modal = document.createElement("div");
+    modal.className = "modal fade notes-history-modal";
+    const list = versions.length
+      ? versions
+          .map(
+            (v, i) =>
+              `<button type="button" class="notes-version${
+                i === 0 ? " active" : ""
+              }" data-version="${escapeHtml(
+                v.id
+              )}"><span class="notes-version-time">${escapeHtml(
+                v.savedAt
+                  ? this.chatManager._toDate(v.savedAt).toLocaleString()
+                  : "Just now"
+              )}</span><span class="notes-version-by">${escapeHtml(
+                this._nameOf(v.savedBy) || "Unknown"
+              )}${v.restoredFrom ? " · before a restore" : ""}</span></button>`
+          )
+          .join("")
+      : `<div class="notes-history-empty">No saved versions yet. A version is kept every few minutes while the notes are edited.</div>`;
+    modal.innerHTML = `<div class="modal-dialog modal-lg modal-dialog-centered modal-dialog-scrollable"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"><i class="bi bi-clock-history"></i> Notes History</h5><button type="button" class="btn-close" data-bs-dismiss="modal"></button></div><div class="modal-body"><div class="notes-history"><div class="notes-version-list">${list}</div><div class="notes-version-preview"></div></div></div><div class="modal-footer"><button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>${
+      canEdit && versions.length
+        ? '<button type="button" class="btn btn-success" data-restore><i class="bi bi-arrow-counterclockwise"></i> Restore this version</button>'
+        : ""
+    }</div></div></div>`;
+    document.body.appendChild(modal);
+
+    const preview = modal.querySelector(".notes-version-preview");
+    let selected = versions[0] || null;
+    const showPreview = () => {
+      preview.innerHTML = selected
+        ? (selected.blocks || [])
+            .filter((b) => BLOCK_TAGS.includes(b.tag))
+            .map(
+              (b) =>
+                `<${b.tag}>${sanitizeNoteHtml(b.html) || "<br>"}</${b.tag}>`
+            )
+            .join("") || '<p class="text-muted">Empty</p>'
+        : "";
+    };
+    showPreview();
+    modal
+      .querySelector(".notes-version-list")
+      .addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-version]");
+        if (!btn) return;
+        selected = versions.find((v) => v.id === btn.dataset.version);
+        modal
+          .querySelectorAll("[data-version]")
+          .forEach((el) => el.classList.toggle("active", el === btn));
+        showPreview();
+      });
+
+    let bs;
+    modal
+      .querySelector("[data-restore]")
+      ?.addEventListener("click", async () => {
+        if (!selected) return;
+        if (
+          !confirm(
+            "Restore this version? Everyone's current notes will be replaced. The current text is kept in the history."
+          )
+        )
+          return;
+        bs?.hide();
+        await this.restoreVersion(selected.id);
+      });
+
+    try {
+      bs = new bootstrap.Modal(modal);
+      bs.show();
+      modal.addEventListener("hidden.bs.modal", () => modal.remove());
+    } catch (err) {
+      console.error("Error showing notes history:", err);
+      modal.remove();
+    }
+  }
+
+  // Replaces the pad with a saved version; the current pad is saved as a
+  // version first so the restore can be undone
+  async restoreVersion(versionId) {
+    if (!this.canEdit()) {
+      showToast("Only participants can edit this room's notes", "error");
+      return;
+    }
+    // let a save in flight land first; otherwise one overwrites the other
+    while (this._saving) await this._inFlight;
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+
+    const ref = this._padRef();
+    const me = this.userAuth.currentUser.uid;
+    let restored = null;
+    let savedAt = null;
+    const endWrite = this._beginWrite();
+    try {
+      await db.runTransaction(async (tx) => {
+        const padSnap = await tx.get(ref);
+        const versionSnap = await tx.get(this._versionsRef().doc(versionId));
+        if (!versionSnap.exists) throw new Error("Version not found");
+        const pad = padSnap.exists ? padSnap.data() : {};
+        const version = versionSnap.data();
+        const serverTime = firebase.firestore.FieldValue.serverTimestamp();
+        const rev = (pad.rev || 0) + 1;
+        tx.set(this._versionsRef().doc(), {
+          blocks: pad.blocks || [],
+          rev: pad.rev || 0,
+          savedBy: me,
+          savedAt: serverTime,
+          restoredFrom: versionId,
+        });
+        const blocks = version.blocks || [];
+        tx.set(
+          ref,
+          {
+            blocks,
+            rev,
+            updatedBy: me,
+            updatedAt: serverTime,
+            lastVersionAt: serverTime,
+          },
+          { merge: true }
+        );
+        restored = { blocks, rev };
+        savedAt = version.savedAt;
+      });
+      this._dirty = false;
+      this._base = restored.blocks;
+      this._rev = restored.rev;
+      this._meta = { updatedBy: me, updatedAt: null };
+      this._applyBlocks(restored.blocks);
+      this._renderMeta();
+      this._setStatus("saved");
+      showToast("Notes restored", "success");
+      await this.chatManager.sendSystemMessage(
+        `📝 ${
+          this.userAuth.currentUser.name ||
+          this.userAuth.currentUser.displayName ||
+          "Someone"
+        } restored the shared notes to the version from ${
+          savedAt
+            ? this.chatManager._toDate(savedAt).toLocaleString()
+            : "earlier"
+        }`
+      );
+    } catch (err) {
+      console.error("Failed to restore notes:", err);
+      showToast("Failed to restore this version", "error");
+    } finally {
+      endWrite();
+    }
+    if (this._pendingRemote !== undefined) {
+      const data = this._pendingRemote;
+      this._pendingRemote = undefined;
+      this._receive(data);
+    }
+  }
+
+  // ===== EXPORT =====
+
+  exportMarkdown() {
+    const blocks = this._loaded ? this._readBlocks() : [];
+    const room = (this.roomManager.currentRoomData || {}).name || "Study room";
+    const body = blocksToMarkdown(blocks);
+    if (!body) {
+      showToast("The notes are empty", "info");
+      return;
+    }
+    const now = new Date();
+    const stamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(now.getDate()).padStart(2, "0")}`;
+    const content = `# ${room} notes\n\n_Exported ${now.toLocaleString()}_\n\n${body}\n`;
+    const slug =
+      room
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60) || "study-room";
+
+    const url = URL.createObjectURL(
+      new Blob([content], { type: "text/markdown;charset=utf-8" })
+    );
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${slug}-notes-${stamp}.md`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  cleanup() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    // last-chance save; the page may unload before it completes
+    if (this._dirty) this._save();
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -0,0 +1,232 @@
+// NotificationManager (ES module) - background alerts for the room chat
+// While the tab is hidden or unfocused, new messages bump an unread count in
+// the document title and raise a browser notification, depending on the
+// per-room level stored in users/{uid}/roomState/{roomId}.notifyLevel:
+//   "all" | "mentions" | "muted"
+// Notifications are throttled and grouped: one per room (same tag) at most
+// every THROTTLE_MS, summarizing everything that arrived since the user left.
+// The settings UI lives in the settings modal (UiManager).
+
+import { showToast } from "./utils.js";
+
+const LEVELS = ["all", "mentions", "muted"];
+const DEFAULT_LEVEL = "all";
+const THROTTLE_MS = 10000;
+const PREVIEW_LENGTH = 120;
+
+export class NotificationManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.level = DEFAULT_LEVEL;
+    this._unseen = []; // messages that arrived while in the background
+    this._timer = null;
+    this._lastShownAt = 0;
+    this._notification = null;
+    this._onActive = () => {
+      if (!this.isBackground()) this._resetUnseen();
+    };
+  }
+
+  async init() {
+    document.addEventListener("visibilitychange", this._onActive);
+    window.addEventListener("focus", this._onActive);
+    try {
+      const snap = await this.chatManager._roomStateRef().get();
+      const level = snap.exists ? snap.data().notifyLevel : null;
+      if (LEVELS.includes(level)) this.level = level;
+    } catch (err) {
+      console.debug("Failed to read notification level:", err);
+    }
+    if (window.uiModule) window.uiModule.updateNotificationSettings();
+  }
+
+  isSupported() {
+    return typeof window.Notification === "function";
+  }
+
+  // "unsupported" | "default" | "granted" | "denied"
+  permission() {
+    return this.isSupported() ? Notification.permission : "unsupported";
+  }
+
+  isBackground() {
+    return document.visibilityState !== "visible" || !document.hasFocus();
+  }
+
+  async setLevel(level) {
+    if (!LEVELS.includes(level) || level === this.level) return;
+    const previous = this.level;
+    this.level = level;
+    if (level === "muted") this._resetUnseen();
+    try {
+      await this.chatManager
+        ._roomStateRef()
+        .set({ notifyLevel: level }, { merge: true });
+      showToast("Notification settings saved", "success");
+    } catch (err) {
+      console.error("Failed to save notification level:", err);
+      this.level = previous;
+      showToast("Failed to save notification settings", "error");
+    }
+    // ask right away; this runs from the settings click
+    if (this.level !== "muted" && this.permission() === "default")
+      await this.requestPermission();
+    if (window.uiModule) window.uiModule.updateNotificationSettings();
+  }
+
+  async requestPermission() {
+    if (!this.isSupported()) return "unsupported";
+    try {
+      const result = await Notification.requestPermission();
+      if (result === "denied")
+        showToast(
+          "Notifications are blocked. Allow them in your browser's site settings.",
+          "warning"
+        );
+      return result;
+    } catch (err) {
+      console.error("Notification permission request failed:", err);
+      return Notification.permission;
+    } finally {
+      if (window.uiModule) window.uiModule.updateNotificationSettings();
+    }
+  }
+
+  // Called by ChatManager with messages the live listener just added
+  onNewMessages(messages) {
+    if (this.level === "muted" || !this.isBackground()) return;
+    const me = this.userAuth.currentUser.uid;
+    const incoming = messages.filter(
+      (m) => m && !m.isSystem && m.authorUid !== me
+    );
+    if (incoming.length === 0) return;
+    this._unseen.push(...incoming);
+    this._updateTitle();
+
+    if (this.level === "mentions" && !incoming.some((m) => this._mentionsMe(m)))
+      return;
+    this._schedule();
+  }
+
+  _mentionsMe(msg) {
+    return (
+      Array.isArray(msg.mentionUids) &&
+      msg.mentionUids.includes(this.userAuth.currentUser.uid)
+    );
+  }
+
+  _schedule() {
+    if (this._timer) return;
+    const wait = Math.max(0, this._lastShownAt + THROTTLE_MS - Date.now());
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._show();
+    }, wait);
+  }
+
+  _show() {
+    if (this.permission() !== "granted" || !this.isBackground()) return;
+    const relevant =
+      this.level === "mentions"
+        ? this._unseen.filter((m) => this._mentionsMe(m))
+        : this._unseen;
+    if (relevant.length === 0) return;
+
+    const room = (this.roomManager.currentRoomData || {}).name || "Study room";
+    const latest = relevant[relevant.length - 1];
+    const authors = Array.from(new Set(relevant.map((m) => this._authorOf(m))));
+    const mentions = this.level === "mentions";
+    let title, body;
+    if (relevant.length === 1) {
+      title = mentions
+        ? `${authors[0]} mentioned you in ${room}`
+        : `${authors[0]} in ${room}`;
+      body = this._preview(latest);
+    } else {
+      title = `${relevant.length} new ${
+        mentions ? "mentions" : "messages"
+      } in ${room}`;
+      const names =
+        authors.length > 3
+          ? `${authors.slice(0, 3).join(", ")} and ${authors.length - 3} more`
+          : authors.join(", ");
+      body = `${names}\n${this._authorOf(latest)}: ${this._preview(latest)}`;
+    }
+
+    // the first one the user hasn't seen is where reading should resume
+    const target = relevant[0];
+    try {
+      if (this._notification) this._notification.close();
+      const notification = new Notification(title, {
+        body,
+        tag: `study-room-${this._getRoomId()}`,
+        renotify: true,
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        this.chatManager.scrollToMessage(target.id);
+      };
+      this._notification = notification;
+      this._lastShownAt = Date.now();
+    } catch (err) {
+      // e.g. Android Chrome only allows notifications from a service worker
+      console.debug("Notification failed:", err);
+    }
+  }
+
+  _authorOf(msg) {
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === msg.authorUid
+    );
+    return (
+      (participant && participant.name) ||
+      this.chatManager._authorNamesCache[msg.authorUid] ||
+      msg.author ||
+      "Someone"
+    );
+  }
+
+  _preview(msg) {
+    if (msg.type === "poll" && msg.poll) return `📊 ${msg.poll.question}`;
+    if (msg.type === "voice") return "🎤 Voice note";
+    if (msg.imageUrl) return "📷 Photo";
+    if (msg.fileUrl) return `📎 ${msg.fileName || "File"}`;
+    const text = String(msg.text || "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return text.length > PREVIEW_LENGTH
+      ? `${text.slice(0, PREVIEW_LENGTH - 1)}…`
+      : text;
+  }
+
+  // "(3) Room - StudyGroup"; RoomManager may rename the base title meanwhile
+  _updateTitle() {
+    const base = document.title.replace(/^\(\d+\+?\) /, "");
+    const count = this._unseen.length;
+    document.title = count ? `(${count > 99 ? "99+" : count}) ${base}` : base;
+  }
+
+  _resetUnseen() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._unseen = [];
+    this._updateTitle();
+    if (this._notification) this._notification.close();
+    this._notification = null;
+  }
+
+  cleanup() {
+    document.removeEventListener("visibilitychange", this._onActive);
+    window.removeEventListener("focus", this._onActive);
+    this._resetUnseen();
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -0,0 +1,72 @@
+// Outbox (ES module) - persistent queue of outgoing chat messages (IndexedDB)
+// Entries survive reloads and are flushed in createdAt order by ChatManager.
+// Each entry carries the Firestore doc id it will be written to, so sending
+// the same entry twice overwrites one document instead of posting twice.
+//
+// Entry shape:
+//   { id, roomId, authorUid, createdAt, kind: "text" | "file",
+//     payload: { ...message fields }, file?: Blob, uploadedUrl?: string }
+
+const DB_NAME = "studyRoomOutbox";
+const DB_VERSION = 1;
+const STORE = "messages";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class Outbox {
+  constructor() {
+    this._dbPromise = null;
+  }
+
+  get isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, {
+          keyPath: "id",
+        });
+        store.createIndex("roomId", "roomId", { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this._dbPromise;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  async put(entry) {
+    if (!this.isSupported) return;
+    await requestToPromise((await this._store("readwrite")).put(entry));
+  }
+
+  async remove(id) {
+    if (!this.isSupported) return;
+    await requestToPromise((await this._store("readwrite")).delete(id));
+  }
+
+  // Oldest first, only the given user's entries for the room
+  async list(roomId, authorUid) {
+    if (!this.isSupported) return [];
+    const store = await this._store("readonly");
+    const entries = await requestToPromise(
+      store.index("roomId").getAll(IDBKeyRange.only(roomId))
+    );
+    return entries
+      .filter((e) => e.authorUid === authorUid)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+}
@@ -0,0 +1,252 @@
+// PinManager (ES module) - pinned messages / announcements for the room
+// Pins live in studyGroups/{roomId}/pins/{messageId} and keep a copy of the
+// message text, so the bar can show pins whose message isn't loaded yet.
+// Only roles with the "pin" permission (roomManager.can) can pin or unpin.
+
+import { db } from "./firebase-init.js";
+import { showToast, escapeHtml } from "./utils.js";
+
+const MAX_PINS = 20;
+
+export class PinManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.pins = []; // newest first
+    this.unsubscribe = null;
+    this.expanded = false;
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    this.expanded =
+      localStorage.getItem(`pinsExpanded:${this._getRoomId()}`) === "1";
+
+    document.getElementById("pinnedBar")?.addEventListener("click", (e) => {
+      const unpin = e.target.closest("[data-unpin]");
+      if (unpin) {
+        e.stopPropagation();
+        this.unpin(unpin.getAttribute("data-unpin"));
+        return;
+      }
+      const item = e.target.closest("[data-pin-id]");
+      if (item) {
+        this.jumpTo(item.getAttribute("data-pin-id"));
+        return;
+      }
+      if (e.target.closest(".pinned-bar-toggle")) this.toggleExpanded();
+    });
+
+    this._subscribe();
+  }
+
+  isPinned(messageId) {
+    return this.pins.some((p) => p.id === messageId);
+  }
+
+  canPin() {
+    return this.roomManager.can("pin");
+  }
+
+  async togglePin(messageId) {
+    if (this.isPinned(messageId)) return this.unpin(messageId);
+    return this.pin(messageId);
+  }
+
+  async pin(messageId) {
+    if (!this.canPin()) {
+      showToast("Only the room owner and moderators can pin messages", "error");
+      return;
+    }
+    if (this.pins.length >= MAX_PINS) {
+      showToast(
+        `You can pin up to ${MAX_PINS} messages. Unpin one first.`,
+        "warning"
+      );
+      return;
+    }
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    if (!msg || msg.isSystem || msg.deleted) return;
+
+    try {
+      await this._pinsRef()
+        .doc(messageId)
+        .set({
+          messageId,
+          text: msg.text || "",
+          fileName: msg.fileName || null,
+          authorUid: msg.authorUid || null,
+          author:
+            this.chatManager._authorNamesCache[msg.authorUid] ||
+            msg.author ||
+            "",
+          messageTimestamp: msg.timestamp || null,
+          pinnedBy: this.userAuth.currentUser.uid,
+          pinnedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        });
+      showToast("Message pinned", "success");
+    } catch (err) {
+      console.error("Failed to pin message:", err);
+      showToast("Failed to pin message", "error");
+    }
+  }
+
+  async unpin(messageId) {
+    if (!this.canPin()) return;
+    try {
+      await this._pinsRef().doc(messageId).delete();
+      showToast("Message unpinned", "success");
+    } catch (err) {
+      console.error("Failed to unpin message:", err);
+      showToast("Failed to unpin message", "error");
+    }
+  }
+
+  async jumpTo(messageId) {
+    let docSnapshot = null;
+    if (!this.chatManager.messages.some((m) => m.id === messageId)) {
+      try {
+        const snap = await this.chatManager._messagesRef().doc(messageId).get();
+        if (snap.exists) docSnapshot = snap;
+      } catch (err) {
+        console.debug("Pinned message lookup failed:", err);
+      }
+    }
+    // close the settings modal if the jump came from there
+    const settingsModal = document.getElementById("settingsModal");
+    if (settingsModal && settingsModal.classList.contains("show"))
+      bootstrap.Modal.getInstance(settingsModal)?.hide();
+    await this.chatManager.scrollToMessage(messageId, docSnapshot);
+  }
+
+  toggleExpanded() {
+    this.expanded = !this.expanded;
+    localStorage.setItem(
+      `pinsExpanded:${this._getRoomId()}`,
+      this.expanded ? "1" : "0"
+    );
+    this.renderBar();
+  }
+
+  // Prefer the live message (edits, deletes) over the copy taken at pin time
+  describe(pin) {
+    const live = this.chatManager.messages.find((m) => m.id === pin.id);
+    if (live && live.deleted) return { text: "Message deleted", deleted: true };
+    const source = live || pin;
+    return {
+      text: source.text || source.fileName || "Attachment",
+      author:
+        this.chatManager._authorNamesCache[source.authorUid] ||
+        pin.author ||
+        "",
+      deleted: false,
+    };
+  }
+
+  renderBar() {
+    const bar = document.getElementById("pinnedBar");
+    if (!bar) return;
+    if (this.pins.length === 0) {
+      bar.hidden = true;
+      bar.innerHTML = "";
+      return;
+    }
+    bar.hidden = false;
+    const canPin = this.canPin();
+    const latest = this.describe(this.pins[0]);
+    const count = this.pins.length;
+
+    const header = `<div class="pinned-bar-header"><div class="pinned-bar-latest" data-pin-id="${escapeHtml(
+      this.pins[0].id
+    )}"><i class="bi bi-pin-angle-fill"></i><span>${escapeHtml(
+      latest.text
+    )}</span></div><button class="pinned-bar-toggle" title="${
+      this.expanded ? "Collapse" : "Show all pins"
+    }">${count > 1 ? `<span>${count}</span>` : ""}<i class="bi bi-chevron-${
+      this.expanded ? "up" : "down"
+    }"></i></button></div>`;
+
+    const list = this.expanded
+      ? `<div class="pinned-bar-list">${this.pins
+          .map((pin) => {
+            const d = this.describe(pin);
+            return `<div class="pinned-item ${
+              d.deleted ? "deleted" : ""
+            }" data-pin-id="${escapeHtml(
+              pin.id
+            )}"><div class="pinned-item-body"><div class="pinned-item-text">${escapeHtml(
+              d.text
+            )}</div>${
+              d.author ? `<small>${escapeHtml(d.author)}</small>` : ""
+            }</div>${
+              canPin
+                ? `<button class="pinned-item-unpin" data-unpin="${escapeHtml(
+                    pin.id
+                  )}" title="Unpin"><i class="bi bi-x-lg"></i></button>`
+                : ""
+            }</div>`;
+          })
+          .join("")}</div>`
+      : "";
+
+    bar.classList.toggle("expanded", this.expanded);
+    bar.innerHTML = header + list;
+  }
+
+  cleanup() {
+    if (this.unsubscribe) {
+      try {
+        this.unsubscribe();
+      } catch (e) {}
+      this.unsubscribe = null;
+    }
+  }
+
+  _subscribe() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribe = this._pinsRef()
+        .orderBy("pinnedAt", "desc")
+        .onSnapshot(
+          (snapshot) => {
+            this.pins = [];
+            snapshot.forEach((doc) =>
+              this.pins.push({ id: doc.id, ...doc.data() })
+            );
+            this.renderBar();
+            // pin buttons / markers on the message bubbles
+            this.chatManager.renderMessages();
+            if (window.uiModule) window.uiModule.updatePinnedListInSettings();
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for pins:", error);
+            try {
+              if (this.unsubscribe) this.unsubscribe();
+            } catch (e) {}
+            this.unsubscribe = null;
+            setTimeout(() => {
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  _pinsRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("pins");
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -0,0 +1,370 @@
+// PollManager (ES module) - poll messages for quick group decisions
+// A poll is a regular chat message with type: "poll" and
+//   poll: { question, options: [{ id, text }], multi, closesAt, closed,
+//           closedBy, closedAt, votes: { uid: [optionId, ...] } }
+// Votes are keyed by uid so each participant has exactly one ballot.
+// Closing flips poll.closed in a transaction; only the client that flips it
+// posts the result system message, so expiry never announces twice.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, showToast, toMillis } from "./utils.js";
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+export class PollManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this._expiryTimer = null;
+    this._expiryCheckQueued = false;
+    this._expiredSeen = new Set(); // poll ids already handled on expiry
+    this._closing = new Set(); // poll ids with a close in flight
+  }
+
+  init() {
+    document
+      .getElementById("pollBtn")
+      ?.addEventListener("click", () => this.openCreateModal());
+  }
+
+  _now() {
+    return window.presenceModule ? window.presenceModule.now() : Date.now();
+  }
+
+  isClosed(poll) {
+    if (!poll) return true;
+    if (poll.closed) return true;
+    return !!poll.closesAt && toMillis(poll.closesAt) <= this._now();
+  }
+
+  // The author, or any role allowed to close others' polls
+  canClose(msg) {
+    return (
+      msg.authorUid === this.userAuth.currentUser.uid ||
+      this.roomManager.can("closePolls")
+    );
+  }
+
+  // ===== CREATE =====
+
+  openCreateModal() {
+    const modal = document.createElement("div");
+    modal.className = "modal fade";
+    modal.innerHTML = `<div class="modal-dialog modal-dialog-centered"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"><i class="bi bi-bar-chart"></i> Create Poll</h5><button type="button" class="btn-close" data-bs-dismiss="modal"></button></div><div class="modal-body"><div class="mb-3"><label class="form-label" for="pollQuestionInput">Question</label><input type="text" class="form-control" id="pollQuestionInput" maxlength="200" placeholder="Which chapter next?"></div><label class="form-label">Options</label><div class="poll-option-inputs"></div><button type="button" class="btn btn-sm btn-outline-success mb-3" data-add-option><i class="bi bi-plus"></i> Add option</button><div class="form-check mb-2"><input class="form-check-input" type="checkbox" id="pollMultiInput"><label class="form-check-label" for="pollMultiInput">Allow multiple choices</label></div><div class="mb-1"><label class="form-label" for="pollClosesInput">Closes at <small class="text-muted">(optional)</small></label><input type="datetime-local" class="form-control" id="pollClosesInput"></div></div><div class="modal-footer"><button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button><button type="button" class="btn btn-success" data-create-poll><i class="bi bi-send"></i> Post Poll</button></div></div></div>`;
+    document.body.appendChild(modal);
+
+    const optionsBox = modal.querySelector(".poll-option-inputs");
+    const addBtn = modal.querySelector("[data-add-option]");
+    const addOption = () => {
+      const count = optionsBox.children.length;
+      if (count >= MAX_OPTIONS) return;
+      const row = document.createElement("div");
+      row.className = "input-group input-group-sm mb-2";
+      row.innerHTML = `<input type="text" class="form-control" maxlength="100" placeholder="Option ${
+        count + 1
+      }"><button type="button" class="btn btn-outline-secondary" title="Remove option"><i class="bi bi-x"></i></button>`;
+      row.querySelector("button").addEventListener("click", () => {
+        if (optionsBox.children.length <= MIN_OPTIONS) return;
+        row.remove();
+        addBtn.disabled = false;
+      });
+      optionsBox.appendChild(row);
+      addBtn.disabled = optionsBox.children.length >= MAX_OPTIONS;
+    };
+    for (let i = 0; i < MIN_OPTIONS; i++) addOption();
+    addBtn.addEventListener("click", addOption);
+
+    let bs;
+    modal
+      .querySelector("[data-create-poll]")
+      .addEventListener("click", async () => {
+        const question = modal.querySelector("#pollQuestionInput").value.trim();
+        const options = Array.from(optionsBox.querySelectorAll("input"))
+          .map((input) => input.value.trim())
+          .filter(Boolean);
+        const closesValue = modal.querySelector("#pollClosesInput").value;
+        const closesAt = closesValue ? new Date(closesValue) : null;
+
+        if (!question) {
+          showToast("Please enter a question", "warning");
+          return;
+        }
+        if (options.length < MIN_OPTIONS) {
+          showToast(`Please enter at least ${MIN_OPTIONS} options`, "warning");
+          return;
+        }
+        if (
+          new Set(options.map((o) => o.toLowerCase())).size !== options.length
+        ) {
+          showToast("Options must be different from each other", "warning");
+          return;
+        }
+        if (closesAt && closesAt.getTime() <= Date.now()) {
+          showToast("The close time must be in the future", "warning");
+          return;
+        }
+
+        bs?.hide();
+        await this.createPoll({
+          question,
+          options,
+          multi: modal.querySelector("#pollMultiInput").checked,
+          closesAt,
+        });
+      });
+
+    try {
+      bs = new bootstrap.Modal(modal);
+      bs.show();
+      modal.addEventListener("shown.bs.modal", () =>
+        modal.querySelector("#pollQuestionInput").focus()
+      );
+      modal.addEventListener("hidden.bs.modal", () => modal.remove());
+    } catch (err) {
+      console.error("Error showing poll modal:", err);
+      modal.remove();
+    }
+  }
+
+  // Goes through the chat outbox like any other message
+  async createPoll({ question, options, multi = false, closesAt = null }) {
+    await this.chatManager._enqueue({
+      kind: "text",
+      payload: {
+        type: "poll",
+        text: question,
+        poll: {
+          question,
+          options: options.map((text, i) => ({ id: `o${i + 1}`, text })),
+          multi: !!multi,
+          closesAt,
+          closed: false,
+          votes: {},
+        },
+      },
+    });
+  }
+
+  // ===== VOTE / CLOSE =====
+
+  async vote(messageId, optionId) {
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    if (!msg || !msg.poll || this._isPending(msg)) return;
+    if (this.isClosed(msg.poll)) {
+      showToast("This poll is closed", "info");
+      return;
+    }
+    if (!msg.poll.options.some((o) => o.id === optionId)) return;
+
+    const uid = this.userAuth.currentUser.uid;
+    const current = (msg.poll.votes && msg.poll.votes[uid]) || [];
+    let next;
+    if (msg.poll.multi)
+      next = current.includes(optionId)
+        ? current.filter((id) => id !== optionId)
+        : [...current, optionId];
+    else next = current.includes(optionId) ? [] : [optionId];
+
+    const field = new firebase.firestore.FieldPath("poll", "votes", uid);
+    const previous = msg.poll.votes;
+    // optimistic; the snapshot replaces it
+    msg.poll.votes = { ...(previous || {}), [uid]: next };
+    this.chatManager._rerenderMessageViews();
+    try {
+      await this.chatManager
+        ._messagesRef()
+        .doc(messageId)
+        .update(
+          field,
+          next.length ? next : firebase.firestore.FieldValue.delete()
+        );
+    } catch (err) {
+      console.error("Failed to record vote:", err);
+      msg.poll.votes = previous;
+      this.chatManager._rerenderMessageViews();
+      showToast("Failed to record your vote", "error");
+    }
+  }
+
+  async closePoll(messageId, { auto = false } = {}) {
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    if (!msg || !msg.poll || msg.poll.closed || this._closing.has(messageId))
+      return;
+    if (!this.canClose(msg)) return;
+    if (!auto && !confirm("Close this poll? No more votes will be accepted."))
+      return;
+
+    this._closing.add(messageId);
+    const ref = this.chatManager._messagesRef().doc(messageId);
+    try {
+      let closedPoll = null;
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const poll = snap.exists ? snap.data().poll : null;
+        if (!poll || poll.closed) return;
+        tx.update(ref, {
+          "poll.closed": true,
+          "poll.closedBy": this.userAuth.currentUser.uid,
+          "poll.closedAt": firebase.firestore.FieldValue.serverTimestamp(),
+        });
+        closedPoll = poll;
+      });
+      if (closedPoll)
+        await this.chatManager.sendSystemMessage(this.resultText(closedPoll));
+    } catch (err) {
+      console.error("Failed to close poll:", err);
+      if (!auto) showToast("Failed to close poll", "error");
+    } finally {
+      this._closing.delete(messageId);
+    }
+  }
+
+  tally(poll) {
+    const counts = {};
+    (poll.options || []).forEach((o) => (counts[o.id] = 0));
+    const voters = Object.values(poll.votes || {}).filter(
+      (ids) => Array.isArray(ids) && ids.length > 0
+    );
+    voters.forEach((ids) =>
+      ids.forEach((id) => {
+        if (id in counts) counts[id]++;
+      })
+    );
+    return { counts, voters: voters.length };
+  }
+
+  resultText(poll) {
+    const { counts, voters } = this.tally(poll);
+    if (voters === 0) return `📊 Poll closed: "${poll.question}" - no votes`;
+    const top = Math.max(...Object.values(counts));
+    const winners = poll.options
+      .filter((o) => counts[o.id] === top)
+      .map((o) => `"${o.text}"`);
+    const label =
+      winners.length > 1
+        ? `Tie: ${winners.join(", ")}`
+        : `Result: ${winners[0]}`;
+    return `📊 Poll closed: "${
+      poll.question
+    }" - ${label} (${top} of ${voters} vote${voters === 1 ? "" : "s"})`;
+  }
+
+  // ===== RENDER =====
+
+  render(msg) {
+    const poll = msg.poll || {};
+    const id = escapeHtml(msg.id);
+    const uid = this.userAuth.currentUser.uid;
+    const mine = (poll.votes && poll.votes[uid]) || [];
+    const closed = this.isClosed(poll);
+    const pending = this._isPending(msg);
+    const { counts, voters } = this.tally(poll);
+    const total = Math.max(
+      1,
+      Object.values(counts).reduce((sum, n) => sum + n, 0)
+    );
+
+    const options = (poll.options || [])
+      .map((o) => {
+        const count = counts[o.id] || 0;
+        const pct = Math.round((count / total) * 100);
+        const chosen = mine.includes(o.id);
+        return `<button class="poll-option ${chosen ? "chosen" : ""}" ${
+          closed || pending ? "disabled" : ""
+        } onclick="pollModule.vote('${id}', '${escapeHtml(
+          o.id
+        )}')" aria-pressed="${chosen}"><span class="poll-option-bar" style="width:${pct}%"></span><span class="poll-option-label"><i class="bi ${
+          chosen
+            ? poll.multi
+              ? "bi-check-square-fill"
+              : "bi-check-circle-fill"
+            : poll.multi
+            ? "bi-square"
+            : "bi-circle"
+        }"></i> ${escapeHtml(
+          o.text
+        )}</span><span class="poll-option-count">${count}</span></button>`;
+      })
+      .join("");
+
+    let status;
+    if (poll.closed) status = "Closed";
+    else if (closed) status = "Closed (time's up)";
+    else if (poll.closesAt)
+      status = `Closes ${this._toDate(poll.closesAt).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })}`;
+    else status = poll.multi ? "Choose one or more" : "Choose one";
+
+    const closeBtn =
+      !closed && !pending && this.canClose(msg)
+        ? `<button class="poll-close-btn" onclick="pollModule.closePoll('${id}')"><i class="bi bi-lock"></i> Close poll</button>`
+        : "";
+
+    this._scheduleExpiry();
+    return `<div class="poll ${
+      closed ? "closed" : ""
+    }"><div class="poll-question"><i class="bi bi-bar-chart-fill"></i> ${escapeHtml(
+      poll.question || msg.text || ""
+    )}</div><div class="poll-options">${options}</div><div class="poll-footer"><span>${voters} vote${
+      voters === 1 ? "" : "s"
+    } • ${escapeHtml(status)}</span>${closeBtn}</div></div>`;
+  }
+
+  // Re-render when the next loaded poll expires; owner / author clients also
+  // finalize it so the result gets announced.
+  _scheduleExpiry() {
+    if (this._expiryCheckQueued) return;
+    this._expiryCheckQueued = true;
+    setTimeout(() => {
+      this._expiryCheckQueued = false;
+      this._checkExpiry();
+    }, 0);
+  }
+
+  _checkExpiry() {
+    if (this._expiryTimer) clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+    const now = this._now();
+    let next = Infinity;
+    let newlyExpired = false;
+    for (const msg of this.chatManager.messages) {
+      if (msg.type !== "poll" || !msg.poll || this._isPending(msg)) continue;
+      if (msg.poll.closed || !msg.poll.closesAt) continue;
+      const at = toMillis(msg.poll.closesAt);
+      if (at > now) {
+        next = Math.min(next, at);
+        continue;
+      }
+      if (this._expiredSeen.has(msg.id)) continue;
+      this._expiredSeen.add(msg.id);
+      newlyExpired = true;
+      if (this.canClose(msg)) this.closePoll(msg.id, { auto: true });
+    }
+    if (newlyExpired) this.chatManager._rerenderMessageViews();
+    if (next !== Infinity)
+      this._expiryTimer = setTimeout(
+        () => this._checkExpiry(),
+        Math.min(next - now + 500, 60 * 60 * 1000)
+      );
+  }
+
+  _isPending(msg) {
+    return !!msg.status && msg.status !== "sent";
+  }
+
+  cleanup() {
+    if (this._expiryTimer) clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+  }
+
+  _toDate(ts) {
+    return new Date(toMillis(ts));
+  }
+}
@@ -0,0 +1,296 @@
+// PresenceManager (ES module) - live presence + typing for the room
+// Each participant keeps a heartbeat doc at studyGroups/{roomId}/presence/{uid}:
+//   { uid, name, state: "online" | "idle" | "offline", lastSeen, typing, typingAt }
+// Readers treat a doc whose lastSeen is older than STALE_MS as offline, so a
+// crashed tab that never wrote "offline" still drops out on its own.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, toMillis } from "./utils.js";
+
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_MS = 75 * 1000;
+const IDLE_AFTER_MS = 3 * 60 * 1000;
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+const TYPING_FRESH_MS = 6000;
+
+export class PresenceManager {
+  constructor(userAuth, roomManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+
+    this.entries = new Map(); // uid -> presence doc data
+    this.state = "online";
+    this.isTyping = false;
+
+    // server clock minus local clock, learned from our own heartbeat echo
+    this.serverOffsetMs = 0;
+    this._heartbeatSentAt = 0;
+
+    this.unsubscribe = null;
+    this._heartbeatInterval = null;
+    this._refreshInterval = null;
+    this._lastActivity = Date.now();
+    this._lastTypingWrite = 0;
+    this._typingStopTimer = null;
+    this._typingRefreshTimer = null;
+    this._onActivity = () => this._handleActivity();
+    this._onVisibility = () => this._handleActivity();
+    this._onPageHide = () => this.markOffline();
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+
+    this._subscribe();
+    this._writeHeartbeat();
+    this._heartbeatInterval = setInterval(() => {
+      this._updateIdleState();
+      this._writeHeartbeat();
+    }, HEARTBEAT_MS);
+    // statuses go stale without any snapshot, so re-evaluate periodically
+    this._refreshInterval = setInterval(() => this._render(), 15000);
+
+    ["mousemove", "keydown", "pointerdown", "focus"].forEach((evt) =>
+      window.addEventListener(evt, this._onActivity, { passive: true })
+    );
+    document.addEventListener("visibilitychange", this._onVisibility);
+    window.addEventListener("pagehide", this._onPageHide);
+
+    ["messageInput", "threadInput"].forEach((id) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener("input", () =>
+        input.value.trim() ? this.notifyTyping() : this.stopTyping()
+      );
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) this.stopTyping();
+      });
+      input.addEventListener("blur", () => this.stopTyping());
+    });
+  }
+
+  // Server-corrected "now" in ms
+  now() {
+    return Date.now() + this.serverOffsetMs;
+  }
+
+  getStatus(uid) {
+    const entry = this.entries.get(uid);
+    if (!entry || entry.state === "offline") return "offline";
+    const lastSeen = toMillis(entry.lastSeen);
+    if (lastSeen && this.now() - lastSeen > STALE_MS) return "offline";
+    return entry.state === "idle" ? "idle" : "online";
+  }
+
+  getStatuses() {
+    const statuses = {};
+    for (const p of this.roomManager.participants || []) {
+      statuses[p.id] = this.getStatus(p.id);
+    }
+    return statuses;
+  }
+
+  getTypingNames() {
+    const me = this.userAuth.currentUser.uid;
+    const names = [];
+    for (const [uid, entry] of this.entries) {
+      if (uid === me || !entry.typing) continue;
+      if (this.getStatus(uid) === "offline") continue;
+      const typingAt = toMillis(entry.typingAt);
+      if (typingAt && this.now() - typingAt > TYPING_FRESH_MS) continue;
+      const participant = (this.roomManager.participants || []).find(
+        (p) => p.id === uid
+      );
+      names.push((participant && participant.name) || entry.name || "Someone");
+    }
+    return names;
+  }
+
+  notifyTyping() {
+    if (this._typingStopTimer) clearTimeout(this._typingStopTimer);
+    this._typingStopTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE_MS);
+
+    const now = Date.now();
+    if (this.isTyping && now - this._lastTypingWrite < TYPING_THROTTLE_MS)
+      return;
+    this.isTyping = true;
+    this._lastTypingWrite = now;
+    this._write({
+      typing: true,
+      typingAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  stopTyping() {
+    if (this._typingStopTimer) {
+      clearTimeout(this._typingStopTimer);
+      this._typingStopTimer = null;
+    }
+    if (!this.isTyping) return;
+    this.isTyping = false;
+    this._write({ typing: false });
+  }
+
+  // Best effort: the page may be gone before this write is acknowledged
+  markOffline() {
+    if (this.state === "offline") return;
+    this.state = "offline";
+    this.isTyping = false;
+    this._write({
+      state: "offline",
+      typing: false,
+      lastSeen: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  cleanup() {
+    if (this._heartbeatInterval) clearInterval(this._heartbeatInterval);
+    if (this._refreshInterval) clearInterval(this._refreshInterval);
+    if (this._typingStopTimer) clearTimeout(this._typingStopTimer);
+    if (this._typingRefreshTimer) clearTimeout(this._typingRefreshTimer);
+    ["mousemove", "keydown", "pointerdown", "focus"].forEach((evt) =>
+      window.removeEventListener(evt, this._onActivity)
+    );
+    document.removeEventListener("visibilitychange", this._onVisibility);
+    window.removeEventListener("pagehide", this._onPageHide);
+    if (this.unsubscribe) {
+      try {
+        this.unsubscribe();
+      } catch (e) {}
+      this.unsubscribe = null;
+    }
+    this.markOffline();
+  }
+
+  _handleActivity() {
+    this._lastActivity = Date.now();
+    this._updateIdleState();
+  }
+
+  _updateIdleState() {
+    if (this.state === "offline") return;
+    const hidden = document.visibilityState === "hidden";
+    const inactive = Date.now() - this._lastActivity > IDLE_AFTER_MS;
+    const next = hidden || inactive ? "idle" : "online";
+    if (next !== this.state) {
+      this.state = next;
+      this._writeHeartbeat();
+    }
+  }
+
+  _writeHeartbeat() {
+    if (this.state === "offline") return;
+    this._heartbeatSentAt = Date.now();
+    this._write({
+      uid: this.userAuth.currentUser.uid,
+      name:
+        this.userAuth.currentUser.name ||
+        this.userAuth.currentUser.displayName ||
+        "",
+      state: this.state,
+      lastSeen: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  _write(data) {
+    const roomId = this._getRoomId();
+    if (!roomId) return;
+    db.collection("studyGroups")
+      .doc(roomId)
+      .collection("presence")
+      .doc(this.userAuth.currentUser.uid)
+      .set(data, { merge: true })
+      .catch((err) => console.debug("Presence write failed:", err));
+  }
+
+  _subscribe() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribe = db
+        .collection("studyGroups")
+        .doc(this._getRoomId())
+        .collection("presence")
+        .onSnapshot(
+          (snapshot) => {
+            snapshot.docChanges().forEach((change) => {
+              if (change.type === "removed") this.entries.delete(change.doc.id);
+              else this.entries.set(change.doc.id, change.doc.data());
+            });
+            this._learnServerOffset(snapshot);
+            this._render();
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for presence:", error);
+            try {
+              if (this.unsubscribe) this.unsubscribe();
+            } catch (e) {}
+            this.unsubscribe = null;
+            setTimeout(() => {
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  // Once our own heartbeat comes back with a server-resolved lastSeen, the
+  // difference from when we sent it approximates the clock skew.
+  _learnServerOffset(snapshot) {
+    if (!this._heartbeatSentAt) return;
+    const own = snapshot
+      .docChanges()
+      .find(
+        (c) =>
+          c.doc.id === this.userAuth.currentUser.uid &&
+          !c.doc.metadata.hasPendingWrites
+      );
+    if (!own) return;
+    const lastSeen = toMillis(own.doc.data().lastSeen);
+    if (!lastSeen) return;
+    const roundTrip = Date.now() - this._heartbeatSentAt;
+    if (roundTrip > 10000) return; // too noisy to trust
+    this.serverOffsetMs = lastSeen - (this._heartbeatSentAt + roundTrip / 2);
+    this._heartbeatSentAt = 0;
+  }
+
+  _render() {
+    if (
+      window.uiModule &&
+      typeof window.uiModule.applyPresenceIndicators === "function"
+    )
+      window.uiModule.applyPresenceIndicators(this.getStatuses());
+
+    const indicator = document.getElementById("typingIndicator");
+    if (!indicator) return;
+    const names = this.getTypingNames();
+    // typing entries expire on their own; re-check once they would
+    if (this._typingRefreshTimer) clearTimeout(this._typingRefreshTimer);
+    this._typingRefreshTimer = names.length
+      ? setTimeout(() => this._render(), TYPING_FRESH_MS)
+      : null;
+    if (names.length === 0) {
+      indicator.innerHTML = "";
+      indicator.classList.remove("active");
+      return;
+    }
+    let text;
+    if (names.length === 1) text = `${names[0]} is typing…`;
+    else if (names.length === 2)
+      text = `${names[0]} and ${names[1]} are typing…`;
+    else text = "Several people are typing…";
+    indicator.innerHTML = `<span class="typing-dots"><span></span><span></span><span></span></span>${escapeHtml(
+      text
+    )}`;
+    indicator.classList.add("active");
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -6,9 +6,71 @@
 // ✅ UPDATED: Fixed privacy check to use fallback logic for isPrivate
 // ✅ UPDATED: Bulletproof URL construction for password reset
 // ✅ NEW: Room deactivation check with UI lockdown
+// ✅ NEW: Room roles (owner / moderator / member) with a permission matrix
+//    and ownership transfer
+// ✅ NEW: Join mode for private rooms ("password" or "approval")
+// ✅ NEW: Room bans (timed or permanent) and timed chat mutes
 
 import { db } from "./firebase-init.js";
 import { fetchJsonWithAuth, postJsonWithAuth } from "../apiClient.js";
+import {
+  activeRestriction,
+  banMessage,
+  muteMessage,
+  formatDuration,
+  formatUntil,
+} from "../roomBans.js";
+
+export const ROLES = ["owner", "moderator", "member"];
+
+export const ROLE_LABELS = {
+  owner: "Owner",
+  moderator: "Moderator",
+  member: "Member",
+};
+
+// Scoped permissions the owner can grant per role. Resetting the password,
+// deleting the room and managing roles always stay with the owner.
+export const PERMISSIONS = [
+  { key: "kick", label: "Remove participants" },
+  { key: "pin", label: "Pin messages" },
+  { key: "editSettings", label: "Edit room name & description" },
+  { key: "muteInCall", label: "Mute others in calls" },
+  { key: "deleteMessages", label: "Delete any message" },
+  { key: "closePolls", label: "Close any poll" },
+  { key: "admit", label: "Approve join requests" },
+  { key: "ban", label: "Ban participants" },
+  { key: "mute", label: "Mute others in chat" },
+];
+
+const MUTE_PRESETS = [10, 60, 1440]; // minutes
+const BAN_PRESETS = [1440, 10080, null]; // minutes; null = permanent
+
+// Defaults; the room's rolePermissions override them per role
+const DEFAULT_ROLE_PERMISSIONS = {
+  moderator: {
+    kick: true,
+    pin: true,
+    editSettings: true,
+    muteInCall: true,
+    deleteMessages: true,
+    closePolls: true,
+    admit: true,
+    ban: true,
+    mute: true,
+  },
+  member: {
+    kick: false,
+    pin: false,
+    editSettings: false,
+    muteInCall: false,
+    deleteMessages: false,
+    closePolls: false,
+    admit: false,
+    ban: false,
+    mute: false,
+  },
+};
 
 export class RoomManager {
   constructor(userAuth) {
@@ -19,6 +81,7 @@ export class RoomManager {
     this.isLoading = true;
     this.isRoomDeactivated = false;
     this._isUpdatingParticipants = false; // ✅ NEW: Prevent concurrent updates
+    this.unsubscribeRoles = null;
   }
 
   async loadRoomData() {
@@ -82,11 +145,27 @@ export class RoomManager {
         return this.currentRoomData;
       }
 
+      const ban = this.activeBan(this.userAuth.currentUser.uid);
+      if (ban) throw new Error(banMessage(ban));
+
+      // approval-required rooms are entered through a join request
+      if (
+        this.currentRoomData.joinMode === "approval" &&
+        !(this.currentRoomData.participants || []).includes(
+          this.userAuth.currentUser.uid
+        )
+      ) {
+        throw new Error(
+          "This room requires approval. Ask to join from the Study Rooms page"
+        );
+      }
+
       // ✅ AUTO-JOIN: Add user to participants if not already
       await this.autoJoinRoom();
 
       // ✅ CRITICAL: Load participants with new stable approach
       await this.loadParticipantsInfo();
+      this._watchRoomState();
       this.isLoading = false;
       return this.currentRoomData;
     } catch (err) {
@@ -288,7 +367,19 @@ export class RoomManager {
     participantsList.innerHTML = this.participants
       .map((p) => {
         const isCurrent = p.id === this.userAuth.currentUser.uid;
-        const canKick = this.isOwner && !isCurrent;
+        const role = this.roleOf(p.id);
+        const status =
+          role === "member"
+            ? p.inCall
+              ? "In Call"
+              : "Member"
+            : `${ROLE_LABELS[role]}${p.inCall ? " · In Call" : ""}`;
+        const muted = this.activeMute(p.id);
+        const mutedHtml = muted
+          ? ` <i class="bi bi-volume-mute participant-muted" title="Muted in chat ${formatUntil(
+              muted
+            )}"></i>`
+          : "";
 
         const avatarHtml = p.photo
           ? `<div class="participant-avatar" style="background-image: url('${p.photo}'); background-size: cover; background-position: center;"></div>`
@@ -298,13 +389,12 @@ export class RoomManager {
           p.id
         }">${avatarHtml}<div class="participant-info"><div class="participant-name">${
           p.name
-        }${isCurrent ? " (You)" : ""}</div><div class="participant-status">${
-          p.isHost ? "Host" : p.inCall ? "In Call" : "Member"
-        }</div></div>${
-          canKick
-            ? `<div class="participant-actions"><button class="kick-btn" onclick="window.kickParticipant('${p.id}')" title="Kick user"><i class="bi bi-x-lg"></i></button></div>`
-            : ""
-        }</div>`;
+        }${
+          isCurrent ? " (You)" : ""
+        }</div><div class="participant-status" data-role="${role}">${status}${mutedHtml}</div></div>${this._participantMenu(
+          p.id,
+          !!muted
+        )}</div>`;
       })
       .join("");
 
@@ -312,9 +402,551 @@ export class RoomManager {
     if (participantCount)
       participantCount.textContent = String(this.participants.length);
 
+    // re-apply live presence dots on the freshly rendered rows
+    if (window.uiModule) {
+      window.uiModule.applyPresenceIndicators();
+      window.uiModule.updateMembersSettings();
+    }
+
     console.log("[room-manager] Participants list UI updated");
   }
 
+  // ✅ NEW: Owner or a moderator listed on the room document
+  canModerate() {
+    return this.roleOf(this.userAuth.currentUser.uid) !== "member";
+  }
+
+  // ===== ROLES =====
+
+  roleOf(uid) {
+    if (!uid || !this.currentRoomData) return "member";
+    if (this.currentRoomData.creator === uid) return "owner";
+    const moderators = this.currentRoomData.moderators;
+    return Array.isArray(moderators) && moderators.includes(uid)
+      ? "moderator"
+      : "member";
+  }
+
+  // { moderator: { kick, pin, ... }, member: { ... } } with the room's
+  // overrides applied on top of the defaults
+  permissionMatrix() {
+    const overrides = this.currentRoomData?.rolePermissions || {};
+    const matrix = {};
+    for (const role of ["moderator", "member"]) {
+      matrix[role] = {};
+      for (const { key } of PERMISSIONS) {
+        const value = overrides[role] && overrides[role][key];
+        matrix[role][key] =
+          typeof value === "boolean"
+            ? value
+            : DEFAULT_ROLE_PERMISSIONS[role][key];
+      }
+    }
+    return matrix;
+  }
+
+  can(permission, uid = this.userAuth.currentUser.uid) {
+    const role = this.roleOf(uid);
+    if (role === "owner") return true;
+    return !!this.permissionMatrix()[role][permission];
+  }
+
+  // Nobody can act on the owner, and only the owner can act on a moderator.
+  // permission: "kick" | "ban" | "mute"
+  canActOn(uid, permission) {
+    if (uid === this.userAuth.currentUser.uid || !this.can(permission))
+      return false;
+    const target = this.roleOf(uid);
+    if (target === "owner") return false;
+    return target === "member" || this.isOwner;
+  }
+
+  canKickParticipant(uid) {
+    return this.canActOn(uid, "kick");
+  }
+
+  // Kick / mute / ban dropdown for a row of the participants panel
+  _participantMenu(uid, muted) {
+    const items = [];
+    if (this.canActOn(uid, "mute")) {
+      if (muted)
+        items.push(
+          `<li><button class="dropdown-item" onclick="window.moderateParticipant('${uid}', 'unmute')"><i class="bi bi-volume-up"></i> Unmute</button></li>`
+        );
+      else
+        MUTE_PRESETS.forEach((minutes) =>
+          items.push(
+            `<li><button class="dropdown-item" onclick="window.moderateParticipant('${uid}', 'mute', ${minutes})"><i class="bi bi-volume-mute"></i> Mute ${formatDuration(
+              minutes
+            )}</button></li>`
+          )
+        );
+    }
+    if (this.canActOn(uid, "ban")) {
+      if (items.length) items.push('<li><hr class="dropdown-divider"></li>');
+      BAN_PRESETS.forEach((minutes) =>
+        items.push(
+          `<li><button class="dropdown-item text-danger" onclick="window.moderateParticipant('${uid}', 'ban', ${minutes})"><i class="bi bi-slash-circle"></i> Ban ${formatDuration(
+            minutes
+          )}</button></li>`
+        )
+      );
+    }
+    if (this.canKickParticipant(uid)) {
+      if (items.length) items.push('<li><hr class="dropdown-divider"></li>');
+      items.push(
+        `<li><button class="dropdown-item text-danger" onclick="window.kickParticipant('${uid}')"><i class="bi bi-x-lg"></i> Remove from room</button></li>`
+      );
+    }
+    if (!items.length) return "";
+    return `<div class="participant-actions dropdown"><button class="participant-menu-btn" data-bs-toggle="dropdown" data-bs-popper-config='{"strategy":"fixed"}' aria-expanded="false" title="Moderate"><i class="bi bi-three-dots-vertical"></i></button><ul class="dropdown-menu dropdown-menu-end">${items.join(
+      ""
+    )}</ul></div>`;
+  }
+
+  // ===== BANS & MUTES =====
+
+  activeBan(uid) {
+    return activeRestriction(this.currentRoomData?.bans, uid, this._now());
+  }
+
+  activeMute(uid) {
+    return activeRestriction(this.currentRoomData?.mutes, uid, this._now());
+  }
+
+  // minutes: number, or null for a permanent ban
+  async banParticipant(uid, minutes = null) {
+    if (!this.canActOn(uid, "ban")) {
+      window.showToast?.("You can't ban this participant.", "error");
+      return false;
+    }
+    const name = this._participantName(uid);
+    const duration =
+      minutes === null ? "permanently" : `for ${formatDuration(minutes)}`;
+    if (
+      !confirm(
+        `Ban ${name} ${duration}? They will be removed and can't rejoin until the ban ends.`
+      )
+    )
+      return false;
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      const response = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/bans/${encodeURIComponent(
+          uid
+        )}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ durationMinutes: minutes }),
+        }
+      );
+
+      this.currentRoomData.bans = {
+        ...(this.currentRoomData.bans || {}),
+        [uid]: {
+          until: this._untilFrom(response, minutes),
+          name,
+          by: this.userAuth.currentUser.uid,
+          at: this._now(),
+        },
+      };
+      this._removeLocally(uid);
+
+      this._postModerationMessage(`${name} was banned ${duration}`);
+      window.showToast?.(`${name} was banned ${duration}`, "success");
+      return true;
+    } catch (err) {
+      console.error("Error banning participant:", err);
+      window.showToast?.(
+        "Could not ban participant: " + this._errorMessage(err),
+        "error"
+      );
+      return false;
+    }
+  }
+
+  async unbanUser(uid) {
+    if (!this.can("ban")) {
+      window.showToast?.("You don't have permission to lift bans.", "error");
+      return false;
+    }
+    const entry = (this.currentRoomData.bans || {})[uid];
+    const name = (entry && entry.name) || "A user";
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/bans/${encodeURIComponent(
+          uid
+        )}`,
+        { method: "DELETE" }
+      );
+      const bans = { ...(this.currentRoomData.bans || {}) };
+      delete bans[uid];
+      this.currentRoomData.bans = bans;
+      if (window.uiModule) window.uiModule.updateMembersSettings();
+
+      this._postModerationMessage(`${name} was unbanned`);
+      window.showToast?.(`${name} was unbanned`, "success");
+      return true;
+    } catch (err) {
+      console.error("Error lifting ban:", err);
+      window.showToast?.(
+        "Could not lift the ban: " + this._errorMessage(err),
+        "error"
+      );
+      return false;
+    }
+  }
+
+  async muteParticipant(uid, minutes) {
+    if (!this.canActOn(uid, "mute")) {
+      window.showToast?.("You can't mute this participant.", "error");
+      return false;
+    }
+    const name = this._participantName(uid);
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      const response = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/mutes/${encodeURIComponent(
+          uid
+        )}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ durationMinutes: minutes }),
+        }
+      );
+
+      this.currentRoomData.mutes = {
+        ...(this.currentRoomData.mutes || {}),
+        [uid]: {
+          until: this._untilFrom(response, minutes),
+          name,
+          by: this.userAuth.currentUser.uid,
+          at: this._now(),
+        },
+      };
+      this.updateParticipantsList();
+
+      this._postModerationMessage(
+        `${name} was muted for ${formatDuration(minutes)}`
+      );
+      window.showToast?.(
+        `${name} is muted for ${formatDuration(minutes)}`,
+        "success"
+      );
+      return true;
+    } catch (err) {
+      console.error("Error muting participant:", err);
+      window.showToast?.(
+        "Could not mute participant: " + this._errorMessage(err),
+        "error"
+      );
+      return false;
+    }
+  }
+
+  async unmuteParticipant(uid) {
+    if (!this.canActOn(uid, "mute")) {
+      window.showToast?.("You can't unmute this participant.", "error");
+      return false;
+    }
+    const name = this._participantName(uid);
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/mutes/${encodeURIComponent(
+          uid
+        )}`,
+        { method: "DELETE" }
+      );
+      const mutes = { ...(this.currentRoomData.mutes || {}) };
+      delete mutes[uid];
+      this.currentRoomData.mutes = mutes;
+      this.updateParticipantsList();
+
+      this._postModerationMessage(`${name} was unmuted`);
+      window.showToast?.(`${name} was unmuted`, "success");
+      return true;
+    } catch (err) {
+      console.error("Error unmuting participant:", err);
+      window.showToast?.(
+        "Could not unmute participant: " + this._errorMessage(err),
+        "error"
+      );
+      return false;
+    }
+  }
+
+  // The server's `until` wins; without one, the requested duration is used
+  // until the room snapshot brings the stored value (null = permanent)
+  _untilFrom(response, minutes) {
+    if (response && "until" in response) return response.until;
+    return minutes === null ? null : this._now() + minutes * 60000;
+  }
+
+  _removeLocally(uid) {
+    this.participants = this.participants.filter((p) => p.id !== uid);
+    if (Array.isArray(this.currentRoomData.participants))
+      this.currentRoomData.participants =
+        this.currentRoomData.participants.filter((id) => id !== uid);
+    if (Array.isArray(this.currentRoomData.moderators))
+      this.currentRoomData.moderators = this.currentRoomData.moderators.filter(
+        (id) => id !== uid
+      );
+    this.updateParticipantsList();
+  }
+
+  _postModerationMessage(text) {
+    const me = this._participantName(this.userAuth.currentUser.uid);
+    window.chatModule
+      ?.sendSystemMessage(`${text} by ${me}`)
+      .catch((err) => console.debug("Moderation message failed:", err));
+  }
+
+  _errorMessage(err) {
+    return (
+      (err && err.body && (err.body.error || err.body.message)) ||
+      (err && err.message) ||
+      "unknown error"
+    );
+  }
+
+  _now() {
+    return window.presenceModule ? window.presenceModule.now() : Date.now();
+  }
+
+  async setParticipantRole(uid, role) {
+    if (!this.isOwner) {
+      window.showToast?.("Only the room owner can change roles.", "error");
+      return false;
+    }
+    if (!["moderator", "member"].includes(role) || this.roleOf(uid) === role)
+      return false;
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      await fetchJsonWithAuth(
+        `${
+          window.__CONFIG__.apiBase
+        }/${roomId}/participants/${encodeURIComponent(uid)}/role`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ role }),
+        }
+      );
+
+      const moderators = (this.currentRoomData.moderators || []).filter(
+        (id) => id !== uid
+      );
+      if (role === "moderator") moderators.push(uid);
+      this.currentRoomData.moderators = moderators;
+      this._onRolesChanged();
+
+      const name = this._participantName(uid);
+      window.chatModule
+        ?.sendSystemMessage(
+          role === "moderator"
+            ? `${name} is now a moderator`
+            : `${name} is no longer a moderator`
+        )
+        .catch((err) => console.debug("Role message failed:", err));
+      window.showToast?.(`${name} is now a ${ROLE_LABELS[role]}`, "success");
+      return true;
+    } catch (err) {
+      console.error("Error changing participant role:", err);
+      const msg = this._errorMessage(err);
+      window.showToast?.("Could not change role: " + msg, "error");
+      return false;
+    }
+  }
+
+  // The previous owner stays on as a moderator
+  async transferOwnership(uid) {
+    if (!this.isOwner) {
+      window.showToast?.(
+        "Only the room owner can transfer ownership.",
+        "error"
+      );
+      return false;
+    }
+    const me = this.userAuth.currentUser.uid;
+    if (uid === me || !this.participants.some((p) => p.id === uid))
+      return false;
+
+    const name = this._participantName(uid);
+    if (
+      !confirm(
+        `Make ${name} the owner of this room? You will become a moderator and can't undo this yourself.`
+      )
+    )
+      return false;
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      await fetchJsonWithAuth(`${window.__CONFIG__.apiBase}/${roomId}/owner`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uid }),
+      });
+
+      this.currentRoomData.creator = uid;
+      this.currentRoomData.moderators = (this.currentRoomData.moderators || [])
+        .filter((id) => id !== uid && id !== me)
+        .concat(me);
+      this._onRolesChanged();
+      this.updateRoomDisplay();
+
+      window.chatModule
+        ?.sendSystemMessage(`${name} is now the room owner`)
+        .catch((err) => console.debug("Ownership message failed:", err));
+      window.showToast?.(`${name} is now the room owner`, "success");
+      return true;
+    } catch (err) {
+      console.error("Error transferring ownership:", err);
+      const msg = this._errorMessage(err);
+      window.showToast?.("Could not transfer ownership: " + msg, "error");
+      return false;
+    }
+  }
+
+  async saveRolePermissions(matrix) {
+    if (!this.isOwner) {
+      window.showToast?.(
+        "Only the room owner can change role permissions.",
+        "error"
+      );
+      return false;
+    }
+
+    const permissions = {};
+    for (const role of ["moderator", "member"]) {
+      permissions[role] = {};
+      for (const { key } of PERMISSIONS)
+        permissions[role][key] = !!(matrix[role] && matrix[role][key]);
+    }
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      await fetchJsonWithAuth(`${window.__CONFIG__.apiBase}/${roomId}/roles`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ permissions }),
+      });
+
+      this.currentRoomData.rolePermissions = permissions;
+      this._onRolesChanged();
+      window.showToast?.("Role permissions saved", "success");
+      return true;
+    } catch (err) {
+      console.error("Error saving role permissions:", err);
+      const msg = this._errorMessage(err);
+      window.showToast?.("Could not save permissions: " + msg, "error");
+      return false;
+    }
+  }
+
+  _participantName(uid) {
+    const p = this.participants.find((x) => x.id === uid);
+    return p ? p.name : "A participant";
+  }
+
+  _onRolesChanged() {
+    this.isOwner =
+      this.currentRoomData.creator === this.userAuth.currentUser.uid;
+    for (const p of this.participants)
+      p.isHost = this.currentRoomData.creator === p.id;
+    this.updateParticipantsList();
+    if (window.uiModule) window.uiModule.updateSecurityTabVisibility();
+    if (window.joinRequestModule) window.joinRequestModule.syncAccess();
+  }
+
+  // The backend owns the room document; follow role changes (a promotion, a
+  // transfer), bans and mutes made by others without a reload
+  _watchRoomState() {
+    const roomId = this.currentRoomData._id || this.currentRoomData.id;
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribeRoles = db
+        .collection("studyGroups")
+        .doc(roomId)
+        .onSnapshot(
+          (snap) => {
+            retryDelay = 1000;
+            if (!snap.exists) return;
+            const data = snap.data();
+            const before = JSON.stringify([
+              this.currentRoomData.creator,
+              this.currentRoomData.moderators || [],
+              this.currentRoomData.rolePermissions || null,
+            ]);
+            if (data.creator) this.currentRoomData.creator = data.creator;
+            this.currentRoomData.moderators = Array.isArray(data.moderators)
+              ? data.moderators
+              : [];
+            this.currentRoomData.rolePermissions = data.rolePermissions || null;
+            const after = JSON.stringify([
+              this.currentRoomData.creator,
+              this.currentRoomData.moderators,
+              this.currentRoomData.rolePermissions,
+            ]);
+            if (before !== after) this._onRolesChanged();
+            this._syncModeration(data.bans || {}, data.mutes || {});
+          },
+          (error) => {
+            console.error("Error listening for room state:", error);
+            try {
+              if (this.unsubscribeRoles) this.unsubscribeRoles();
+            } catch (e) {}
+            this.unsubscribeRoles = null;
+            setTimeout(() => {
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  _syncModeration(bans, mutes) {
+    const me = this.userAuth.currentUser.uid;
+    const wasMuted = this.activeMute(me);
+    const changed =
+      JSON.stringify([
+        this.currentRoomData.bans || {},
+        this.currentRoomData.mutes || {},
+      ]) !== JSON.stringify([bans, mutes]);
+    this.currentRoomData.bans = bans;
+    this.currentRoomData.mutes = mutes;
+    if (!changed) return;
+
+    const ban = this.activeBan(me);
+    if (ban) {
+      window.showToast?.(banMessage(ban), "error");
+      this.cleanup();
+      setTimeout(() => {
+        window.location.href = "study-rooms.html";
+      }, 2500);
+      return;
+    }
+    const muted = this.activeMute(me);
+    if (muted && !wasMuted) window.showToast?.(muteMessage(muted), "warning");
+    else if (!muted && wasMuted)
+      window.showToast?.("You can send messages in this room again.", "info");
+
+    this.updateParticipantsList();
+  }
+
+  cleanup() {
+    if (this.unsubscribeRoles) this.unsubscribeRoles();
+    this.unsubscribeRoles = null;
+  }
+
   // ✅ UPDATE: Mark participant as in/out of call
   updateParticipantCallStatus(userId, inCall) {
     const p = this.participants.find((x) => x.id === userId);
@@ -395,26 +1027,44 @@ export class RoomManager {
   }
 
   // ✅ SAVE: Room settings (name & description)
-  async saveRoomSettings() {
+  // overrides ({ name?, description? }) skip the settings form, e.g. for /topic
+  async saveRoomSettings(overrides = null) {
     if (!this.currentRoomData) {
       window.showToast?.("Room data not loaded", "error");
-      return;
+      return false;
+    }
+    if (!this.can("editSettings")) {
+      window.showToast?.(
+        "You don't have permission to edit this room's settings.",
+        "error"
+      );
+      return false;
     }
 
     try {
-      const roomNameInput = document.getElementById("roomNameInput");
-      const roomDescInput = document.getElementById("roomDescInput");
+      let newName, newDesc;
+      if (overrides) {
+        newName = String(
+          overrides.name ?? this.currentRoomData.name ?? ""
+        ).trim();
+        newDesc = String(
+          overrides.description ?? this.currentRoomData.description ?? ""
+        ).trim();
+      } else {
+        const roomNameInput = document.getElementById("roomNameInput");
+        const roomDescInput = document.getElementById("roomDescInput");
+
+        if (!roomNameInput) {
+          throw new Error("Room name input not found");
+        }
 
-      if (!roomNameInput) {
-        throw new Error("Room name input not found");
+        newName = roomNameInput.value.trim();
+        newDesc = roomDescInput ? roomDescInput.value.trim() : "";
       }
 
-      const newName = roomNameInput.value.trim();
-      const newDesc = roomDescInput ? roomDescInput.value.trim() : "";
-
       if (!newName) {
         window.showToast?.("Room name cannot be empty", "error");
-        return;
+        return false;
       }
 
       const roomId = this.currentRoomData._id || this.currentRoomData.id;
@@ -436,16 +1086,74 @@ export class RoomManager {
       }
 
       window.showToast?.("Room settings updated successfully", "success");
+      return true;
     } catch (err) {
       console.error("Error saving room settings:", err);
-      const msg =
-        (err && err.body && (err.body.error || err.body.message)) ||
-        err.message ||
-        "unknown error";
+      const msg = this._errorMessage(err);
       window.showToast?.("Failed to save settings: " + msg, "error");
+      return false;
     }
   }
 
+  // "password" | "approval"; private rooms only, owner only
+  async setJoinMode(mode) {
+    if (!this.isOwner) {
+      window.showToast?.(
+        "Only the room owner can change how people join.",
+        "error"
+      );
+      return false;
+    }
+    if (!["password", "approval"].includes(mode)) return false;
+    if ((this.currentRoomData.joinMode || "password") === mode) return true;
+    const hasPassword = this._hasRoomPassword();
+    if (mode === "password" && !hasPassword) {
+      window.showToast?.(
+        "Set a room password below before switching to password access.",
+        "warning"
+      );
+      return false;
+    }
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      // older rooms lack hasPassword; record it while the mode still shows
+      // that they have one, so switching back keeps working
+      const body = { joinMode: mode };
+      if (mode === "approval" && hasPassword) body.hasPassword = true;
+      await fetchJsonWithAuth(`${window.__CONFIG__.apiBase}/${roomId}`, {
+        method: "PUT",
+        body: JSON.stringify(body),
+        headers: { "Content-Type": "application/json" },
+      });
+      this.currentRoomData.joinMode = mode;
+      if (body.hasPassword) this.currentRoomData.hasPassword = true;
+      window.showToast?.(
+        mode === "approval"
+          ? "New members now need approval to join"
+          : "New members now join with the room password",
+        "success"
+      );
+      return true;
+    } catch (err) {
+      console.error("Error changing join mode:", err);
+      const msg = this._errorMessage(err);
+      window.showToast?.("Could not change join mode: " + msg, "error");
+      return false;
+    }
+  }
+
+  // Mirrors the join flow: a private room not in approval mode is joined with
+  // its password, so it has one even on older rooms without hasPassword
+  _hasRoomPassword() {
+    const data = this.currentRoomData || {};
+    return (
+      !!data.hasPassword ||
+      !!data.passwordHash ||
+      (data.joinMode || "password") === "password"
+    );
+  }
+
   // ✅ DELETE: Remove room (owner only)
   async deleteRoom() {
     if (!this.isOwner) {
@@ -479,16 +1187,18 @@ export class RoomManager {
       setTimeout(() => (window.location.href = "study-rooms.html"), 1200);
     } catch (err) {
       console.error("Error deleting room:", err);
-      const msg = (err && err.message) || "unknown error";
+      const msg = this._errorMessage(err);
       window.showToast?.("Could not delete room: " + msg, "error");
     }
   }
 
-  // ✅ KICK: Remove participant from room (owner only)
+  // ✅ KICK: Remove participant from room (roles with the kick permission)
   async kickParticipant(userId) {
-    if (!this.isOwner) {
+    if (!this.canKickParticipant(userId)) {
       window.showToast?.(
-        "Only the room owner can remove participants.",
+        this.can("kick")
+          ? "You can't remove this participant."
+          : "You don't have permission to remove participants.",
         "error"
       );
       return;
@@ -501,6 +1211,7 @@ export class RoomManager {
     )
       return;
 
+    const name = this._participantName(userId);
     try {
       const roomId = this.currentRoomData._id || this.currentRoomData.id;
 
@@ -513,14 +1224,14 @@ export class RoomManager {
         }
       );
 
-      this.participants = this.participants.filter((p) => p.id !== userId);
-      this.updateParticipantsList();
+      this._removeLocally(userId);
 
+      this._postModerationMessage(`${name} was removed from the room`);
       window.showToast?.("Participant removed successfully", "success");
     } catch (err) {
       console.error("Error removing participant:", err);
       window.showToast?.(
-        "Could not remove participant: " + (err.message || "unknown error"),
+        "Could not remove participant: " + this._errorMessage(err),
         "error"
       );
     }
@@ -533,6 +1244,15 @@ export class RoomManager {
       return;
     }
 
+    // the room would be left without anyone who can manage it
+    if (this.isOwner && this.participants.length > 1) {
+      window.showToast?.(
+        "You own this room. Transfer ownership in Settings → Members before leaving.",
+        "warning"
+      );
+      return;
+    }
+
     if (
       !confirm(
         "Are you sure you want to leave this study room? You can rejoin later using the invite link."
@@ -564,10 +1284,7 @@ export class RoomManager {
       }, 1000);
     } catch (err) {
       console.error("Error leaving room:", err);
-      const msg =
-        (err && err.body && (err.body.error || err.body.message)) ||
-        err.message ||
-        "unknown error";
+      const msg = this._errorMessage(err);
       window.showToast?.(
         "Could not leave room: " + msg + ". Please try again.",
         "error"
@@ -659,6 +1376,7 @@ export class RoomManager {
 
       console.log("[room-manager] ✅ Password reset successfully");
       console.log("[room-manager] Response:", response);
+      this.currentRoomData.hasPassword = true;
 
       return response;
     } catch (err) {
@@ -0,0 +1,295 @@
+// SearchManager (ES module) - search panel for the room's chat history
+// Firestore has no full-text search, so sender / date filters run server-side
+// and text matching is done here while scanning newest-to-oldest in batches.
+// Sender + date filters together need a composite index (authorUid, timestamp).
+// Thread replies live in subcollections and are not searched.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, getFileIcon, showToast } from "./utils.js";
+
+const SCAN_BATCH = 200; // docs read per query
+const SCAN_LIMIT = 1000; // docs read per search / "search older" click
+const RESULTS_PER_SCAN = 30;
+
+export class SearchManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.results = []; // { msg, doc }
+    this._cursor = null;
+    this._exhausted = false;
+    this._searching = false;
+    this._searchToken = 0;
+    this._debounceTimer = null;
+  }
+
+  init() {
+    document
+      .getElementById("chatSearchBtn")
+      ?.addEventListener("click", () => this.open());
+    document
+      .getElementById("searchCloseBtn")
+      ?.addEventListener("click", () => this.close());
+
+    const queryInput = document.getElementById("searchQueryInput");
+    queryInput?.addEventListener("input", () => {
+      if (this._debounceTimer) clearTimeout(this._debounceTimer);
+      this._debounceTimer = setTimeout(() => this.search(), 350);
+    });
+    queryInput?.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.close();
+    });
+    [
+      "searchSenderFilter",
+      "searchFromDate",
+      "searchToDate",
+      "searchHasAttachment",
+    ].forEach((id) =>
+      document
+        .getElementById(id)
+        ?.addEventListener("change", () => this.search())
+    );
+
+    document.getElementById("searchResults")?.addEventListener("click", (e) => {
+      const more = e.target.closest("[data-search-more]");
+      if (more) {
+        this._scan(this._searchToken);
+        return;
+      }
+      const row = e.target.closest(".search-result");
+      if (row) this.jumpTo(row.getAttribute("data-message-id"));
+    });
+    document
+      .getElementById("searchResults")
+      ?.addEventListener("keydown", (e) => {
+        const row = e.target.closest(".search-result");
+        if (row && e.key === "Enter")
+          this.jumpTo(row.getAttribute("data-message-id"));
+      });
+  }
+
+  open() {
+    const panel = document.getElementById("searchPanel");
+    if (!panel) return;
+    this._populateSenders();
+    panel.classList.add("open");
+    panel.setAttribute("aria-hidden", "false");
+    document.getElementById("searchQueryInput")?.focus();
+  }
+
+  close() {
+    const panel = document.getElementById("searchPanel");
+    if (!panel) return;
+    panel.classList.remove("open");
+    panel.setAttribute("aria-hidden", "true");
+  }
+
+  _populateSenders() {
+    const select = document.getElementById("searchSenderFilter");
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML =
+      `<option value="">Anyone</option>` +
+      (this.roomManager.participants || [])
+        .map(
+          (p) =>
+            `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}${
+              p.id === this.userAuth.currentUser.uid ? " (You)" : ""
+            }</option>`
+        )
+        .join("");
+    select.value = current;
+  }
+
+  _readFilters() {
+    const query = (document.getElementById("searchQueryInput")?.value || "")
+      .trim()
+      .toLowerCase();
+    const from = document.getElementById("searchFromDate")?.value;
+    const to = document.getElementById("searchToDate")?.value;
+    return {
+      terms: query ? query.split(/\s+/) : [],
+      senderUid: document.getElementById("searchSenderFilter")?.value || "",
+      // date inputs are local calendar days; "to" is inclusive
+      from: from ? new Date(`${from}T00:00:00`) : null,
+      to: to ? new Date(new Date(`${to}T00:00:00`).getTime() + 86400000) : null,
+      hasAttachment: !!document.getElementById("searchHasAttachment")?.checked,
+    };
+  }
+
+  search() {
+    this._searchToken++;
+    this.results = [];
+    this._cursor = null;
+    this._exhausted = false;
+    this._searching = false;
+
+    const filters = this._readFilters();
+    if (
+      filters.terms.length === 0 &&
+      !filters.senderUid &&
+      !filters.from &&
+      !filters.to &&
+      !filters.hasAttachment
+    ) {
+      this._renderHint("Search messages, file names and people in this room");
+      return;
+    }
+    this._scan(this._searchToken);
+  }
+
+  async _scan(token) {
+    if (this._searching || this._exhausted) return;
+    const roomId = this._getRoomId();
+    if (!roomId) return;
+    const filters = this._readFilters();
+    this._searching = true;
+    this._render();
+
+    const target = this.results.length + RESULTS_PER_SCAN;
+    let scanned = 0;
+    try {
+      while (scanned < SCAN_LIMIT && this.results.length < target) {
+        let query = db
+          .collection("studyGroups")
+          .doc(roomId)
+          .collection("messages");
+        if (filters.senderUid)
+          query = query.where("authorUid", "==", filters.senderUid);
+        if (filters.from) query = query.where("timestamp", ">=", filters.from);
+        if (filters.to) query = query.where("timestamp", "<", filters.to);
+        query = query.orderBy("timestamp", "desc");
+        if (this._cursor) query = query.startAfter(this._cursor);
+
+        const snap = await query.limit(SCAN_BATCH).get();
+        if (token !== this._searchToken) return; // superseded
+        scanned += snap.size;
+        snap.forEach((doc) => {
+          const msg = { id: doc.id, ...doc.data() };
+          if (this._matches(msg, filters)) this.results.push({ msg, doc });
+        });
+        if (!snap.empty) this._cursor = snap.docs[snap.docs.length - 1];
+        if (snap.size < SCAN_BATCH) {
+          this._exhausted = true;
+          break;
+        }
+      }
+    } catch (err) {
+      console.error("Chat search failed:", err);
+      showToast("Search failed. Please try again.", "error");
+    } finally {
+      if (token === this._searchToken) {
+        this._searching = false;
+        this._render();
+      }
+    }
+  }
+
+  _matches(msg, filters) {
+    if (msg.isSystem || msg.deleted) return false;
+    if (filters.hasAttachment && !msg.fileUrl && !msg.imageUrl) return false;
+    if (filters.terms.length === 0) return true;
+    const haystack = [msg.text, msg.fileName, this._authorName(msg)]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    return filters.terms.every((term) => haystack.includes(term));
+  }
+
+  _authorName(msg) {
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === msg.authorUid
+    );
+    return (
+      (participant && participant.name) ||
+      this.chatManager._authorNamesCache[msg.authorUid] ||
+      msg.author ||
+      ""
+    );
+  }
+
+  // Escape first, then wrap matched terms in <mark> (one pass, so a term
+  // can never match inside markup added for another)
+  _highlight(text, terms) {
+    const html = escapeHtml(text);
+    if (terms.length === 0) return html;
+    const pattern = new RegExp(
+      terms
+        .map((t) => escapeHtml(t).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("|"),
+      "gi"
+    );
+    return html.replace(pattern, (m) => `<mark>${m}</mark>`);
+  }
+
+  _renderHint(text) {
+    const container = document.getElementById("searchResults");
+    if (container)
+      container.innerHTML = `<div class="search-hint">${escapeHtml(
+        text
+      )}</div>`;
+  }
+
+  _render() {
+    const container = document.getElementById("searchResults");
+    if (!container) return;
+    const { terms } = this._readFilters();
+
+    const rows = this.results
+      .map(({ msg }) => {
+        const when = this.chatManager._toDate(msg.timestamp).toLocaleString();
+        const attachment =
+          msg.fileName && (msg.fileUrl || msg.imageUrl)
+            ? `<div class="search-result-file"><i class="${
+                msg.imageUrl
+                  ? "bi bi-file-earmark-image"
+                  : getFileIcon(msg.fileName.split(".").pop().toLowerCase())
+              }"></i> ${this._highlight(msg.fileName, terms)}</div>`
+            : "";
+        const text = msg.text
+          ? `<div class="search-result-text">${this._highlight(
+              msg.text,
+              terms
+            )}</div>`
+          : "";
+        return `<div class="search-result" data-message-id="${escapeHtml(
+          msg.id
+        )}" role="button" tabindex="0"><div class="search-result-meta"><span class="search-result-author">${this._highlight(
+          this._authorName(msg) || "Unknown",
+          terms
+        )}</span><span>${escapeHtml(
+          when
+        )}</span></div>${text}${attachment}</div>`;
+      })
+      .join("");
+
+    let footer = "";
+    if (this._searching)
+      footer = `<div class="search-hint"><div class="spinner-border spinner-border-sm text-secondary" role="status"></div> Searching...</div>`;
+    else if (!this._exhausted)
+      footer = `<button class="btn btn-sm btn-outline-success w-100" data-search-more><i class="bi bi-arrow-down"></i> Search older messages</button>`;
+    else if (this.results.length === 0)
+      footer = `<div class="search-hint">No matching messages</div>`;
+
+    const count = this.results.length
+      ? `<div class="search-count">${this.results.length} result${
+          this.results.length === 1 ? "" : "s"
+        }</div>`
+      : "";
+    container.innerHTML = count + rows + footer;
+  }
+
+  async jumpTo(messageId) {
+    const hit = this.results.find((r) => r.msg.id === messageId);
+    if (!hit) return;
+    this.close();
+    await this.chatManager.scrollToMessage(messageId, hit.doc);
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
@@ -0,0 +1,572 @@
+// TimerManager (ES module) - shared Pomodoro timer for the whole room
+// The timer is one doc per room at studyGroups/{roomId}/state/timer, apart
+// from the backend-owned room doc:
+//   { status: "idle" | "running" | "paused", phase: "focus" | "break",
+//     round, rounds, focusMinutes, breakMinutes,
+//     startedAt, remainingMs, seq, updatedBy, updatedAt }
+// While running, the phase ends at startedAt + remainingMs. startedAt is a
+// server timestamp and every client counts down against the server-corrected
+// clock (PresenceManager.now()), so all participants see the same time.
+// Every change goes through a transaction that bumps seq. When a phase runs
+// out, each open client tries to advance it but only the one whose
+// transaction wins posts the system message.
+// Owners and moderators control the timer; the sound is a local preference.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, showToast, toMillis } from "./utils.js";
+
+const DEFAULTS = { focusMinutes: 25, breakMinutes: 5, rounds: 4 };
+const LIMITS = {
+  focusMinutes: [1, 240],
+  breakMinutes: [1, 60],
+  rounds: [1, 12],
+};
+// a phase that ran out this long ago (nobody in the room) is not resumed
+const STALE_MS = 10 * 60 * 1000;
+const SOUND_KEY = "timerSound";
+
+export class TimerManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.timer = null; // last snapshot of the timer doc
+    this.soundOn = localStorage.getItem(SOUND_KEY) === "on";
+    this.unsubscribe = null;
+    this._tickInterval = null;
+    this._advancingSeq = null; // seq we already tried to advance
+    this._audioContext = null;
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    document.getElementById("roomTimer")?.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-timer-action]");
+      if (!btn) return;
+      const action = btn.dataset.timerAction;
+      if (action === "setup") this.openSetupModal();
+      else if (action === "pause") this.pause();
+      else if (action === "resume") this.resume();
+      else if (action === "skip") this.skip();
+      else if (action === "stop") this.stop();
+      else if (action === "sound") this.toggleSound();
+    });
+    this._subscribe();
+  }
+
+  canControl() {
+    return this.roomManager.canModerate();
+  }
+
+  _now() {
+    return window.presenceModule ? window.presenceModule.now() : Date.now();
+  }
+
+  _timerRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("state")
+      .doc("timer");
+  }
+
+  _subscribe() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    let first = true;
+    const subscribe = () => {
+      this.unsubscribe = this._timerRef().onSnapshot(
+        (snap) => {
+          // pending serverTimestamps read as a local estimate, not null
+          const data = snap.exists
+            ? snap.data({ serverTimestamps: "estimate" })
+            : null;
+          const previous = this.timer;
+          this.timer = data && data.status ? data : null;
+          if (!first) this._onChange(previous, this.timer);
+          first = false;
+          this._render();
+          this._syncTicker();
+          retryDelay = 1000;
+        },
+        (error) => {
+          console.error("Error listening for room timer:", error);
+          try {
+            if (this.unsubscribe) this.unsubscribe();
+          } catch (e) {}
+          this.unsubscribe = null;
+          setTimeout(() => {
+            retryDelay = Math.min(maxDelay, retryDelay * 2);
+            subscribe();
+          }, retryDelay);
+        }
+      );
+    };
+    subscribe();
+  }
+
+  // ===== STATE =====
+
+  isActive(timer = this.timer) {
+    return !!timer && (timer.status === "running" || timer.status === "paused");
+  }
+
+  remainingMs(timer = this.timer) {
+    if (!this.isActive(timer)) return 0;
+    const remaining = Number(timer.remainingMs) || 0;
+    if (timer.status !== "running") return Math.max(0, remaining);
+    const startedAt = toMillis(timer.startedAt) || this._now();
+    return Math.max(0, startedAt + remaining - this._now());
+  }
+
+  _phaseMs(timer, phase) {
+    return (
+      (phase === "break" ? timer.breakMinutes : timer.focusMinutes) * 60 * 1000
+    );
+  }
+
+  // The phase that follows the current one, or null when the last focus
+  // round is done
+  _nextPhase(timer) {
+    if (timer.phase === "focus")
+      return timer.round >= timer.rounds
+        ? null
+        : { phase: "break", round: timer.round };
+    return { phase: "focus", round: timer.round + 1 };
+  }
+
+  _running(timer, phase, round) {
+    return {
+      ...timer,
+      status: "running",
+      phase,
+      round,
+      startedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      remainingMs: this._phaseMs(timer, phase),
+    };
+  }
+
+  // Reads the timer in a transaction, lets change(timer) return the next
+  // state (or null to abort) and writes it with seq bumped.
+  // Resolves to { before, after } when written, else null.
+  async _mutate(change) {
+    const ref = this._timerRef();
+    let result = null;
+    await db.runTransaction(async (tx) => {
+      result = null;
+      const snap = await tx.get(ref);
+      const before = (snap.exists && snap.data()) || null;
+      const next = change(before);
+      if (!next) return;
+      const after = {
+        ...next,
+        seq: ((before && before.seq) || 0) + 1,
+        updatedBy: this.userAuth.currentUser.uid,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      };
+      // replace the whole doc so fields of an earlier state don't linger
+      tx.set(ref, after);
+      result = { before, after };
+    });
+    return result;
+  }
+
+  _requireControl() {
+    if (this.canControl()) return true;
+    showToast(
+      "Only the room owner and moderators can control the timer",
+      "warning"
+    );
+    return false;
+  }
+
+  // ===== ACTIONS =====
+
+  // Starts round 1 of a new session; minutes overrides the focus length
+  // (used by the /timer command)
+  async start(minutes = null, settings = {}) {
+    if (!this._requireControl()) return false;
+    const config = this._clampSettings({
+      ...DEFAULTS,
+      ...this._lastSettings(),
+      ...settings,
+      ...(minutes ? { focusMinutes: minutes } : {}),
+    });
+    try {
+      const result = await this._mutate(() =>
+        this._running(
+          { ...config, status: "idle", phase: "focus", round: 1 },
+          "focus",
+          1
+        )
+      );
+      if (!result) return false;
+      await this.chatManager.sendSystemMessage(
+        `⏱️ ${this._myName()} started a focus timer: ${this._describe(config)}`
+      );
+      return true;
+    } catch (err) {
+      console.error("Failed to start timer:", err);
+      showToast("Failed to start the timer", "error");
+      return false;
+    }
+  }
+
+  async pause() {
+    if (!this._requireControl()) return;
+    try {
+      await this._mutate((timer) =>
+        timer && timer.status === "running"
+          ? {
+              ...timer,
+              status: "paused",
+              startedAt: null,
+              remainingMs: this.remainingMs(timer),
+            }
+          : null
+      );
+    } catch (err) {
+      console.error("Failed to pause timer:", err);
+      showToast("Failed to pause the timer", "error");
+    }
+  }
+
+  async resume() {
+    if (!this._requireControl()) return;
+    try {
+      await this._mutate((timer) =>
+        timer && timer.status === "paused"
+          ? {
+              ...timer,
+              status: "running",
+              startedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            }
+          : null
+      );
+    } catch (err) {
+      console.error("Failed to resume timer:", err);
+      showToast("Failed to resume the timer", "error");
+    }
+  }
+
+  async skip() {
+    if (!this._requireControl()) return;
+    await this._advance(null, this._myName());
+  }
+
+  async stop() {
+    if (!this._requireControl()) return;
+    try {
+      const result = await this._mutate((timer) =>
+        this.isActive(timer)
+          ? { ...timer, status: "idle", startedAt: null, remainingMs: 0 }
+          : null
+      );
+      if (result)
+        await this.chatManager.sendSystemMessage(
+          `⏹️ ${this._myName()} stopped the timer`
+        );
+    } catch (err) {
+      console.error("Failed to stop timer:", err);
+      showToast("Failed to stop the timer", "error");
+    }
+  }
+
+  // Moves to the next phase. Automatic advances (skippedBy null) pass the
+  // seq they saw run out, so a timer that changed meanwhile is left alone.
+  async _advance(seq, skippedBy = null) {
+    try {
+      let stale = false;
+      const result = await this._mutate((timer) => {
+        stale = false;
+        if (!this.isActive(timer)) return null;
+        if (!skippedBy) {
+          if (timer.seq !== seq || timer.status !== "running") return null;
+          const left = this._msLeft(timer);
+          if (left > 0) return null;
+          stale = -left > STALE_MS;
+        }
+        const next = this._nextPhase(timer);
+        if (!next || stale)
+          return { ...timer, status: "idle", startedAt: null, remainingMs: 0 };
+        return this._running(timer, next.phase, next.round);
+      });
+      if (!result || stale) return;
+      await this.chatManager.sendSystemMessage(
+        this._phaseMessage(result.after, skippedBy)
+      );
+    } catch (err) {
+      console.error("Failed to advance timer:", err);
+      if (skippedBy) showToast("Failed to skip ahead", "error");
+      // let the next tick try again
+      else setTimeout(() => (this._advancingSeq = null), 5000);
+    }
+  }
+
+  // Time left in a running phase; negative once it has run out
+  _msLeft(timer) {
+    const startedAt = toMillis(timer.startedAt);
+    if (!startedAt) return 0;
+    return startedAt + (Number(timer.remainingMs) || 0) - this._now();
+  }
+
+  _phaseMessage(timer, skippedBy) {
+    const by = skippedBy ? ` (skipped by ${skippedBy})` : "";
+    if (timer.status === "idle")
+      return `✅ Focus session complete: ${timer.rounds} round${
+        timer.rounds === 1 ? "" : "s"
+      } done${by}`;
+    if (timer.phase === "break")
+      return `☕ Break time: ${timer.breakMinutes} min${by}`;
+    return `🎯 Focus round ${timer.round} of ${timer.rounds}: ${timer.focusMinutes} min${by}`;
+  }
+
+  _describe(config) {
+    return config.rounds === 1
+      ? `${config.focusMinutes} min focus`
+      : `${config.rounds} × ${config.focusMinutes} min focus with ${config.breakMinutes} min breaks`;
+  }
+
+  toggleSound() {
+    this.soundOn = !this.soundOn;
+    localStorage.setItem(SOUND_KEY, this.soundOn ? "on" : "off");
+    // browsers only allow audio once the page had a click, like this one
+    if (this.soundOn) this._playChime();
+    this._render();
+  }
+
+  // ===== SETTINGS =====
+
+  _lastSettings() {
+    const t = this.timer;
+    return t
+      ? {
+          focusMinutes: t.focusMinutes,
+          breakMinutes: t.breakMinutes,
+          rounds: t.rounds,
+        }
+      : {};
+  }
+
+  _clampSettings(settings) {
+    const out = {};
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const value = Math.round(Number(settings[key]));
+      out[key] = Number.isFinite(value)
+        ? Math.min(max, Math.max(min, value))
+        : DEFAULTS[key];
+    }
+    return out;
+  }
+
+  openSetupModal() {
+    if (!this._requireControl()) return;
+    const current = { ...DEFAULTS, ...this._lastSettings() };
+    const field = (key, label) => {
+      const [min, max] = LIMITS[key];
+      return `<div class="col"><label class="form-label" for="timer-${key}">${label}</label><input type="number" class="form-control" id="timer-${key}" min="${min}" max="${max}" value="${current[key]}"></div>`;
+    };
+    const modal = document.createElement("div");
+    modal.className = "modal fade";
+    modal.innerHTML = `<div class="modal-dialog modal-dialog-centered"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"><i class="bi bi-stopwatch"></i> Focus Timer</h5><button type="button" class="btn-close" data-bs-dismiss="modal"></button></div><div class="modal-body"><div class="row g-3 mb-3">${field(
+      "focusMinutes",
+      "Focus (min)"
+    )}${field("breakMinutes", "Break (min)")}${field(
+      "rounds",
+      "Rounds"
+    )}</div><div class="form-check"><input class="form-check-input" type="checkbox" id="timerSoundInput"${
+      this.soundOn ? " checked" : ""
+    }><label class="form-check-label" for="timerSoundInput">Play a sound when a phase changes</label></div><small class="text-muted">Everyone in the room sees the same countdown.${
+      this.isActive() ? " Starting again replaces the current timer." : ""
+    }</small></div><div class="modal-footer"><button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button><button type="button" class="btn btn-success" data-start-timer><i class="bi bi-play-fill"></i> Start</button></div></div></div>`;
+    document.body.appendChild(modal);
+
+    let bs;
+    modal
+      .querySelector("[data-start-timer]")
+      .addEventListener("click", async () => {
+        const values = {};
+        for (const key of Object.keys(LIMITS)) {
+          const [min, max] = LIMITS[key];
+          const value = Number(modal.querySelector(`#timer-${key}`).value);
+          if (!Number.isInteger(value) || value < min || value > max) {
+            showToast(
+              `${
+                key === "rounds" ? "Rounds" : "Minutes"
+              } must be a whole number from ${min} to ${max}`,
+              "warning"
+            );
+            return;
+          }
+          values[key] = value;
+        }
+        const sound = modal.querySelector("#timerSoundInput").checked;
+        if (sound !== this.soundOn) this.toggleSound();
+        bs?.hide();
+        await this.start(null, values);
+      });
+
+    try {
+      bs = new bootstrap.Modal(modal);
+      bs.show();
+      modal.addEventListener("hidden.bs.modal", () => modal.remove());
+    } catch (err) {
+      console.error("Error showing timer modal:", err);
+      modal.remove();
+    }
+  }
+
+  // ===== RENDER =====
+
+  _onChange(previous, timer) {
+    if (!timer || (previous && previous.seq === timer.seq)) return;
+    const phaseChanged =
+      !previous ||
+      previous.phase !== timer.phase ||
+      previous.round !== timer.round ||
+      (this.isActive(previous) && timer.status === "idle") ||
+      (!this.isActive(previous) && this.isActive(timer));
+    if (phaseChanged && this.soundOn) this._playChime();
+  }
+
+  _syncTicker() {
+    const running = this.timer && this.timer.status === "running";
+    if (running && !this._tickInterval) {
+      this._tickInterval = setInterval(() => this._tick(), 1000);
+    } else if (!running && this._tickInterval) {
+      clearInterval(this._tickInterval);
+      this._tickInterval = null;
+    }
+    if (running) this._tick();
+  }
+
+  _tick() {
+    const timer = this.timer;
+    if (!timer || timer.status !== "running") return;
+    this._renderCountdown();
+    // the server-side start may still be pending; wait for it
+    if (!timer.startedAt || this._msLeft(timer) > 0) return;
+    if (this._advancingSeq === timer.seq) return;
+    this._advancingSeq = timer.seq;
+    this._advance(timer.seq);
+  }
+
+  _format(ms) {
+    const total = Math.ceil(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
+  _renderCountdown() {
+    const box = document.getElementById("roomTimer");
+    const timer = this.timer;
+    if (!box || !this.isActive(timer)) return;
+    const left = this.remainingMs(timer);
+    const clock = box.querySelector(".room-timer-clock");
+    if (clock) clock.textContent = this._format(left);
+    const bar = box.querySelector(".room-timer-progress span");
+    if (bar) {
+      const total = this._phaseMs(timer, timer.phase) || 1;
+      bar.style.width = `${Math.min(100, (1 - left / total) * 100)}%`;
+    }
+  }
+
+  _render() {
+    const box = document.getElementById("roomTimer");
+    if (!box) return;
+    const timer = this.timer;
+    const control = this.canControl();
+    const soundBtn = `<button class="room-timer-btn" data-timer-action="sound" title="${
+      this.soundOn ? "Mute timer sound" : "Play a sound on phase changes"
+    }"><i class="bi ${
+      this.soundOn ? "bi-bell-fill" : "bi-bell-slash"
+    }"></i></button>`;
+
+    if (!this.isActive(timer)) {
+      box.className = "room-timer";
+      box.hidden = !control;
+      box.innerHTML = control
+        ? `<button class="btn btn-sm btn-outline-primary" data-timer-action="setup" title="Start a shared focus timer"><i class="bi bi-stopwatch"></i> Timer</button>`
+        : "";
+      return;
+    }
+
+    const paused = timer.status === "paused";
+    const label = timer.phase === "break" ? "Break" : "Focus";
+    box.hidden = false;
+    box.className = `room-timer active ${timer.phase}${
+      paused ? " paused" : ""
+    }`;
+    box.innerHTML = `<div class="room-timer-info" title="${escapeHtml(
+      `${label} · round ${timer.round} of ${timer.rounds}${
+        paused ? " · paused" : ""
+      }`
+    )}"><span class="room-timer-phase"><i class="bi ${
+      timer.phase === "break" ? "bi-cup-hot" : "bi-stopwatch"
+    }"></i> ${label}</span><span class="room-timer-clock">${this._format(
+      this.remainingMs(timer)
+    )}</span><span class="room-timer-round">${timer.round}/${
+      timer.rounds
+    }</span><div class="room-timer-progress"><span></span></div></div>${
+      control
+        ? `<button class="room-timer-btn" data-timer-action="${
+            paused ? "resume" : "pause"
+          }" title="${paused ? "Resume" : "Pause"}"><i class="bi ${
+            paused ? "bi-play-fill" : "bi-pause-fill"
+          }"></i></button><button class="room-timer-btn" data-timer-action="skip" title="Skip to the next phase"><i class="bi bi-skip-end-fill"></i></button><button class="room-timer-btn" data-timer-action="stop" title="Stop the timer"><i class="bi bi-stop-fill"></i></button>`
+        : ""
+    }${soundBtn}`;
+    this._renderCountdown();
+  }
+
+  // Two short tones; no audio file needed
+  _playChime() {
+    try {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      if (!Ctx) return;
+      if (!this._audioContext) this._audioContext = new Ctx();
+      const ctx = this._audioContext;
+      if (ctx.state === "suspended") ctx.resume().catch(() => {});
+      [880, 1320].forEach((freq, i) => {
+        const start = ctx.currentTime + i * 0.22;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = "sine";
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.25, start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.2);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + 0.21);
+      });
+    } catch (err) {
+      console.debug("Timer sound failed:", err);
+    }
+  }
+
+  _myName() {
+    return (
+      this.userAuth.currentUser.name ||
+      this.userAuth.currentUser.displayName ||
+      "Someone"
+    );
+  }
+
+  cleanup() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    if (this._tickInterval) clearInterval(this._tickInterval);
+    this._tickInterval = null;
+    if (this._audioContext) this._audioContext.close().catch(() => {});
+    this._audioContext = null;
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
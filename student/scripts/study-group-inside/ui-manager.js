@@ -4,8 +4,16 @@
 // ✅ UPDATED: Password reset form with validation
 // ✅ UPDATED: Fixed Security tab visibility with proper initialization order
 // ✅ NEW: Room deactivation lock functionality
+// ✅ NEW: Pinned messages tab in settings
+// ✅ NEW: Notifications tab in settings (level stored by NotificationManager)
+// ✅ NEW: Video / Notes / Whiteboard tabs in the center column
+// ✅ NEW: Members tab in settings (roles, ownership transfer, permissions)
+// ✅ NEW: Join mode (password / approval) in the Security tab
+// ✅ NEW: Mute / ban menu in the participants panel, banned list in Members
 
-import { showToast, closeToast } from "./utils.js";
+import { showToast, closeToast, escapeHtml } from "./utils.js";
+import { PERMISSIONS, ROLE_LABELS } from "./room-manager.js";
+import { formatUntil } from "../roomBans.js";
 
 export class UiManager {
   constructor(userAuth, roomManager) {
@@ -28,6 +36,10 @@ export class UiManager {
     this.initializeInviteSystem();
     this.initializeLeaveRoom();
     this.initializePasswordReset();
+    this.initializeJoinModeSettings();
+    this.initializeNotificationSettings();
+    this.initializeMembersSettings();
+    this.initializeMainTabs();
     this.initializeSidebar();
     this.setupKeyboardShortcuts();
     this.initializeAutoSave();
@@ -38,6 +50,8 @@ export class UiManager {
 
     window.openImageModal = UiManager.openImageModal;
     window.kickParticipant = (id) => this.roomManager.kickParticipant?.(id);
+    window.moderateParticipant = (id, action, minutes) =>
+      this.moderateParticipant(id, action, minutes);
     window.closeToast = closeToast;
   }
 
@@ -259,37 +273,12 @@ export class UiManager {
       // ✅ NEW: Show/hide Security tab based on owner + private room
       this.updateSecurityTabVisibility();
 
-      const participantsList2 = document.getElementById("participantsList2");
-      if (participantsList2) {
-        // ✅ FIXED: Only show kick button if user is OWNER
-        participantsList2.innerHTML = this.roomManager.participants
-          .map((participant) => {
-            const isCurrent = participant.id === this.userAuth.currentUser.uid;
-            const canKick = this.roomManager.isOwner && !isCurrent;
-
-            return `<div class="d-flex justify-content-between align-items-center p-2 border rounded mb-2"><div class="d-flex align-items-center gap-2"><div class="participant-avatar" style="width:24px;height:24px;font-size:12px;">${
-              participant.avatar
-            }</div><span>${participant.name}${
-              isCurrent ? " (You)" : ""
-            }</span>${
-              participant.isHost
-                ? '<span class="badge bg-primary">Host</span>'
-                : ""
-            }</div>${
-              canKick
-                ? `<button class="btn btn-outline-danger btn-sm" onclick="window.kickParticipant('${participant.id}')"><i class="bi bi-x-lg"></i> Kick</button>`
-                : ""
-            }</div>`;
-          })
-          .join("");
-      }
+      this.updateMembersSettings();
+      this.updateJoinModeSettings();
 
       if (window.chatModule) window.chatModule.updateFilesListInSettings();
-      const deleteBtn = document.getElementById("deleteRoomBtn");
-      if (deleteBtn)
-        deleteBtn.style.display = this.roomManager.isOwner
-          ? "inline-block"
-          : "none";
+      this.updatePinnedListInSettings();
+      this.updateNotificationSettings();
       modal.show();
     } catch (err) {
       console.error("Error opening settings modal:", err);
@@ -351,6 +340,24 @@ export class UiManager {
     }
   }
 
+  // ✅ NEW: Password or approval access for private rooms
+  initializeJoinModeSettings() {
+    document.querySelectorAll('input[name="roomJoinMode"]').forEach((radio) =>
+      radio.addEventListener("change", async () => {
+        await this.roomManager.setJoinMode(radio.value);
+        this.updateJoinModeSettings();
+      })
+    );
+  }
+
+  updateJoinModeSettings() {
+    const mode = this.roomManager.currentRoomData?.joinMode || "password";
+    const radio = document.querySelector(
+      `input[name="roomJoinMode"][value="${mode}"]`
+    );
+    if (radio) radio.checked = true;
+  }
+
   // ✅ NEW: Initialize password reset form
   initializePasswordReset() {
     const newPasswordInput = document.getElementById("newPasswordInput");
@@ -776,6 +783,316 @@ export class UiManager {
     }, 30000);
   }
 
+  // ✅ NEW: Pinned tab in the settings modal (data from window.pinModule)
+  updatePinnedListInSettings() {
+    const pinnedList = document.getElementById("pinnedList");
+    const pins = window.pinModule;
+    if (!pinnedList || !pins) return;
+    if (pins.pins.length === 0) {
+      pinnedList.innerHTML = `<div class="text-center p-4 text-muted"><i class="bi bi-pin-angle" style="font-size:2rem;"></i><p class="mt-2">No pinned messages yet</p></div>`;
+      return;
+    }
+    const canPin = pins.canPin();
+    pinnedList.innerHTML = pins.pins
+      .map((pin) => {
+        const d = pins.describe(pin);
+        const pinnedAt =
+          pin.pinnedAt && pin.pinnedAt.toDate
+            ? pin.pinnedAt.toDate().toLocaleString()
+            : "";
+        return `<div class="card mb-2"><div class="card-body p-2 d-flex justify-content-between align-items-center gap-2"><div class="pinned-settings-text" role="button" onclick="pinModule.jumpTo('${escapeHtml(
+          pin.id
+        )}')"><div class="${
+          d.deleted ? "text-muted fst-italic" : "fw-bold"
+        }">${escapeHtml(d.text)}</div><small class="text-muted">${escapeHtml(
+          d.author || ""
+        )}${pinnedAt ? ` • pinned ${escapeHtml(pinnedAt)}` : ""}</small></div>${
+          canPin
+            ? `<button class="btn btn-sm btn-outline-danger" onclick="pinModule.unpin('${escapeHtml(
+                pin.id
+              )}')" title="Unpin"><i class="bi bi-pin-angle"></i> Unpin</button>`
+            : ""
+        }</div></div>`;
+      })
+      .join("");
+  }
+
+  // ✅ NEW: Center column tabs; the video stays mounted (and a call keeps
+  // running) while a [data-main-pane] is shown over it
+  initializeMainTabs() {
+    document
+      .querySelectorAll("[data-main-tab]")
+      .forEach((tab) =>
+        tab.addEventListener("click", () =>
+          this.showMainTab(tab.dataset.mainTab)
+        )
+      );
+  }
+
+  // "video" | "notes" | "whiteboard"
+  showMainTab(name) {
+    const main = document.querySelector(".video-main");
+    if (!main) return;
+    let paneShown = false;
+    main.querySelectorAll("[data-main-pane]").forEach((pane) => {
+      pane.hidden = pane.dataset.mainPane !== name;
+      if (!pane.hidden) paneShown = true;
+    });
+    main.classList.toggle("pane-active", paneShown);
+    document.querySelectorAll("[data-main-tab]").forEach((tab) => {
+      const active = tab.dataset.mainTab === name;
+      tab.classList.toggle("active", active);
+      tab.setAttribute("aria-selected", String(active));
+      const dot = active && tab.querySelector(".main-tab-dot");
+      if (dot) dot.hidden = true;
+    });
+  }
+
+  // ✅ NEW: Notifications tab (level + browser permission state)
+  initializeNotificationSettings() {
+    const pane = document.getElementById("notifications-content");
+    if (!pane) return;
+    pane.addEventListener("change", (e) => {
+      if (e.target.name === "notifyLevel" && window.notificationModule)
+        window.notificationModule.setLevel(e.target.value);
+    });
+    pane.addEventListener("click", (e) => {
+      if (
+        e.target.closest("[data-request-permission]") &&
+        window.notificationModule
+      )
+        window.notificationModule.requestPermission();
+    });
+  }
+
+  updateNotificationSettings() {
+    const notifications = window.notificationModule;
+    if (!notifications) return;
+    const radio = document.querySelector(
+      `input[name="notifyLevel"][value="${notifications.level}"]`
+    );
+    if (radio) radio.checked = true;
+
+    const status = document.getElementById("notifyPermissionStatus");
+    if (!status) return;
+    if (notifications.level === "muted") {
+      status.innerHTML = "";
+      return;
+    }
+    const permission = notifications.permission();
+    if (permission === "granted") {
+      status.innerHTML = `<i class="bi bi-check-circle"></i> Browser notifications are on. The tab title also shows the unread count.`;
+    } else if (permission === "denied") {
+      status.innerHTML = `<i class="bi bi-bell-slash"></i> Notifications are blocked for this site. Allow them in your browser's site settings; until then only the tab title shows new messages.`;
+    } else if (permission === "unsupported") {
+      status.innerHTML = `<i class="bi bi-info-circle"></i> This browser doesn't support notifications. The tab title still shows the unread count.`;
+    } else {
+      status.innerHTML = `<button type="button" class="btn btn-sm btn-outline-success" data-request-permission><i class="bi bi-bell"></i> Enable browser notifications</button>`;
+    }
+  }
+
+  // ✅ NEW: Members tab - the owner assigns roles and edits the matrix
+  initializeMembersSettings() {
+    const list = document.getElementById("participantsList2");
+    if (list) {
+      list.addEventListener("change", async (e) => {
+        const select = e.target.closest("[data-role-select]");
+        if (!select) return;
+        select.disabled = true;
+        await this.roomManager.setParticipantRole(
+          select.dataset.roleSelect,
+          select.value
+        );
+        this.updateMembersSettings();
+      });
+      list.addEventListener("click", async (e) => {
+        const btn = e.target.closest("[data-transfer-owner]");
+        if (!btn) return;
+        btn.disabled = true;
+        await this.roomManager.transferOwnership(btn.dataset.transferOwner);
+        this.updateMembersSettings();
+      });
+    }
+
+    const saveBtn = document.getElementById("saveRolePermissionsBtn");
+    if (saveBtn)
+      saveBtn.addEventListener("click", async () => {
+        const matrix = { moderator: {}, member: {} };
+        document
+          .querySelectorAll("#rolePermissionsBody input[data-permission]")
+          .forEach((input) => {
+            matrix[input.dataset.role][input.dataset.permission] =
+              input.checked;
+          });
+        saveBtn.disabled = true;
+        await this.roomManager.saveRolePermissions(matrix);
+        saveBtn.disabled = false;
+      });
+
+    const banned = document.getElementById("bannedList");
+    if (banned)
+      banned.addEventListener("click", async (e) => {
+        const btn = e.target.closest("[data-unban]");
+        if (!btn) return;
+        btn.disabled = true;
+        await this.roomManager.unbanUser(btn.dataset.unban);
+        this.updateMembersSettings();
+      });
+  }
+
+  // Sidebar participant menu: action is "mute" | "unmute" | "ban"
+  moderateParticipant(id, action, minutes) {
+    const rm = this.roomManager;
+    if (action === "mute") return rm.muteParticipant(id, minutes);
+    if (action === "unmute") return rm.unmuteParticipant(id);
+    if (action === "ban") return rm.banParticipant(id, minutes);
+  }
+
+  updateMembersSettings() {
+    const rm = this.roomManager;
+    if (!rm.currentRoomData) return;
+    const me = this.userAuth.currentUser.uid;
+
+    const list = document.getElementById("participantsList2");
+    if (list) {
+      list.innerHTML = rm.participants
+        .map((participant) => {
+          const isCurrent = participant.id === me;
+          const role = rm.roleOf(participant.id);
+          const manageable = rm.isOwner && role !== "owner";
+
+          const roleHtml = manageable
+            ? `<select class="form-select form-select-sm role-select" data-role-select="${escapeHtml(
+                participant.id
+              )}" aria-label="Role">${["moderator", "member"]
+                .map(
+                  (r) =>
+                    `<option value="${r}"${r === role ? " selected" : ""}>${
+                      ROLE_LABELS[r]
+                    }</option>`
+                )
+                .join("")}</select>`
+            : `<span class="role-badge ${role}">${ROLE_LABELS[role]}</span>`;
+
+          const actions = [
+            manageable
+              ? `<button class="btn btn-outline-secondary btn-sm" data-transfer-owner="${escapeHtml(
+                  participant.id
+                )}" title="Make owner"><i class="bi bi-award"></i></button>`
+              : "",
+            rm.canKickParticipant(participant.id)
+              ? `<button class="btn btn-outline-danger btn-sm" onclick="window.kickParticipant('${escapeHtml(
+                  participant.id
+                )}')" title="Kick"><i class="bi bi-x-lg"></i></button>`
+              : "",
+          ].join("");
+
+          return `<div class="member-row d-flex justify-content-between align-items-center p-2 border rounded mb-2" data-user-id="${escapeHtml(
+            participant.id
+          )}"><div class="d-flex align-items-center gap-2"><div class="participant-avatar" style="width:24px;height:24px;font-size:12px;">${escapeHtml(
+            participant.avatar
+          )}</div><span class="participant-label">${escapeHtml(
+            participant.name
+          )}${
+            isCurrent ? " (You)" : ""
+          }</span></div><div class="d-flex align-items-center gap-2">${roleHtml}${actions}</div></div>`;
+        })
+        .join("");
+      this.applyPresenceIndicators();
+    }
+
+    const body = document.getElementById("rolePermissionsBody");
+    if (body) {
+      const matrix = rm.permissionMatrix();
+      const disabled = rm.isOwner ? "" : " disabled";
+      body.innerHTML = PERMISSIONS.map(
+        ({ key, label }) =>
+          `<tr><td>${escapeHtml(
+            label
+          )}</td><td><input class="form-check-input" type="checkbox" checked disabled aria-label="Owner" /></td>${[
+            "moderator",
+            "member",
+          ]
+            .map(
+              (role) =>
+                `<td><input class="form-check-input" type="checkbox" data-role="${role}" data-permission="${key}" aria-label="${
+                  ROLE_LABELS[role]
+                }"${matrix[role][key] ? " checked" : ""}${disabled} /></td>`
+            )
+            .join("")}</tr>`
+      ).join("");
+    }
+    const saveRolesBtn = document.getElementById("saveRolePermissionsBtn");
+    if (saveRolesBtn) saveRolesBtn.style.display = rm.isOwner ? "" : "none";
+
+    // the General tab is read-only without editSettings
+    const canEdit = rm.can("editSettings");
+    ["roomNameInput", "roomDescInput"].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) input.disabled = !canEdit;
+    });
+    const hint = document.getElementById("generalReadOnlyHint");
+    if (hint) hint.style.display = canEdit ? "none" : "block";
+    const saveSettingsBtn = document.getElementById("saveSettingsBtn");
+    if (saveSettingsBtn) saveSettingsBtn.style.display = canEdit ? "" : "none";
+    const deleteBtn = document.getElementById("deleteRoomBtn");
+    if (deleteBtn)
+      deleteBtn.style.display = rm.isOwner ? "inline-block" : "none";
+
+    this.updateBannedList();
+  }
+
+  updateBannedList() {
+    const rm = this.roomManager;
+    const section = document.getElementById("bannedSection");
+    const list = document.getElementById("bannedList");
+    if (!section || !list) return;
+
+    const bans = Object.keys(rm.currentRoomData.bans || {})
+      .map((uid) => ({ uid, entry: rm.activeBan(uid) }))
+      .filter((b) => b.entry);
+    section.hidden = bans.length === 0 || !rm.can("ban");
+    list.innerHTML = bans
+      .map(
+        ({ uid, entry }) =>
+          `<div class="banned-row d-flex justify-content-between align-items-center p-2 border rounded mb-2"><div><span class="participant-label">${escapeHtml(
+            entry.name || uid.substring(0, 8)
+          )}</span><div class="banned-until">Banned ${escapeHtml(
+            formatUntil(entry)
+          )}</div></div><button class="btn btn-outline-secondary btn-sm" data-unban="${escapeHtml(
+            uid
+          )}">Unban</button></div>`
+      )
+      .join("");
+  }
+
+  // ✅ NEW: Online / idle / offline dots next to participant names
+  applyPresenceIndicators(statuses) {
+    if (!statuses && window.presenceModule)
+      statuses = window.presenceModule.getStatuses();
+    if (!statuses) return;
+    const labels = { online: "Online", idle: "Idle", offline: "Offline" };
+    document
+      .querySelectorAll(
+        "#participantsList [data-user-id], #participantsList2 [data-user-id]"
+      )
+      .forEach((item) => {
+        const status = statuses[item.getAttribute("data-user-id")] || "offline";
+        const nameEl = item.querySelector(
+          ".participant-name, .participant-label"
+        );
+        if (!nameEl) return;
+        let dot = nameEl.querySelector(".presence-dot");
+        if (!dot) {
+          dot = document.createElement("span");
+          nameEl.prepend(dot);
+        }
+        dot.className = `presence-dot ${status}`;
+        dot.title = labels[status];
+        item.classList.toggle("is-offline", status === "offline");
+      });
+  }
+
   cleanup() {
     if (this.autoSaveInterval) clearInterval(this.autoSaveInterval);
   }
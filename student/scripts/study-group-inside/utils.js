@@ -1,7 +1,13 @@
 // Shared utilities for StudyGroup (ES module) - updated upload and safeUrl validation
 import { CONFIG } from "./config.js";
 import { auth, db } from "./firebase-init.js";
-import { postFormWithAuth } from "../apiClient.js";
+import { uploadFormWithAuth } from "../apiClient.js";
+
+export { toMillis } from "../timestamps.js";
+
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
 /* Toast helpers (unchanged) */
 export function showToast(message, type = "success") {
@@ -69,6 +75,31 @@ export function getFileIcon(ext) {
     case "xls":
     case "xlsx":
       return "bi bi-file-earmark-spreadsheet text-success";
+    case "mp3":
+    case "wav":
+    case "ogg":
+    case "m4a":
+      return "bi bi-file-earmark-music text-info";
+    case "mp4":
+    case "webm":
+    case "mov":
+      return "bi bi-file-earmark-play text-info";
+    case "txt":
+    case "md":
+    case "csv":
+      return "bi bi-file-earmark-text text-secondary";
+    case "js":
+    case "ts":
+    case "py":
+    case "java":
+    case "c":
+    case "cpp":
+    case "cs":
+    case "html":
+    case "css":
+    case "json":
+    case "sql":
+      return "bi bi-file-earmark-code text-secondary";
     default:
       return "bi bi-file-earmark text-secondary";
   }
@@ -95,8 +126,10 @@ export function isSafeUrl(url) {
 }
 
 /* Upload helper: POST to backend which stores in Supabase and returns {url, filename}
-   Uses centralized postFormWithAuth to attach token and apply timeouts/retries. */
-export async function uploadFileToBackend(roomId, file) {
+   Uses apiClient.uploadFormWithAuth so callers can pass onProgress(fraction)
+   and an AbortSignal to cancel. */
+export async function uploadFileToBackend(roomId, file, opts = {}) {
+  const { onProgress, signal } = opts;
   if (!file) throw new Error("No file provided");
   if (!roomId) throw new Error("Missing roomId");
   if (file.size > CONFIG.clientMaxFileSizeBytes) {
@@ -111,8 +144,16 @@ export async function uploadFileToBackend(roomId, file) {
 
   const uploadPath = `/api/uploads/room-file`;
   try {
-    // uses apiClient.postFormWithAuth which attaches token safely and doesn't set Content-Type
-    const res = await postFormWithAuth(uploadPath, fd, { timeoutMs: 60000 });
+    // attaches the token safely and doesn't set Content-Type
+    const res = await uploadFormWithAuth(uploadPath, fd, {
+      // time out on a stalled connection, not on a slow but moving upload
+      stallTimeoutMs: 60 * 1000,
+      signal,
+      onProgress:
+        typeof onProgress === "function"
+          ? (loaded, total) => onProgress(total ? loaded / total : 0)
+          : undefined,
+    });
     // Validate returned URL
     if (res && res.url && !isSafeUrl(res.url)) {
       throw new Error("Upload returned an unsafe URL");
@@ -124,6 +165,50 @@ export async function uploadFileToBackend(roomId, file) {
   }
 }
 
+/* Downscale a photo so its longest side is at most maxDimension before upload.
+   GIFs (animation) and SVGs are left alone, and the original is returned
+   whenever the re-encoded file would not be smaller. */
+export async function downscaleImage(file, opts = {}) {
+  const { maxDimension = 1920, quality = 0.85 } = opts;
+  if (!file || !/^image\/(jpeg|png|webp)$/.test(file.type)) return file;
+  if (typeof createImageBitmap !== "function") return file;
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (e) {
+    return file; // not decodable here; upload as-is
+  }
+  try {
+    const scale = Math.min(
+      1,
+      maxDimension / Math.max(bitmap.width, bitmap.height)
+    );
+    if (scale === 1 && file.size < 1024 * 1024) return file;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas
+      .getContext("2d")
+      .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    // PNG keeps its transparency; everything else becomes JPEG
+    const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, type, quality)
+    );
+    if (!blob || blob.size >= file.size) return file;
+    const name =
+      type === "image/jpeg"
+        ? file.name.replace(/\.(png|webp)$/i, ".jpg")
+        : file.name;
+    return new File([blob], name, { type, lastModified: Date.now() });
+  } finally {
+    if (bitmap && typeof bitmap.close === "function") bitmap.close();
+  }
+}
+
 export const DEFAULTS = {
   MAX_FILE_BYTES: CONFIG.clientMaxFileSizeBytes || 10 * 1024 * 1024,
 };
@@ -204,6 +204,9 @@ export class VideoManager {
           showScreenSharingButton: true,
           showTextChat: false, // Use your own chat
           showUserList: true,
+          // roles with muteInCall can switch off others' mic / camera
+          showTurnOffRemoteMicrophoneButton: this.roomManager.can("muteInCall"),
+          showTurnOffRemoteCameraButton: this.roomManager.can("muteInCall"),
           maxUsers: 100,
           layout: "Auto",
           showLayoutButton: true,
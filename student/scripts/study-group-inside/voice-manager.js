@@ -0,0 +1,425 @@
+// VoiceManager (ES module) - press-and-hold voice notes in the room chat
+// Holding #voiceRecordBtn records with MediaRecorder; releasing sends, letting
+// go away from the button (or Escape) discards. A voice note is a regular file
+// message with type: "voice" and
+//   voice: { duration (seconds), waveform: [0..1, ...] }
+// sent through ChatManager.sendVoiceNote, so it queues / uploads like any
+// other attachment. The waveform is sampled while recording because webm
+// recordings often report no duration or peaks until fully downloaded.
+
+import { escapeHtml, showToast } from "./utils.js";
+
+const MIN_DURATION_MS = 1000;
+const MAX_DURATION_MS = 5 * 60 * 1000;
+const WAVEFORM_BARS = 40;
+const LEVEL_SAMPLE_MS = 50;
+const SPEEDS = [1, 1.5, 2];
+// first one the browser can record wins
+const MIME_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+];
+
+function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+export class VoiceManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this._recording = null; // { stream, recorder, chunks, levels, ... }
+    this._audio = null; // single shared player, one note plays at a time
+    this._currentId = null;
+    this._currentDuration = 0; // stored duration of the loaded note
+    this.speed = Number(localStorage.getItem("voiceNoteSpeed")) || 1;
+    if (!SPEEDS.includes(this.speed)) this.speed = 1;
+  }
+
+  isSupported() {
+    return (
+      !!navigator.mediaDevices &&
+      typeof navigator.mediaDevices.getUserMedia === "function" &&
+      typeof window.MediaRecorder === "function"
+    );
+  }
+
+  init() {
+    const btn = document.getElementById("voiceRecordBtn");
+    if (!btn) return;
+    if (!this.isSupported()) {
+      btn.hidden = true;
+      return;
+    }
+
+    btn.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      btn.setPointerCapture(e.pointerId);
+      this.startRecording();
+    });
+    btn.addEventListener("pointermove", (e) => {
+      if (this._recording) this._setCancelHint(!this._isOver(btn, e));
+    });
+    btn.addEventListener("pointerup", (e) =>
+      this.stopRecording(this._isOver(btn, e))
+    );
+    btn.addEventListener("pointercancel", () => this.stopRecording(false));
+    btn.addEventListener("contextmenu", (e) => e.preventDefault());
+
+    // keyboard: hold Space / Enter on the focused button
+    btn.addEventListener("keydown", (e) => {
+      if ((e.key === " " || e.key === "Enter") && !e.repeat) {
+        e.preventDefault();
+        this.startRecording();
+      }
+    });
+    btn.addEventListener("keyup", (e) => {
+      if (e.key === " " || e.key === "Enter") this.stopRecording(true);
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this._recording) this.stopRecording(false);
+    });
+  }
+
+  // ===== RECORDING =====
+
+  async startRecording() {
+    if (this._recording) return;
+    const rec = {
+      stopped: false,
+      send: false,
+      chunks: [],
+      levels: [],
+      startedAt: 0,
+    };
+    this._recording = rec;
+
+    try {
+      rec.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error("Microphone unavailable:", err);
+      this._recording = null;
+      showToast(
+        err && err.name === "NotAllowedError"
+          ? "Microphone access was blocked. Allow it in your browser to record voice notes."
+          : "Couldn't access a microphone",
+        "error"
+      );
+      return;
+    }
+    // released while the permission prompt / device was still opening
+    if (rec.stopped) {
+      this._release(rec);
+      this._recording = null;
+      showToast("Hold the microphone button to record", "info");
+      return;
+    }
+
+    const mimeType = MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+    try {
+      rec.recorder = new MediaRecorder(
+        rec.stream,
+        mimeType ? { mimeType } : undefined
+      );
+    } catch (err) {
+      console.error("MediaRecorder failed to start:", err);
+      this._release(rec);
+      this._recording = null;
+      showToast("Voice recording isn't supported in this browser", "error");
+      return;
+    }
+    rec.recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) rec.chunks.push(e.data);
+    };
+    rec.recorder.onstop = () => this._finishRecording(rec);
+
+    this._showRecordingUi(true);
+    this._startLevelMeter(rec);
+    rec.startedAt = Date.now();
+    rec.recorder.start(250);
+    rec.ticker = setInterval(() => {
+      const elapsed = Date.now() - rec.startedAt;
+      const label = document.querySelector("#voiceRecording .voice-rec-time");
+      if (label) label.textContent = formatDuration(elapsed / 1000);
+      if (elapsed >= MAX_DURATION_MS) {
+        showToast("Voice notes are limited to 5 minutes", "info");
+        this.stopRecording(true);
+      }
+    }, 200);
+  }
+
+  stopRecording(send = true) {
+    const rec = this._recording;
+    if (!rec || rec.stopped) return;
+    rec.stopped = true;
+    rec.send = send;
+    rec.duration = rec.startedAt ? Date.now() - rec.startedAt : 0;
+    // not started yet: startRecording() cleans up once the stream arrives
+    if (rec.recorder && rec.recorder.state !== "inactive") rec.recorder.stop();
+  }
+
+  async _finishRecording(rec) {
+    this._release(rec);
+    this._showRecordingUi(false);
+    if (this._recording === rec) this._recording = null;
+
+    if (!rec.send) {
+      showToast("Voice note discarded", "info");
+      return;
+    }
+    if (rec.duration < MIN_DURATION_MS) {
+      showToast("Hold the microphone button to record", "info");
+      return;
+    }
+    const blob = new Blob(rec.chunks, {
+      type: rec.recorder.mimeType || rec.chunks[0]?.type || "audio/webm",
+    });
+    if (blob.size === 0) {
+      showToast("Nothing was recorded. Check your microphone.", "warning");
+      return;
+    }
+    await this.chatManager.sendVoiceNote(blob, {
+      duration: Math.round(rec.duration / 100) / 10,
+      waveform: this._buildWaveform(rec.levels),
+    });
+  }
+
+  // Peak level every LEVEL_SAMPLE_MS from an AnalyserNode on the mic stream
+  _startLevelMeter(rec) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    try {
+      rec.audioContext = new Ctx();
+      const analyser = rec.audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      rec.audioContext.createMediaStreamSource(rec.stream).connect(analyser);
+      const data = new Uint8Array(analyser.fftSize);
+      const meter = document.querySelector("#voiceRecording .voice-rec-level");
+      rec.levelTimer = setInterval(() => {
+        analyser.getByteTimeDomainData(data);
+        let peak = 0;
+        for (const v of data) peak = Math.max(peak, Math.abs(v - 128) / 128);
+        rec.levels.push(peak);
+        if (meter) meter.style.transform = `scaleX(${Math.min(1, peak * 2)})`;
+      }, LEVEL_SAMPLE_MS);
+    } catch (err) {
+      console.debug("Level meter unavailable:", err);
+    }
+  }
+
+  // Downsample to WAVEFORM_BARS peaks, normalized to the loudest one
+  _buildWaveform(levels) {
+    if (levels.length === 0) return [];
+    const bars = [];
+    const step = levels.length / WAVEFORM_BARS;
+    for (let i = 0; i < WAVEFORM_BARS; i++) {
+      const slice = levels.slice(
+        Math.floor(i * step),
+        Math.max(Math.floor(i * step) + 1, Math.floor((i + 1) * step))
+      );
+      bars.push(slice.length ? Math.max(...slice) : 0);
+    }
+    const max = Math.max(0.05, ...bars);
+    return bars.map((v) => Math.round((v / max) * 100) / 100);
+  }
+
+  _release(rec) {
+    if (rec.ticker) clearInterval(rec.ticker);
+    if (rec.levelTimer) clearInterval(rec.levelTimer);
+    rec.ticker = rec.levelTimer = null;
+    if (rec.audioContext) rec.audioContext.close().catch(() => {});
+    rec.audioContext = null;
+    if (rec.stream) rec.stream.getTracks().forEach((t) => t.stop());
+  }
+
+  _isOver(btn, e) {
+    // a little slack so a shaky thumb doesn't discard the note
+    const r = btn.getBoundingClientRect();
+    const slack = 40;
+    return (
+      e.clientX >= r.left - slack &&
+      e.clientX <= r.right + slack &&
+      e.clientY >= r.top - slack &&
+      e.clientY <= r.bottom + slack
+    );
+  }
+
+  _showRecordingUi(show) {
+    const box = document.getElementById("voiceRecording");
+    document
+      .getElementById("voiceRecordBtn")
+      ?.classList.toggle("recording", show);
+    if (!box) return;
+    box.hidden = !show;
+    box.classList.remove("cancel");
+    if (show) {
+      box.innerHTML = `<span class="voice-rec-dot"></span><span class="voice-rec-time">0:00</span><span class="voice-rec-meter"><span class="voice-rec-level"></span></span><span class="voice-rec-hint">Release to send · slide away or press Esc to cancel</span>`;
+    } else {
+      box.innerHTML = "";
+    }
+  }
+
+  _setCancelHint(cancel) {
+    document
+      .getElementById("voiceRecording")
+      ?.classList.toggle("cancel", cancel);
+  }
+
+  // ===== PLAYBACK =====
+
+  render(msg) {
+    const id = escapeHtml(msg.id);
+    const voice = msg.voice || {};
+    const active = this._currentId === msg.id && this._audio;
+    const playing = active && !this._audio.paused;
+    const progress = active ? this._progress() : 0;
+    const waveform =
+      Array.isArray(voice.waveform) && voice.waveform.length
+        ? voice.waveform
+        : new Array(WAVEFORM_BARS).fill(0.3);
+    const played = Math.floor(progress * waveform.length);
+    const bars = waveform
+      .map(
+        (v, i) =>
+          `<span class="${i < played ? "played" : ""}" style="height:${Math.max(
+            12,
+            Math.round(Number(v) * 100) || 0
+          )}%"></span>`
+      )
+      .join("");
+    const time = active ? this._audio.currentTime : voice.duration;
+
+    return `<div class="voice-note ${
+      playing ? "playing" : ""
+    }" data-voice-id="${id}"><button class="voice-play-btn" onclick="voiceModule.toggle('${id}')" title="${
+      playing ? "Pause" : "Play"
+    }"><i class="bi bi-${
+      playing ? "pause-fill" : "play-fill"
+    }"></i></button><div class="voice-waveform" onclick="voiceModule.seek('${id}', event)">${bars}</div><span class="voice-time">${formatDuration(
+      time
+    )}</span><button class="voice-speed-btn" onclick="voiceModule.cycleSpeed()" title="Playback speed">${
+      this.speed
+    }×</button></div>`;
+  }
+
+  toggle(messageId) {
+    if (this._currentId === messageId && this._audio) {
+      if (this._audio.paused) this._play();
+      else this._audio.pause();
+      return;
+    }
+    this._load(messageId);
+    this._play();
+  }
+
+  // Click on the waveform jumps there (and starts playback)
+  seek(messageId, event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(
+      1,
+      Math.max(0, (event.clientX - rect.left) / (rect.width || 1))
+    );
+    if (this._currentId !== messageId || !this._audio) {
+      if (!this._load(messageId)) return;
+    }
+    const duration = this._duration();
+    if (duration) this._audio.currentTime = fraction * duration;
+    this._play();
+  }
+
+  cycleSpeed() {
+    this.speed = SPEEDS[(SPEEDS.indexOf(this.speed) + 1) % SPEEDS.length];
+    localStorage.setItem("voiceNoteSpeed", String(this.speed));
+    if (this._audio) this._audio.playbackRate = this.speed;
+    document
+      .querySelectorAll(".voice-speed-btn")
+      .forEach((btn) => (btn.textContent = `${this.speed}×`));
+  }
+
+  _load(messageId) {
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    if (!msg || !msg.fileUrl) {
+      showToast("That voice note is no longer available", "warning");
+      return false;
+    }
+    this._stopPlayback();
+    const audio = new Audio(msg.fileUrl);
+    audio.preload = "auto";
+    audio.playbackRate = this.speed;
+    // events from a player that was already replaced are ignored
+    const sync = () => audio === this._audio && this._sync();
+    audio.addEventListener("timeupdate", sync);
+    audio.addEventListener("play", sync);
+    audio.addEventListener("pause", sync);
+    audio.addEventListener("ended", () => {
+      if (audio === this._audio) this._stopPlayback();
+    });
+    audio.addEventListener("error", () => {
+      if (audio !== this._audio) return;
+      showToast("Couldn't play that voice note", "error");
+      this._stopPlayback();
+    });
+    this._audio = audio;
+    this._currentId = messageId;
+    this._currentDuration = Number(msg.voice && msg.voice.duration) || 0;
+    return true;
+  }
+
+  _play() {
+    if (!this._audio) return;
+    this._audio.playbackRate = this.speed;
+    this._audio.play().catch((err) => {
+      if (err && err.name === "AbortError") return;
+      console.error("Voice note playback failed:", err);
+    });
+  }
+
+  _stopPlayback() {
+    const audio = this._audio;
+    const id = this._currentId;
+    this._audio = null;
+    this._currentId = null;
+    if (audio) {
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+    }
+    if (id) this._sync(id);
+  }
+
+  // The stored duration wins; recorded webm files often report Infinity
+  _duration() {
+    const d = this._audio && this._audio.duration;
+    return this._currentDuration || (Number.isFinite(d) ? d : 0);
+  }
+
+  _progress() {
+    const duration = this._duration();
+    if (!duration || !this._audio) return 0;
+    return Math.min(1, this._audio.currentTime / duration);
+  }
+
+  // Patch the rendered player(s) in place instead of re-rendering the chat
+  _sync(messageId = this._currentId) {
+    if (!messageId) return;
+    const msg = this.chatManager.messages.find((m) => m.id === messageId);
+    if (!msg) return;
+    document
+      .querySelectorAll(`.voice-note[data-voice-id="${CSS.escape(messageId)}"]`)
+      .forEach((el) => {
+        el.outerHTML = this.render(msg);
+      });
+  }
+
+  cleanup() {
+    this.stopRecording(false);
+    if (this._recording) this._release(this._recording);
+    this._stopPlayback();
+  }
+}
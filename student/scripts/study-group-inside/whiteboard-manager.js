@@ -0,0 +1,1073 @@
+// WhiteboardManager (ES module) - shared whiteboard for the room
+// Pages live at studyGroups/{roomId}/whiteboardPages/{pageId}:
+//   { order, createdBy, createdAt }
+// and every stroke, shape or text is its own doc in the page's elements
+// subcollection, so participants never overwrite each other's drawing:
+//   { type: "pen" | "line" | "arrow" | "rect" | "ellipse" | "text",
+//     color, width, points: [x, y, ...] (pen), x1, y1, x2, y2 (shapes),
+//     x, y, text, size (text), authorUid, z }
+// Coordinates are in board units (BOARD_W x BOARD_H) and scaled to fit the
+// panel. Undo / redo is per user and replays adds and removals of whole
+// elements. Until a first page exists, drawing goes to the "main" page.
+
+import { db } from "./firebase-init.js";
+import { escapeHtml, showToast } from "./utils.js";
+
+const BOARD_W = 1600;
+const BOARD_H = 1000;
+const DEFAULT_PAGE = "main";
+const COLORS = ["#212121", "#e53935", "#1e88e5", "#43a047", "#fb8c00"];
+const WIDTHS = [2, 5, 10];
+const TEXT_SIZES = { 2: 24, 5: 36, 10: 56 }; // by selected width
+const ERASER_RADIUS = 10;
+const MAX_POINTS = 2000;
+const UNDO_LIMIT = 50;
+const BATCH_SIZE = 400;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+function distToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const t = len
+    ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len))
+    : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Outline of an element as a polyline, for hit testing
+function outlineOf(el) {
+  switch (el.type) {
+    case "pen":
+      return el.points || [];
+    case "line":
+    case "arrow":
+      return [el.x1, el.y1, el.x2, el.y2];
+    case "rect":
+      return [
+        el.x1,
+        el.y1,
+        el.x2,
+        el.y1,
+        el.x2,
+        el.y2,
+        el.x1,
+        el.y2,
+        el.x1,
+        el.y1,
+      ];
+    case "ellipse": {
+      const cx = (el.x1 + el.x2) / 2;
+      const cy = (el.y1 + el.y2) / 2;
+      const rx = Math.abs(el.x2 - el.x1) / 2;
+      const ry = Math.abs(el.y2 - el.y1) / 2;
+      const pts = [];
+      for (let i = 0; i <= 32; i++) {
+        const a = (i / 32) * Math.PI * 2;
+        pts.push(cx + rx * Math.cos(a), cy + ry * Math.sin(a));
+      }
+      return pts;
+    }
+    default:
+      return [];
+  }
+}
+
+// Arrow head as [x1, y1, tip x, tip y, x2, y2]
+function arrowHead(el) {
+  const angle = Math.atan2(el.y2 - el.y1, el.x2 - el.x1);
+  const size = Math.max(14, el.width * 4);
+  return [
+    el.x2 - size * Math.cos(angle - Math.PI / 7),
+    el.y2 - size * Math.sin(angle - Math.PI / 7),
+    el.x2,
+    el.y2,
+    el.x2 - size * Math.cos(angle + Math.PI / 7),
+    el.y2 - size * Math.sin(angle + Math.PI / 7),
+  ];
+}
+
+/**
+ * Draws one element onto a 2D context in board units.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} el
+ */
+export function drawElement(ctx, el) {
+  ctx.strokeStyle = el.color;
+  ctx.fillStyle = el.color;
+  ctx.lineWidth = el.width;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.beginPath();
+  switch (el.type) {
+    case "pen": {
+      const p = el.points || [];
+      if (p.length < 4) {
+        ctx.arc(p[0], p[1], el.width / 2, 0, Math.PI * 2);
+        ctx.fill();
+        return;
+      }
+      // quadratic curves through segment midpoints smooth the stroke
+      ctx.moveTo(p[0], p[1]);
+      for (let i = 2; i < p.length - 2; i += 2) {
+        ctx.quadraticCurveTo(
+          p[i],
+          p[i + 1],
+          (p[i] + p[i + 2]) / 2,
+          (p[i + 1] + p[i + 3]) / 2
+        );
+      }
+      ctx.lineTo(p[p.length - 2], p[p.length - 1]);
+      ctx.stroke();
+      return;
+    }
+    case "line":
+      ctx.moveTo(el.x1, el.y1);
+      ctx.lineTo(el.x2, el.y2);
+      ctx.stroke();
+      return;
+    case "arrow": {
+      const head = arrowHead(el);
+      ctx.moveTo(el.x1, el.y1);
+      ctx.lineTo(el.x2, el.y2);
+      ctx.moveTo(head[0], head[1]);
+      ctx.lineTo(head[2], head[3]);
+      ctx.lineTo(head[4], head[5]);
+      ctx.stroke();
+      return;
+    }
+    case "rect":
+      ctx.strokeRect(
+        Math.min(el.x1, el.x2),
+        Math.min(el.y1, el.y2),
+        Math.abs(el.x2 - el.x1),
+        Math.abs(el.y2 - el.y1)
+      );
+      return;
+    case "ellipse":
+      ctx.ellipse(
+        (el.x1 + el.x2) / 2,
+        (el.y1 + el.y2) / 2,
+        Math.abs(el.x2 - el.x1) / 2,
+        Math.abs(el.y2 - el.y1) / 2,
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+      return;
+    case "text":
+      ctx.font = `${el.size}px sans-serif`;
+      ctx.textBaseline = "top";
+      String(el.text || "")
+        .split("\n")
+        .forEach((line, i) =>
+          ctx.fillText(line, el.x, el.y + i * el.size * 1.25)
+        );
+      return;
+  }
+}
+
+/**
+ * SVG markup for a page of elements, in board units.
+ * @param {Array} elements
+ * @returns {string}
+ */
+export function elementsToSvg(elements) {
+  const stroke = (el) =>
+    `stroke="${escapeHtml(el.color)}" stroke-width="${
+      el.width
+    }" stroke-linecap="round" stroke-linejoin="round" fill="none"`;
+  const shapes = elements.map((el) => {
+    switch (el.type) {
+      case "pen": {
+        const p = el.points || [];
+        if (p.length < 4)
+          return `<circle cx="${p[0]}" cy="${p[1]}" r="${
+            el.width / 2
+          }" fill="${escapeHtml(el.color)}"/>`;
+        let d = `M${p[0]} ${p[1]}`;
+        for (let i = 2; i < p.length - 2; i += 2)
+          d += ` Q${p[i]} ${p[i + 1]} ${round((p[i] + p[i + 2]) / 2)} ${round(
+            (p[i + 1] + p[i + 3]) / 2
+          )}`;
+        d += ` L${p[p.length - 2]} ${p[p.length - 1]}`;
+        return `<path d="${d}" ${stroke(el)}/>`;
+      }
+      case "line":
+        return `<line x1="${el.x1}" y1="${el.y1}" x2="${el.x2}" y2="${
+          el.y2
+        }" ${stroke(el)}/>`;
+      case "arrow": {
+        const h = arrowHead(el).map(round);
+        return `<g ${stroke(el)}><line x1="${el.x1}" y1="${el.y1}" x2="${
+          el.x2
+        }" y2="${el.y2}"/><polyline points="${h[0]},${h[1]} ${h[2]},${h[3]} ${
+          h[4]
+        },${h[5]}"/></g>`;
+      }
+      case "rect":
+        return `<rect x="${Math.min(el.x1, el.x2)}" y="${Math.min(
+          el.y1,
+          el.y2
+        )}" width="${round(Math.abs(el.x2 - el.x1))}" height="${round(
+          Math.abs(el.y2 - el.y1)
+        )}" ${stroke(el)}/>`;
+      case "ellipse":
+        return `<ellipse cx="${round((el.x1 + el.x2) / 2)}" cy="${round(
+          (el.y1 + el.y2) / 2
+        )}" rx="${round(Math.abs(el.x2 - el.x1) / 2)}" ry="${round(
+          Math.abs(el.y2 - el.y1) / 2
+        )}" ${stroke(el)}/>`;
+      case "text":
+        return `<text font-family="sans-serif" font-size="${
+          el.size
+        }" fill="${escapeHtml(el.color)}" dominant-baseline="hanging">${String(
+          el.text || ""
+        )
+          .split("\n")
+          .map(
+            (line, i) =>
+              `<tspan x="${el.x}" y="${round(el.y + i * el.size * 1.25)}">${
+                escapeHtml(line) || " "
+              }</tspan>`
+          )
+          .join("")}</text>`;
+      default:
+        return "";
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${BOARD_W}" height="${BOARD_H}" viewBox="0 0 ${BOARD_W} ${BOARD_H}"><rect width="100%" height="100%" fill="#ffffff"/>${shapes.join(
+    ""
+  )}</svg>`;
+}
+
+export class WhiteboardManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.pages = []; // [{ id, order, createdBy }]
+    this.pageId = DEFAULT_PAGE;
+    this.elements = new Map(); // id -> element on the current page
+    this.tool = "pen";
+    this.color = COLORS[0];
+    this.width = WIDTHS[1];
+
+    this.canvas = null;
+    this.ctx = null;
+    this.scale = 1;
+    this._draft = null; // element being drawn
+    this._erasing = null; // ids picked up by the eraser this drag
+    this._undo = [];
+    this._redo = [];
+    this._textInput = null;
+    this._redrawQueued = false;
+    this._resizeObserver = null;
+    this.unsubscribePages = null;
+    this.unsubscribeElements = null;
+    this._onKeyDown = (e) => this._handleKeyDown(e);
+  }
+
+  init() {
+    if (!this._getRoomId()) return;
+    this.canvas = document.getElementById("whiteboardCanvas");
+    if (!this.canvas) return;
+    this.ctx = this.canvas.getContext("2d");
+
+    document
+      .getElementById("whiteboardToolbar")
+      ?.addEventListener("click", (e) => {
+        const btn = e.target.closest("button");
+        if (!btn || btn.disabled) return;
+        if (btn.dataset.wbTool) this.setTool(btn.dataset.wbTool);
+        else if (btn.dataset.wbColor) this.setColor(btn.dataset.wbColor);
+        else if (btn.dataset.wbWidth)
+          this.setWidth(Number(btn.dataset.wbWidth));
+        else this._runAction(btn.dataset.wbAction);
+      });
+    document
+      .getElementById("whiteboardPages")
+      ?.addEventListener("click", (e) => {
+        const btn = e.target.closest("button");
+        if (!btn) return;
+        if (btn.dataset.wbPage) this.showPage(btn.dataset.wbPage);
+        else this._runAction(btn.dataset.wbAction);
+      });
+
+    this.canvas.addEventListener("pointerdown", (e) => this._onPointerDown(e));
+    this.canvas.addEventListener("pointermove", (e) => this._onPointerMove(e));
+    this.canvas.addEventListener("pointerup", (e) => this._onPointerUp(e));
+    this.canvas.addEventListener("pointercancel", () => this._cancelDraft());
+    document.addEventListener("keydown", this._onKeyDown);
+
+    const stage = document.getElementById("whiteboardStage");
+    if (stage && typeof ResizeObserver === "function") {
+      this._resizeObserver = new ResizeObserver(() => this._resize());
+      this._resizeObserver.observe(stage);
+    }
+
+    this._renderToolbar();
+    this._renderPages();
+    this._subscribePages();
+    this._subscribeElements();
+  }
+
+  isParticipant() {
+    const uid = this.userAuth.currentUser && this.userAuth.currentUser.uid;
+    return (
+      !!uid && (this.roomManager.participants || []).some((p) => p.id === uid)
+    );
+  }
+
+  canEdit() {
+    return this.isParticipant() && !this.roomManager.isRoomDeactivated;
+  }
+
+  _pagesRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("whiteboardPages");
+  }
+
+  _elementsRef(pageId = this.pageId) {
+    return this._pagesRef().doc(pageId).collection("elements");
+  }
+
+  _runAction(action) {
+    switch (action) {
+      case "undo":
+        return this.undo();
+      case "redo":
+        return this.redo();
+      case "clear":
+        return this.clearPage();
+      case "png":
+        return this.exportPng();
+      case "svg":
+        return this.exportSvg();
+      case "post":
+        return this.postToChat();
+      case "add-page":
+        return this.addPage();
+      case "delete-page":
+        return this.deletePage();
+    }
+  }
+
+  // ===== TOOLS =====
+
+  setTool(tool) {
+    this.tool = tool;
+    this._commitText();
+    this._renderToolbar();
+  }
+
+  setColor(color) {
+    if (!COLORS.includes(color)) return;
+    this.color = color;
+    if (this.tool === "eraser") this.tool = "pen";
+    this._renderToolbar();
+  }
+
+  setWidth(width) {
+    if (!WIDTHS.includes(width)) return;
+    this.width = width;
+    this._renderToolbar();
+  }
+
+  _renderToolbar() {
+    const toolbar = document.getElementById("whiteboardToolbar");
+    if (!toolbar) return;
+    const editable = this.canEdit();
+    toolbar.querySelectorAll("[data-wb-tool]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.wbTool === this.tool);
+      btn.disabled = !editable;
+    });
+    toolbar.querySelectorAll("[data-wb-color]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.wbColor === this.color);
+      btn.disabled = !editable;
+    });
+    toolbar.querySelectorAll("[data-wb-width]").forEach((btn) => {
+      btn.classList.toggle(
+        "active",
+        Number(btn.dataset.wbWidth) === this.width
+      );
+      btn.disabled = !editable;
+    });
+    const undo = toolbar.querySelector('[data-wb-action="undo"]');
+    const redo = toolbar.querySelector('[data-wb-action="redo"]');
+    const clear = toolbar.querySelector('[data-wb-action="clear"]');
+    const post = toolbar.querySelector('[data-wb-action="post"]');
+    if (undo) undo.disabled = !editable || this._undo.length === 0;
+    if (redo) redo.disabled = !editable || this._redo.length === 0;
+    if (clear) clear.disabled = !editable || !this.roomManager.canModerate();
+    if (post) post.disabled = !editable;
+    if (this.canvas) this.canvas.dataset.tool = editable ? this.tool : "none";
+  }
+
+  // ===== PAGES =====
+
+  _subscribePages() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const subscribe = () => {
+      this.unsubscribePages = this._pagesRef()
+        .orderBy("order")
+        .onSnapshot(
+          (snap) => {
+            this.pages = snap.docs.map((doc) => ({
+              id: doc.id,
+              ...doc.data(),
+            }));
+            // the page we were on was deleted by someone else
+            if (
+              this.pages.length &&
+              !this.pages.some((p) => p.id === this.pageId)
+            )
+              this.showPage(this.pages[0].id);
+            this._renderPages();
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for whiteboard pages:", error);
+            try {
+              if (this.unsubscribePages) this.unsubscribePages();
+            } catch (e) {}
+            this.unsubscribePages = null;
+            setTimeout(() => {
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  _subscribeElements() {
+    let retryDelay = 1000,
+      maxDelay = 30000;
+    const pageId = this.pageId;
+    const subscribe = () => {
+      this.unsubscribeElements = this._elementsRef(pageId)
+        .orderBy("z")
+        .onSnapshot(
+          (snap) => {
+            if (pageId !== this.pageId) return;
+            this.elements = new Map(
+              snap.docs.map((doc) => [doc.id, { id: doc.id, ...doc.data() }])
+            );
+            this._scheduleRedraw();
+            retryDelay = 1000;
+          },
+          (error) => {
+            console.error("Error listening for whiteboard:", error);
+            try {
+              if (this.unsubscribeElements) this.unsubscribeElements();
+            } catch (e) {}
+            this.unsubscribeElements = null;
+            setTimeout(() => {
+              if (pageId !== this.pageId) return;
+              retryDelay = Math.min(maxDelay, retryDelay * 2);
+              subscribe();
+            }, retryDelay);
+          }
+        );
+    };
+    subscribe();
+  }
+
+  _pageList() {
+    return this.pages.length ? this.pages : [{ id: DEFAULT_PAGE, order: 0 }];
+  }
+
+  showPage(pageId) {
+    if (pageId === this.pageId) return;
+    this._commitText();
+    this._cancelDraft();
+    if (this.unsubscribeElements) this.unsubscribeElements();
+    this.unsubscribeElements = null;
+    this.pageId = pageId;
+    this.elements = new Map();
+    this._scheduleRedraw();
+    this._subscribeElements();
+    this._renderPages();
+  }
+
+  _renderPages() {
+    const box = document.getElementById("whiteboardPages");
+    if (!box) return;
+    const pages = this._pageList();
+    const canDelete = this._canDeletePage(
+      pages.find((p) => p.id === this.pageId)
+    );
+    box.innerHTML = `${pages
+      .map(
+        (p, i) =>
+          `<button class="whiteboard-page${
+            p.id === this.pageId ? " active" : ""
+          }" data-wb-page="${escapeHtml(p.id)}">Page ${i + 1}</button>`
+      )
+      .join("")}${
+      this.canEdit()
+        ? `<button class="whiteboard-page-action" data-wb-action="add-page" title="Add page"><i class="bi bi-plus-lg"></i></button>`
+        : ""
+    }${
+      canDelete
+        ? `<button class="whiteboard-page-action" data-wb-action="delete-page" title="Delete this page"><i class="bi bi-trash"></i></button>`
+        : ""
+    }`;
+  }
+
+  // Deleting can't be undone: page creator or a moderator only
+  _canDeletePage(page) {
+    return (
+      !!page &&
+      this.canEdit() &&
+      this.pages.length > 1 &&
+      (this.roomManager.canModerate() ||
+        page.createdBy === this.userAuth.currentUser.uid)
+    );
+  }
+
+  // The page doc is written lazily, with the first element drawn on it
+  _ensurePageDoc(pageId) {
+    if (this.pages.some((p) => p.id === pageId)) return;
+    this._pagesRef()
+      .doc(pageId)
+      .set(
+        {
+          order: 0,
+          createdBy: this.userAuth.currentUser.uid,
+          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      )
+      .catch((err) => console.debug("Creating whiteboard page failed:", err));
+  }
+
+  async addPage() {
+    if (!this.canEdit()) return;
+    const pages = this._pageList();
+    try {
+      // keep the implicit first page in the list
+      this._ensurePageDoc(pages[0].id);
+      const ref = this._pagesRef().doc();
+      await ref.set({
+        order: Math.max(...pages.map((p) => p.order || 0)) + 1,
+        createdBy: this.userAuth.currentUser.uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      this.showPage(ref.id);
+    } catch (err) {
+      console.error("Failed to add whiteboard page:", err);
+      showToast("Failed to add a page", "error");
+    }
+  }
+
+  async deletePage() {
+    const index = this.pages.findIndex((p) => p.id === this.pageId);
+    if (index === -1 || !this._canDeletePage(this.pages[index])) return;
+    if (!confirm(`Delete page ${index + 1} of the whiteboard for everyone?`))
+      return;
+    const pageId = this.pageId;
+    const next = this.pages[index === 0 ? 1 : index - 1].id;
+    try {
+      await this._deleteAll(this._elementsRef(pageId));
+      await this._pagesRef().doc(pageId).delete();
+      this._undo = this._undo.filter((op) => op.pageId !== pageId);
+      this._redo = this._redo.filter((op) => op.pageId !== pageId);
+      this.showPage(next);
+      this._renderToolbar();
+    } catch (err) {
+      console.error("Failed to delete whiteboard page:", err);
+      showToast("Failed to delete the page", "error");
+    }
+  }
+
+  async _deleteAll(ref) {
+    const snap = await ref.get();
+    for (let i = 0; i < snap.docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      snap.docs
+        .slice(i, i + BATCH_SIZE)
+        .forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  }
+
+  // ===== ELEMENTS =====
+
+  // op: { pageId, add: [elements], remove: [elements] }
+  // Shown locally right away and written in batches of BATCH_SIZE (a clear
+  // can touch thousands of strokes). If a batch fails, the ones already
+  // written and the local change are rolled back. Resolves to true if saved.
+  async _apply(op) {
+    this._applyLocally(op);
+    if (op.add.length) this._ensurePageDoc(op.pageId);
+    const written = [];
+    try {
+      for (const chunk of this._chunks(op)) {
+        await this._commit(chunk);
+        written.push(chunk);
+      }
+      return true;
+    } catch (err) {
+      console.error("Whiteboard update failed:", err);
+      showToast("Whiteboard change couldn't be saved", "error");
+      for (const chunk of written.reverse()) {
+        await this._commit(this._inverse(chunk)).catch((e) =>
+          console.debug("Whiteboard rollback failed:", e)
+        );
+      }
+      this._applyLocally(this._inverse(op));
+      return false;
+    }
+  }
+
+  _applyLocally(op) {
+    if (op.pageId !== this.pageId) return;
+    op.remove.forEach((el) => this.elements.delete(el.id));
+    op.add.forEach((el) => this.elements.set(el.id, el));
+    this._scheduleRedraw();
+  }
+
+  _inverse(op) {
+    return { pageId: op.pageId, add: op.remove, remove: op.add };
+  }
+
+  // Split an op into ops of at most BATCH_SIZE writes, removals first
+  _chunks(op) {
+    const writes = [
+      ...op.remove.map((el) => ({ remove: el })),
+      ...op.add.map((el) => ({ add: el })),
+    ];
+    const chunks = [];
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+      const slice = writes.slice(i, i + BATCH_SIZE);
+      chunks.push({
+        pageId: op.pageId,
+        remove: slice.filter((w) => w.remove).map((w) => w.remove),
+        add: slice.filter((w) => w.add).map((w) => w.add),
+      });
+    }
+    return chunks;
+  }
+
+  _commit(op) {
+    const ref = this._elementsRef(op.pageId);
+    const batch = db.batch();
+    op.remove.forEach((el) => batch.delete(ref.doc(el.id)));
+    op.add.forEach((el) => {
+      const { id, ...data } = el;
+      batch.set(ref.doc(id), data);
+    });
+    return batch.commit();
+  }
+
+  async _record(op) {
+    this._undo.push(op);
+    if (this._undo.length > UNDO_LIMIT) this._undo.shift();
+    this._redo = [];
+    this._renderToolbar();
+    if (!(await this._apply(op))) this._dropFrom(this._undo, op);
+  }
+
+  async undo() {
+    const op = this._undo.pop();
+    if (!op) return;
+    this._redo.push(op);
+    this._renderToolbar();
+    if (!(await this._apply(this._inverse(op)))) {
+      // still applied: it stays undoable
+      this._dropFrom(this._redo, op);
+      this._undo.push(op);
+      this._renderToolbar();
+    }
+  }
+
+  async redo() {
+    const op = this._redo.pop();
+    if (!op) return;
+    this._undo.push(op);
+    this._renderToolbar();
+    if (!(await this._apply(op))) {
+      this._dropFrom(this._undo, op);
+      this._redo.push(op);
+      this._renderToolbar();
+    }
+  }
+
+  _dropFrom(stack, op) {
+    const i = stack.lastIndexOf(op);
+    if (i === -1) return;
+    stack.splice(i, 1);
+    this._renderToolbar();
+  }
+
+  async clearPage() {
+    if (!this.canEdit() || !this.roomManager.canModerate()) return;
+    const all = Array.from(this.elements.values());
+    if (all.length === 0) return;
+    if (!confirm("Clear this page for everyone? You can undo it afterwards."))
+      return;
+    await this._record({ pageId: this.pageId, add: [], remove: all });
+  }
+
+  _newElement(fields) {
+    return {
+      id: this._elementsRef().doc().id,
+      color: this.color,
+      width: this.width,
+      ...fields,
+      authorUid: this.userAuth.currentUser.uid,
+      z: Date.now(),
+    };
+  }
+
+  // ===== DRAWING =====
+
+  _resize() {
+    const stage = document.getElementById("whiteboardStage");
+    if (!stage || !this.canvas) return;
+    const w = stage.clientWidth;
+    const h = stage.clientHeight;
+    if (!w || !h) return;
+    this.scale = Math.min(w / BOARD_W, h / BOARD_H);
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.style.width = `${BOARD_W * this.scale}px`;
+    this.canvas.style.height = `${BOARD_H * this.scale}px`;
+    this.canvas.width = Math.round(BOARD_W * this.scale * ratio);
+    this.canvas.height = Math.round(BOARD_H * this.scale * ratio);
+    this._redraw();
+  }
+
+  _scheduleRedraw() {
+    if (this._redrawQueued) return;
+    this._redrawQueued = true;
+    requestAnimationFrame(() => {
+      this._redrawQueued = false;
+      this._redraw();
+    });
+  }
+
+  _redraw() {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    const ratio = this.canvas.width / BOARD_W;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    for (const el of this._sorted()) {
+      if (this._erasing && this._erasing.has(el.id)) continue;
+      drawElement(ctx, el);
+    }
+    if (this._draft) drawElement(ctx, this._draft);
+  }
+
+  _sorted() {
+    return Array.from(this.elements.values()).sort(
+      (a, b) => a.z - b.z || (a.id < b.id ? -1 : 1)
+    );
+  }
+
+  _point(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: round(
+        Math.max(0, Math.min(BOARD_W, (e.clientX - rect.left) / this.scale))
+      ),
+      y: round(
+        Math.max(0, Math.min(BOARD_H, (e.clientY - rect.top) / this.scale))
+      ),
+    };
+  }
+
+  _onPointerDown(e) {
+    if (e.button !== 0 || !this.canEdit()) return;
+    this._commitText();
+    const { x, y } = this._point(e);
+    if (this.tool === "text") {
+      e.preventDefault();
+      this._openTextInput(x, y);
+      return;
+    }
+    this.canvas.setPointerCapture(e.pointerId);
+    if (this.tool === "eraser") {
+      this._erasing = new Set();
+      this._eraseAt(x, y);
+    } else if (this.tool === "pen") {
+      this._draft = this._newElement({ type: "pen", points: [x, y] });
+    } else {
+      this._draft = this._newElement({
+        type: this.tool,
+        x1: x,
+        y1: y,
+        x2: x,
+        y2: y,
+      });
+    }
+    this._scheduleRedraw();
+  }
+
+  _onPointerMove(e) {
+    if (!this._draft && !this._erasing) return;
+    const { x, y } = this._point(e);
+    if (this._erasing) {
+      this._eraseAt(x, y);
+    } else if (this._draft.type === "pen") {
+      const p = this._draft.points;
+      const dx = x - p[p.length - 2];
+      const dy = y - p[p.length - 1];
+      if (dx * dx + dy * dy < 4 || p.length >= MAX_POINTS * 2) return;
+      p.push(x, y);
+    } else {
+      this._draft.x2 = x;
+      this._draft.y2 = y;
+    }
+    this._scheduleRedraw();
+  }
+
+  _onPointerUp() {
+    if (this._erasing) {
+      const removed = Array.from(this._erasing)
+        .map((id) => this.elements.get(id))
+        .filter(Boolean);
+      this._erasing = null;
+      if (removed.length)
+        this._record({ pageId: this.pageId, add: [], remove: removed });
+      else this._scheduleRedraw();
+      return;
+    }
+    const draft = this._draft;
+    this._draft = null;
+    if (!draft) return;
+    const tiny =
+      draft.type !== "pen" &&
+      Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) < 3;
+    if (tiny) {
+      this._scheduleRedraw();
+      return;
+    }
+    this._record({ pageId: this.pageId, add: [draft], remove: [] });
+  }
+
+  _cancelDraft() {
+    this._draft = null;
+    this._erasing = null;
+    this._scheduleRedraw();
+  }
+
+  _eraseAt(x, y) {
+    const r = ERASER_RADIUS / Math.max(this.scale, 0.25);
+    for (const el of this.elements.values()) {
+      if (this._erasing.has(el.id)) continue;
+      if (this._hits(el, x, y, r)) this._erasing.add(el.id);
+    }
+  }
+
+  _hits(el, x, y, r) {
+    if (el.type === "text") {
+      this.ctx.font = `${el.size}px sans-serif`;
+      const lines = String(el.text || "").split("\n");
+      const width = Math.max(
+        ...lines.map((l) => this.ctx.measureText(l).width)
+      );
+      const height = lines.length * el.size * 1.25;
+      return (
+        x >= el.x - r &&
+        x <= el.x + width + r &&
+        y >= el.y - r &&
+        y <= el.y + height + r
+      );
+    }
+    const p = outlineOf(el);
+    const reach = r + (el.width || 0) / 2;
+    if (p.length === 2) return Math.hypot(x - p[0], y - p[1]) <= reach;
+    for (let i = 0; i < p.length - 2; i += 2) {
+      if (distToSegment(x, y, p[i], p[i + 1], p[i + 2], p[i + 3]) <= reach)
+        return true;
+    }
+    return false;
+  }
+
+  // ===== TEXT =====
+
+  _openTextInput(x, y) {
+    const stage = document.getElementById("whiteboardStage");
+    if (!stage) return;
+    const size = TEXT_SIZES[this.width] || 36;
+    const input = document.createElement("textarea");
+    input.className = "whiteboard-text-input";
+    input.rows = 1;
+    input.placeholder = "Type, then Enter";
+    const canvasRect = this.canvas.getBoundingClientRect();
+    const stageRect = stage.getBoundingClientRect();
+    input.style.left = `${canvasRect.left - stageRect.left + x * this.scale}px`;
+    input.style.top = `${canvasRect.top - stageRect.top + y * this.scale}px`;
+    input.style.fontSize = `${size * this.scale}px`;
+    input.style.color = this.color;
+    input.dataset.x = x;
+    input.dataset.y = y;
+    input.dataset.size = size;
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        input.value = "";
+        this._commitText();
+      } else if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        this._commitText();
+      }
+    });
+    input.addEventListener("blur", () => this._commitText());
+    stage.appendChild(input);
+    this._textInput = input;
+    // after the pointerdown that opened it, or the canvas takes focus back
+    setTimeout(() => input.focus(), 0);
+  }
+
+  _commitText() {
+    const input = this._textInput;
+    if (!input) return;
+    this._textInput = null;
+    const text = input.value.replace(/\s+$/, "");
+    input.remove();
+    if (!text.trim()) return;
+    this._record({
+      pageId: this.pageId,
+      add: [
+        this._newElement({
+          type: "text",
+          x: Number(input.dataset.x),
+          y: Number(input.dataset.y),
+          size: Number(input.dataset.size),
+          text: text.slice(0, 1000),
+        }),
+      ],
+      remove: [],
+    });
+  }
+
+  _handleKeyDown(e) {
+    const pane = document.getElementById("whiteboardPane");
+    if (!pane || pane.hidden || !(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest("input, textarea, [contenteditable='true']")) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      this.undo();
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      this.redo();
+    }
+  }
+
+  // ===== EXPORT =====
+
+  _pageNumber() {
+    return Math.max(
+      1,
+      this._pageList().findIndex((p) => p.id === this.pageId) + 1
+    );
+  }
+
+  _fileName(ext) {
+    const room = (this.roomManager.currentRoomData || {}).name || "study-room";
+    const slug =
+      room
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60) || "study-room";
+    const now = new Date();
+    const stamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(now.getDate()).padStart(2, "0")}`;
+    return `${slug}-whiteboard-p${this._pageNumber()}-${stamp}.${ext}`;
+  }
+
+  _toPngBlob() {
+    const canvas = document.createElement("canvas");
+    canvas.width = BOARD_W;
+    canvas.height = BOARD_H;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, BOARD_W, BOARD_H);
+    this._sorted().forEach((el) => drawElement(ctx, el));
+    return new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("PNG export failed")),
+        "image/png"
+      )
+    );
+  }
+
+  _download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async exportPng() {
+    try {
+      this._download(await this._toPngBlob(), this._fileName("png"));
+    } catch (err) {
+      console.error("Whiteboard PNG export failed:", err);
+      showToast("Failed to export the whiteboard", "error");
+    }
+  }
+
+  exportSvg() {
+    const svg = elementsToSvg(this._sorted());
+    this._download(
+      new Blob([svg], { type: "image/svg+xml;charset=utf-8" }),
+      this._fileName("svg")
+    );
+  }
+
+  // Shares the current page as an image message
+  async postToChat() {
+    if (!this.canEdit()) return;
+    if (this.elements.size === 0) {
+      showToast("This page is empty", "info");
+      return;
+    }
+    try {
+      const blob = await this._toPngBlob();
+      await this.chatManager.sendFile(
+        new File([blob], this._fileName("png"), { type: "image/png" })
+      );
+    } catch (err) {
+      console.error("Posting whiteboard snapshot failed:", err);
+      showToast("Failed to post the whiteboard", "error");
+    }
+  }
+
+  cleanup() {
+    if (this.unsubscribePages) this.unsubscribePages();
+    if (this.unsubscribeElements) this.unsubscribeElements();
+    this.unsubscribePages = null;
+    this.unsubscribeElements = null;
+    if (this._resizeObserver) this._resizeObserver.disconnect();
+    this._resizeObserver = null;
+    document.removeEventListener("keydown", this._onKeyDown);
+  }
+
+  _getRoomId() {
+    const data = this.roomManager.currentRoomData;
+    return data ? data._id || data.id : null;
+  }
+}
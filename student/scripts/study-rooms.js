@@ -11,6 +11,10 @@
 // - ADDED: Password visibility toggle with eye icon
 // - ADDED: Real-time password requirements validation
 // - ADDED: Room deactivation check - prevents actions on deactivated rooms
+// - ADDED: Unread @mention badges on room cards
+// - ADDED: "Approval required" private rooms (join requests + waiting room)
+// - ADDED: Expiring / limited-use invite links (?room=...&invite=...)
+// - ADDED: Banned users are turned away before joining
 
 import { auth, db } from "../../config/firebase.js";
 import {
@@ -23,6 +27,14 @@ import {
 } from "https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js";
 import { apiUrl } from "../../config/appConfig.js";
 import { postJsonWithAuth, fetchJsonWithAuth } from "./apiClient.js";
+import { applyRoomActivityBadges } from "./roomActivity.js";
+import { requestToJoin } from "./joinRequests.js";
+import {
+  takeInviteFromUrl,
+  fetchInvite,
+  joinWithInvite,
+} from "./roomInvites.js";
+import { activeRestriction, banMessage } from "./roomBans.js";
 
 const STUDY_GROUPS_API = apiUrl("/api/study-groups");
 
@@ -40,6 +52,7 @@ let filteredRooms = [];
 let displayedRooms = [];
 let currentTab = "all-rooms";
 let pendingPrivateRoomId = null;
+let pendingInviteToken = null; // sent along with the password, if any
 
 /* ===== SECURITY: Utilities ===== */
 function escapeHtml(s) {
@@ -201,7 +214,7 @@ function updateRequirementStatus(element, isMet) {
 }
 
 /* ===== PRIVATE ROOM PASSWORD MODAL ===== */
-function openPrivateRoomPasswordModal(roomId, roomName) {
+function openPrivateRoomPasswordModal(roomId, roomName, inviteToken = null) {
   try {
     const modalElement = document.getElementById("privateRoomPasswordModal");
     if (!modalElement) {
@@ -235,6 +248,7 @@ function openPrivateRoomPasswordModal(roomId, roomName) {
     }
 
     pendingPrivateRoomId = roomId;
+    pendingInviteToken = inviteToken;
     passwordModal.show();
   } catch (err) {
     console.error("Failed to open password modal:", err);
@@ -270,7 +284,9 @@ async function handlePrivateRoomPasswordSubmit() {
 
     const response = await postJsonWithAuth(
       `${STUDY_GROUPS_API}/${encodeURIComponent(pendingPrivateRoomId)}/join`,
-      { password }
+      pendingInviteToken
+        ? { password, invite: pendingInviteToken }
+        : { password }
     );
 
     if (response && response.success) {
@@ -316,9 +332,11 @@ async function handlePrivateRoomPasswordSubmit() {
 /* ===== ROOM CARD FACTORY - NO TOOLTIPS ===== */
 function createRoomCardElement(room) {
   const privacyBadgeHtml =
-    room.privacy === "private"
-      ? `<span class="privacy-badge private"><i class="bi bi-lock-fill"></i> Private</span>`
-      : `<span class="privacy-badge public"><i class="bi bi-globe"></i> Public</span>`;
+    room.privacy !== "private"
+      ? `<span class="privacy-badge public"><i class="bi bi-globe"></i> Public</span>`
+      : room.joinMode === "approval"
+      ? `<span class="privacy-badge private" title="The owner or a moderator approves new members"><i class="bi bi-person-check-fill"></i> Approval</span>`
+      : `<span class="privacy-badge private"><i class="bi bi-lock-fill"></i> Private</span>`;
 
   const roomNameEscaped = escapeHtml(room.name);
   const roomDescEscaped = escapeHtml(
@@ -360,7 +378,13 @@ function createRoomCardElement(room) {
 }
 
 /* ===== HANDLE ROOM JOIN (with privacy check, membership check, and deactivation check) ===== */
-export function handleRoomJoin(roomId, roomName, privacy, isActive) {
+export function handleRoomJoin(
+  roomId,
+  roomName,
+  privacy,
+  isActive,
+  inviteToken = null
+) {
   debugLog(
     `Join attempt | Room: ${roomName} | Privacy: ${privacy} | Active: ${isActive}`
   );
@@ -388,19 +412,38 @@ export function handleRoomJoin(roomId, roomName, privacy, isActive) {
     return;
   }
 
+  // ===== CHECK IF USER IS BANNED =====
+  const ban = activeRestriction(room.bans, currentUserId);
+  if (ban) {
+    logSecurityEvent("BANNED_USER_JOIN_ATTEMPT", {
+      roomId,
+      userId: currentUserId,
+    });
+    showToast(banMessage(ban), "error");
+    return;
+  }
+
   const isAlreadyMember = (room.participants || []).includes(currentUserId);
 
   debugLog(
     `User ${currentUserId} | Already member: ${isAlreadyMember} | Privacy: ${privacy}`
   );
 
+  if (inviteToken && !isAlreadyMember) {
+    joinFromInvite(room, inviteToken);
+    return;
+  }
+
   if (privacy === "private" && !isAlreadyMember) {
     logSecurityEvent("PRIVATE_ROOM_JOIN_ATTEMPT", {
       roomId,
       roomName,
       userId: currentUserId,
+      joinMode: room.joinMode || "password",
     });
-    openPrivateRoomPasswordModal(roomId, roomName);
+    if (room.joinMode === "approval")
+      requestToJoin(roomId, roomName, currentUserId, enterRoom);
+    else openPrivateRoomPasswordModal(roomId, roomName);
   } else if (privacy === "private" && isAlreadyMember) {
     debugLog(`User is already member of private room ${roomId}`);
     logSecurityEvent("PRIVATE_ROOM_REENTRY", {
@@ -418,6 +461,64 @@ export function handleRoomJoin(roomId, roomName, privacy, isActive) {
   }
 }
 
+/* ===== JOIN THROUGH AN INVITE LINK ===== */
+async function joinFromInvite(room, token) {
+  const invite = await fetchInvite(room.id, token);
+  if (!invite || !invite.valid) {
+    showToast(
+      (invite && invite.reason) || "This invite link is no longer valid",
+      "error"
+    );
+    logSecurityEvent("INVITE_REJECTED", { roomId: room.id });
+    return;
+  }
+
+  // without the bypass, the invite only gets them to the usual door
+  if (room.privacy === "private" && !invite.bypassPassword) {
+    if (room.joinMode === "approval")
+      requestToJoin(room.id, room.name, CURRENT_SESSION.uid, enterRoom);
+    else openPrivateRoomPasswordModal(room.id, room.name, token);
+    return;
+  }
+
+  try {
+    const response = await joinWithInvite(room.id, token);
+    if (response && response.success) {
+      showToast("Invite accepted! Entering room...", "success");
+      logSecurityEvent("INVITE_ACCEPTED", { roomId: room.id });
+      await fetchAndRenderStudyRooms();
+      setTimeout(() => {
+        enterRoom(room.id);
+      }, 500);
+    }
+  } catch (err) {
+    console.error("Error joining with invite:", err);
+    let msg = "Could not join with this invite";
+    if (err && err.body && err.body.error) {
+      msg = err.body.error;
+    }
+    showToast(msg, "error");
+  }
+}
+
+// ?room=...&invite=... from a shared invite link
+function openInviteFromUrl() {
+  const pending = takeInviteFromUrl();
+  if (!pending) return;
+  const room = allRooms.find((r) => String(r.id) === String(pending.roomId));
+  if (!room) {
+    showToast("The room for this invite link wasn't found", "error");
+    return;
+  }
+  handleRoomJoin(
+    room.id,
+    room.name,
+    room.privacy,
+    room.isActive,
+    pending.token
+  );
+}
+
 /* ===== ATTEMPT TO JOIN PUBLIC ROOM ===== */
 async function attemptJoinPublicRoom(roomId) {
   try {
@@ -577,6 +678,7 @@ function renderAllRooms() {
     roomGrid.appendChild(cardElement);
     displayedRooms.push(room);
   });
+  applyRoomActivityBadges(filteredRooms, CURRENT_SESSION?.uid, roomGrid);
 
   debugLog(
     `Grid now has ${roomGrid.children.length} room cards | Total displayed: ${displayedRooms.length}`
@@ -930,7 +1032,7 @@ function initializeAuthenticatedUI() {
     createRoomBtn.addEventListener("click", handleCreateRoom);
   }
 
-  fetchAndRenderStudyRooms();
+  fetchAndRenderStudyRooms().then(openInviteFromUrl);
 
   setTimeout(() => {
     showToast(
@@ -982,6 +1084,8 @@ async function handleCreateRoom() {
     MAX_DESCRIPTION_LENGTH
   );
   const privacy = privacyEl ? privacyEl.value : "public";
+  const joinModeEl = document.querySelector('input[name="joinMode"]:checked');
+  const joinMode = joinModeEl ? joinModeEl.value : "password";
   const password = roomPasswordEl ? roomPasswordEl.value : null;
 
   if (!roomName) {
@@ -994,7 +1098,7 @@ async function handleCreateRoom() {
     return;
   }
 
-  if (privacy === "private") {
+  if (privacy === "private" && joinMode === "password") {
     if (!password || password.trim().length === 0) {
       showToast("Private room password is required", "error");
       return;
@@ -1027,7 +1131,11 @@ async function handleCreateRoom() {
     `Are you sure you want to create room "${escapeHtml(
       roomName
     )}"?\n\nPrivacy: ${privacy}${
-      privacy === "private" ? "\nPassword Protected: Yes" : ""
+      privacy !== "private"
+        ? ""
+        : joinMode === "approval"
+        ? "\nApproval Required: Yes"
+        : "\nPassword Protected: Yes"
     }`
   );
 
@@ -1043,8 +1151,9 @@ async function handleCreateRoom() {
       privacy: privacy,
     };
 
-    if (privacy === "private" && password) {
-      payload.password = password;
+    if (privacy === "private") {
+      payload.joinMode = joinMode;
+      if (joinMode === "password" && password) payload.password = password;
     }
 
     debugLog("Creating room with payload:", payload);
@@ -1064,7 +1173,8 @@ async function handleCreateRoom() {
     logSecurityEvent("ROOM_CREATED", {
       roomName,
       privacy,
-      hasPassword: privacy === "private",
+      joinMode: privacy === "private" ? joinMode : null,
+      hasPassword: privacy === "private" && joinMode === "password",
     });
 
     if (createRoomModal) createRoomModal.hide();
@@ -1104,6 +1214,11 @@ function resetCreateRoomForm() {
     passwordField.style.display = "none";
   }
 
+  const joinModeField = document.getElementById("privateRoomJoinModeField");
+  if (joinModeField) {
+    joinModeField.style.display = "none";
+  }
+
   const toggleBtn = document.getElementById("passwordToggleBtn");
   if (toggleBtn) {
     const icon = toggleBtn.querySelector("i");
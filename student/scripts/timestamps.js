@@ -0,0 +1,12 @@
+// frontend/student/scripts/timestamps.js
+// Firestore timestamps reach the client in several shapes: a Timestamp from
+// the SDK, { seconds } / { _seconds } from the REST API, a Date, a number or
+// an ISO string. toMillis reads any of them; missing or unreadable is 0.
+
+export function toMillis(ts) {
+  if (!ts) return 0;
+  if (typeof ts.toMillis === "function") return ts.toMillis();
+  if (ts._seconds) return ts._seconds * 1000;
+  if (ts.seconds) return ts.seconds * 1000;
+  return new Date(ts).getTime() || 0;
+}